@@ -46,6 +46,7 @@ module.exports = function (grunt) {
             ],
             json : [
                 "package.json",
+                "etc/*.json",
                 ".jshintrc",
                 ".jscsrc"
             ]
@@ -26,17 +26,28 @@
 
     var events = require("events"),
         os = require("os"),
+        path = require("path"),
         util = require("util"),
         META_PLUGIN_ID = "crema";
 
     var Q = require("q");
 
-    var ComponentManager = require("./componentmanager"),
+    var atlasPacker = require("./atlaspacker"),
+        ComponentManager = require("./componentmanager"),
         FileManager = require("./filemanager"),
-        ErrorManager = require("./errormanager");
+        ErrorManager = require("./errormanager"),
+        metadataValidator = require("./metadatavalidator"),
+        presets = require("./presets");
 
     var MAX_PATH_LENGTH = os.platform() === "darwin" ? 255 : 260;
 
+    // Name of the manifest file that describes every generated asset
+    var MANIFEST_FILE = "assets.json";
+
+    // Animations are written as animated GIFs or APNGs; frames show for 100ms unless specified otherwise
+    var ANIMATION_EXTENSIONS = { "gif": true, "png": true },
+        DEFAULT_ANIMATION_DELAY = 100;
+
     /**
      * Return the keys for a set as integers.
      * 
@@ -50,6 +61,40 @@
         });
     }
 
+    /**
+     * Compute the relative path, without extension, of the texture atlas that the
+     * given atlas frame component belongs to. The last folder of the component is
+     * the name of the atlas, e.g., "sprites/ui" for "atlas:sprites/ui/play.png".
+     *
+     * @private
+     * @param {Component} component
+     * @return {string}
+     */
+    function _getAtlasPath(component) {
+        return component.folder.join(path.sep);
+    }
+
+    /**
+     * Find the layer comp that an animation refers to by name or by ID.
+     *
+     * @private
+     * @param {Array.<object>} comps The document's layer comps
+     * @param {string|number} reference
+     * @return {?object}
+     */
+    function _findComp(comps, reference) {
+        var result = null;
+
+        comps.some(function (comp) {
+            if (comp.type !== "removed" && (comp.name === reference || String(comp.id) === String(reference))) {
+                result = comp;
+                return true;
+            }
+        });
+
+        return result;
+    }
+
     /**
      * The asset manager maintains a set of assets for a given document. On
      * initialization, it parses the layers' names into a set of components,
@@ -74,6 +119,22 @@
         this._document = document;
         this._metaDataRoot = config["meta-data-root"] || META_PLUGIN_ID;
 
+        if (config.hasOwnProperty("manifest-enabled")) {
+            this._manifestEnabled = !!config["manifest-enabled"];
+        }
+
+        if (config.hasOwnProperty("hashed-filenames")) {
+            this._hashedFilenames = !!config["hashed-filenames"];
+        }
+
+        if (config.hasOwnProperty("atlas-css")) {
+            this._atlasStylesheets = !!config["atlas-css"];
+        }
+
+        if (config.hasOwnProperty("orphaned-assets")) {
+            this._orphanedAssets = config["orphaned-assets"];
+        }
+
         this._renderManager = renderManager;
         this._fileManager = new FileManager(generator, config, logger);
         this._errorManager = new ErrorManager(generator, config, logger, this._fileManager);
@@ -100,6 +161,92 @@
      */
     AssetManager.prototype._filePromises = null;
 
+    /**
+     * The manifest entries of the assets that have been written to disk, keyed
+     * on asset path.
+     *
+     * @type {{string: object}}
+     */
+    AssetManager.prototype._manifestEntries = null;
+
+    /**
+     * Whether the manifest entries have changed since the manifest was last written.
+     *
+     * @type {boolean}
+     */
+    AssetManager.prototype._manifestDirty = false;
+
+    /**
+     * Whether an asset manifest should be written after each render pass.
+     * Configurable through the "manifest-enabled" config flag, which defaults to true.
+     *
+     * @type {boolean}
+     */
+    AssetManager.prototype._manifestEnabled = true;
+
+    /**
+     * Whether a short hash of each asset's contents should be inserted into its
+     * filename, e.g., "icon.3fa9c1.png". The manifest then maps each asset path to
+     * its hashed path. Configurable through the "hashed-filenames" config flag,
+     * which defaults to false.
+     *
+     * @type {boolean}
+     */
+    AssetManager.prototype._hashedFilenames = false;
+
+    /**
+     * The texture atlases of the document, keyed by atlas path. Each atlas tracks
+     * its frames, keyed by component ID, and whether it must be repacked.
+     *
+     * @type {{string: {name: string, path: string, dirty: boolean,
+     *      frames: {number: {component: Component, pixmap: ?Pixmap, pending: boolean}}}}}
+     */
+    AssetManager.prototype._atlases = null;
+
+    /**
+     * The lowercase asset paths, and Contents.json paths of image sets, that more than
+     * one component currently writes to, whose errors must be removed once the
+     * collision is resolved.
+     *
+     * @type {{string: boolean}}
+     */
+    AssetManager.prototype._pathCollisions = null;
+
+    /**
+     * Whether a CSS sprite stylesheet should be written next to each texture atlas.
+     * Configurable through the "atlas-css" config flag, which defaults to false.
+     *
+     * @type {boolean}
+     */
+    AssetManager.prototype._atlasStylesheets = false;
+
+    /**
+     * What to do with files in the assets folder that no component owns when
+     * asset generation starts: "trash" moves them into a trash subfolder,
+     * "remove" deletes them and "keep" leaves them alone. Configurable through
+     * the "orphaned-assets" config option, which defaults to "trash".
+     *
+     * @type {string}
+     */
+    AssetManager.prototype._orphanedAssets = "trash";
+
+    /**
+     * Whether orphaned assets should be pruned once the current render pass has
+     * been written, which is the case for the initial render pass.
+     *
+     * @type {boolean}
+     */
+    AssetManager.prototype._pruneOnIdle = false;
+
+    /**
+     * The set of asset paths of the components whose last render failed or was
+     * canceled. Their files from earlier renders are still valid, so they are
+     * not pruned.
+     *
+     * @type {{string: boolean}}
+     */
+    AssetManager.prototype._failedRenderPaths = null;
+
     /**
      * @type {RenderManager}
      */
@@ -129,14 +276,221 @@
      */
     AssetManager.prototype._cleanupDerivedComponents = function (componentId) {
         if (this._componentManager.getComponent(componentId)) {
+            var imagesets = {};
+
             this._componentManager.getDerivedComponents(componentId).forEach(function (derivedComponent) {
                 if (this._hasPendingRender(derivedComponent.id)) {
                     this._renderManager.cancel(derivedComponent.id);
                 }
 
-                this._fileManager.removeFileWithin(derivedComponent.assetPath);
+                this._removeComponentAsset(derivedComponent);
+
+                if (derivedComponent.imageset) {
+                    imagesets[derivedComponent.imageset] = true;
+                }
             }, this);
+
+            // The catalog file at the root of an asset catalog is shared, so only the image sets' files are removed
+            Object.keys(imagesets).forEach(function (imageset) {
+                this._fileManager.removeFileWithin(path.join(imageset, presets.CONTENTS_FILE));
+            }, this);
+        }
+    };
+
+    /**
+     * Remove the file of the asset with the given path, which is hashed if hashed
+     * filenames are enabled, along with its manifest entry.
+     *
+     * @private
+     * @param {string} assetPath
+     */
+    AssetManager.prototype._removeAsset = function (assetPath) {
+        if (this._hashedFilenames) {
+            this._fileManager.removeHashedFileWithin(assetPath);
+        } else {
+            this._fileManager.removeFileWithin(assetPath);
+        }
+        this._removeManifestEntry(assetPath);
+    };
+
+    /**
+     * Remove the asset of the given component or, if it is a texture atlas frame,
+     * remove it from its atlas.
+     *
+     * @private
+     * @param {Component} component
+     */
+    AssetManager.prototype._removeComponentAsset = function (component) {
+        if (component.atlas) {
+            this._removeAtlasFrame(component);
+        } else {
+            this._removeAsset(component.assetPath);
+        }
+    };
+
+    /**
+     * Move a rendered file from its temporary location to the given asset path,
+     * inserting a hash of its contents into the filename if hashed filenames are enabled.
+     *
+     * @private
+     * @param {string} tmpPath
+     * @param {string} assetPath
+     * @return {Promise.<{path: string, relativePath: string=, hash: string, skipped: boolean}>}
+     */
+    AssetManager.prototype._moveAsset = function (tmpPath, assetPath) {
+        return this._fileManager.moveFileInto(tmpPath, assetPath, this._hashedFilenames);
+    };
+
+    /**
+     * Register the given texture atlas frame component with its atlas. The frame
+     * is pending, which keeps the atlas from being packed, until the component
+     * has been rendered.
+     *
+     * @private
+     * @param {Component} component
+     */
+    AssetManager.prototype._addAtlasFrame = function (component) {
+        var atlasPath = _getAtlasPath(component);
+
+        if (!this._atlases.hasOwnProperty(atlasPath)) {
+            this._atlases[atlasPath] = {
+                name: component.folder[component.folder.length - 1],
+                path: atlasPath,
+                dirty: true,
+                frames: {}
+            };
         }
+
+        this._atlases[atlasPath].frames[component.id] = {
+            component: component,
+            pixmap: null,
+            pending: true
+        };
+        this._atlases[atlasPath].dirty = true;
+    };
+
+    /**
+     * Record the rendered pixmap of a texture atlas frame component, or null if
+     * it failed to render.
+     *
+     * @private
+     * @param {Component} component
+     * @param {?Pixmap} pixmap
+     */
+    AssetManager.prototype._setAtlasFramePixmap = function (component, pixmap) {
+        var textureAtlas = this._atlases[_getAtlasPath(component)],
+            frame = textureAtlas && textureAtlas.frames[component.id];
+
+        if (frame) {
+            frame.pixmap = pixmap;
+            frame.pending = false;
+        }
+    };
+
+    /**
+     * Remove a texture atlas frame component from its atlas.
+     *
+     * @private
+     * @param {Component} component
+     */
+    AssetManager.prototype._removeAtlasFrame = function (component) {
+        var textureAtlas = this._atlases[_getAtlasPath(component)];
+
+        if (textureAtlas && textureAtlas.frames.hasOwnProperty(component.id)) {
+            delete textureAtlas.frames[component.id];
+            textureAtlas.dirty = true;
+        }
+    };
+
+    /**
+     * Repack every texture atlas whose frames have changed once none of its frames
+     * are still being rendered, and remove the files of atlases that no longer
+     * have any frames.
+     *
+     * @private
+     */
+    AssetManager.prototype._updateAtlases = function () {
+        Object.keys(this._atlases).forEach(function (atlasPath) {
+            var textureAtlas = this._atlases[atlasPath],
+                frames = Object.keys(textureAtlas.frames).map(function (componentId) {
+                    return textureAtlas.frames[componentId];
+                });
+
+            if (!textureAtlas.dirty || frames.some(function (frame) { return frame.pending; })) {
+                return;
+            }
+
+            textureAtlas.dirty = false;
+
+            frames = frames.filter(function (frame) {
+                return frame.pixmap;
+            });
+
+            if (frames.length > 0) {
+                this._filePromises.push(this._writeAtlas(textureAtlas, frames));
+            } else {
+                this._removeAsset(atlasPath + ".png");
+                this._fileManager.removeFileWithin(atlasPath + ".json");
+                this._fileManager.removeFileWithin(atlasPath + ".css");
+
+                if (Object.keys(textureAtlas.frames).length === 0) {
+                    delete this._atlases[atlasPath];
+                }
+            }
+        }, this);
+    };
+
+    /**
+     * Pack the given frames into the image of a texture atlas, and write it along
+     * with its TexturePacker-compatible frame map and, optionally, a CSS sprite
+     * stylesheet.
+     *
+     * @private
+     * @param {{name: string, path: string}} textureAtlas
+     * @param {Array.<{component: Component, pixmap: Pixmap}>} frames
+     * @return {Promise} Resolves once the atlas files have been written
+     */
+    AssetManager.prototype._writeAtlas = function (textureAtlas, frames) {
+        var layout = atlasPacker.pack(frames.map(function (frame) {
+                return {
+                    name: frame.component.file,
+                    pixmap: frame.pixmap
+                };
+            })),
+            imagePath = textureAtlas.path + ".png",
+            atlasComponent = {
+                assetPath: imagePath,
+                extension: "png",
+                document: this._document
+            };
+
+        return this._renderManager.writePixmap(this._document, atlasPacker.createPixmap(layout))
+            .then(function (tmpPath) {
+                return this._moveAsset(tmpPath, imagePath);
+            }.bind(this))
+            .then(function (moveResult) {
+                var imageName = path.basename(moveResult.relativePath || imagePath),
+                    frameMap = atlasPacker.getFrameMap(layout, imageName);
+
+                this._renderManager.reportWrite(moveResult.skipped);
+                this._addManifestEntry(atlasComponent, layout, moveResult.hash, moveResult.relativePath);
+                this._fileManager.writeFileWithin(textureAtlas.path + ".json", JSON.stringify(frameMap, null, 4));
+
+                if (this._atlasStylesheets) {
+                    this._fileManager.writeFileWithin(textureAtlas.path + ".css",
+                        atlasPacker.getStylesheet(layout, textureAtlas.name, imageName));
+                }
+
+                this._logger.info("Atlas packed: %s (%d frames)", imagePath, frames.length);
+
+                // Atlases repacked outside of a render pass aren't covered by its manifest update
+                if (Object.keys(this._renderPromises).length === 0) {
+                    this._writeManifest();
+                }
+            }.bind(this))
+            .fail(function (err) {
+                this._logger.error("Failed to pack atlas: %s", imagePath, err);
+            }.bind(this));
     };
 
     /**
@@ -161,6 +515,36 @@
         }
     };
     
+    /**
+     * Reconcile the contents of the assets folder with the files written since
+     * asset generation started, removing (or moving to the trash) the files left
+     * behind by renamed or deleted layers from a previous session or while asset
+     * generation was stopped. The file manager keeps track of every file it writes,
+     * so this must only happen once the initial render pass has been written. The
+     * files of components whose render failed or was canceled are kept.
+     *
+     * @private
+     */
+    AssetManager.prototype._pruneOrphanedAssets = function () {
+        this._pruneOnIdle = false;
+
+        if (this._orphanedAssets === "keep" || !this._fileManager.basePath) {
+            return;
+        }
+
+        var useTrash = this._orphanedAssets !== "remove";
+
+        this._fileManager.pruneFilesWithin(useTrash, Object.keys(this._failedRenderPaths))
+            .then(function (prunedPaths) {
+                if (prunedPaths.length > 0) {
+                    this._logger.info("Pruned orphaned assets:", prunedPaths);
+                }
+            }.bind(this), function (err) {
+                this._logger.error("Failed to prune orphaned assets:", err);
+            }.bind(this))
+            .done();
+    };
+
     /**
      * Add components related to a give layer comp
      * 
@@ -211,12 +595,119 @@
      */
     AssetManager.prototype._addComponentForDocument = function (documentComponent, document, documentComponents) {
         documentComponent.document = document;
+
+        if (documentComponent.animation) {
+            try {
+                documentComponent.animationFrames = this._getAnimationFrames(documentComponent);
+            } catch (ex) {
+                // Keep the component, so that it is rendered once the layer comps it refers to exist
+                documentComponent.animationFrames = null;
+                this._errorManager.addError(document, ex.message, this._errorManager.DOCUMENT);
+            }
+        }
+
         this._componentManager.addDocumentComponent(documentComponent);
-        documentComponents.push(documentComponent);
+
+        if (!documentComponent.animation || documentComponent.animationFrames) {
+            documentComponents.push(documentComponent);
+        }
+    };
+
+    /**
+     * Resolve the layer comps of an animation component to its list of frames.
+     * Comps are referred to by name or by ID, and each frame is shown for its
+     * entry in the delays list, or else for the animation-wide delay.
+     *
+     * @private
+     * @param {Component} component A document component with animation settings:
+     *      {comps: Array.<string|number>, delays: Array.<number>=, delay: number=, loop: number=}
+     * @return {Array.<{comp: object, delay: number}>}
+     * @throws {Error} If the settings are invalid or refer to a missing layer comp
+     */
+    AssetManager.prototype._getAnimationFrames = function (component) {
+        var animation = component.animation,
+            comps = this._document._comps || [],
+            delays = Array.isArray(animation.delays) ? animation.delays : [];
+
+        if (!ANIMATION_EXTENSIONS.hasOwnProperty(String(component.extension).toLowerCase())) {
+            throw new Error("Animations must be GIF or PNG files: " + component.file);
+        }
+
+        if (!Array.isArray(animation.comps) || animation.comps.length === 0) {
+            throw new Error("Animation has no layer comps: " + component.file);
+        }
+
+        return animation.comps.map(function (reference, index) {
+            var comp = _findComp(comps, reference),
+                delay = delays.length > index ? delays[index] : animation.delay;
+
+            if (!comp) {
+                throw new Error("Unknown layer comp in animation: " + reference);
+            }
+
+            if (delay === undefined) {
+                delay = DEFAULT_ANIMATION_DELAY;
+            } else if (typeof delay !== "number" || !isFinite(delay) || delay < 0) {
+                throw new Error("Invalid animation delay: " + delay);
+            }
+
+            return {
+                comp: comp,
+                delay: delay
+            };
+        });
+    };
+
+    /**
+     * Re-render the animations that the given comp changes affect: those that
+     * show a changed comp, and those whose comps were added, renamed or removed.
+     *
+     * @private
+     * @param {object} change The comps part of a change object emitted by the Document
+     */
+    AssetManager.prototype._handleAnimationCompsChange = function (change) {
+        var documentComponents = this._componentManager.getComponentsForDocument();
+
+        Object.keys(documentComponents).forEach(function (componentId) {
+            var component = documentComponents[componentId],
+                previousFrames = component.animationFrames || [],
+                frames = null;
+
+            if (!component.animation) {
+                return;
+            }
+
+            try {
+                frames = this._getAnimationFrames(component);
+            } catch (ex) {
+                this._errorManager.addError(this._document, ex.message, this._errorManager.DOCUMENT);
+            }
+
+            var affected = (frames || []).concat(previousFrames).some(function (frame) {
+                return change.hasOwnProperty(frame.comp.id);
+            });
+
+            if (!affected) {
+                return;
+            }
+
+            if (this._hasPendingRender(component.id)) {
+                this._renderManager.cancel(component.id);
+            }
+
+            component.animationFrames = frames;
+
+            if (frames) {
+                this._requestRender(component);
+            } else {
+                this._removeComponentAsset(component);
+            }
+        }, this);
     };
 
     /**
-     * Private getting to retrieve the document wide meta data
+     * Private getting to retrieve the document wide meta data. Invalid JSON is only
+     * reported in meta-data-driven mode.
      * 
      * @private
      * @return {docMeta} - parsed doc meta object or undefined if not there or parser error
@@ -229,6 +720,11 @@
                 return JSON.parse(docMetaRaw.json);
             } catch (ex) {
                 this._logger.error("_getDocumentMetaData failed to parse json: %s", ex.message);
+
+                if (this._config["meta-data-driven"]) {
+                    this._errorManager.addError(this._document, "Invalid asset settings JSON: " + ex.message,
+                        this._errorManager.DOCUMENT);
+                }
             }
         }
     };
@@ -243,8 +739,12 @@
             
         this._componentManager.resetDefaultMetaComponents();
         //read the default layer spec
-        if (docMeta.scaleSettings) {
+        if (Array.isArray(docMeta.scaleSettings)) {
             docMeta.scaleSettings.forEach(function (spec) {
+                // The schema violations of the spec have been reported with the other document errors
+                if (!metadataValidator.canAnalyze(spec, "defaultSetting")) {
+                    return;
+                }
 
                 //make the spec as-expected for component manager
 
@@ -255,6 +755,23 @@
                     spec.file = "";
                 }
 
+                if (spec.preset) {
+                    spec.preset = String(spec.preset).toLowerCase();
+
+                    if (!presets.isSupported(spec.preset)) {
+                        this._errorManager.addError(this._document, "Unknown default preset: " + spec.preset,
+                            this._errorManager.DOCUMENT);
+                        return;
+                    }
+
+                    if (spec.preset === "xcassets" && this._hashedFilenames) {
+                        this._errorManager.addError(this._document,
+                            "Asset catalogs can't be written with hashed filenames: " + spec.preset,
+                            this._errorManager.DOCUMENT);
+                        return;
+                    }
+                }
+
                 this._componentManager.addDefaultMetaComponent(spec);
             }, this);
         }
@@ -315,7 +832,13 @@
     AssetManager.prototype._init = function () {
         this._renderPromises = {};
         this._filePromises = [];
+        this._manifestEntries = {};
+        this._manifestDirty = true;
+        this._atlases = {};
+        this._pathCollisions = {};
+        this._failedRenderPaths = {};
         this._componentManager = new ComponentManager(this._generator, this._config);
+        this._fileManager.forgetWrittenFiles();
         this._fileManager.updateBasePath(this._document);
         this._errorManager.removeAllErrors();
         this._renderManager.cancelAll(this._document.id);
@@ -325,7 +848,31 @@
             comps = this._document._comps,
             docMeta = this._getDocumentMetaData(),
             documentComponents = [],
-            documentAssetSettings = docMeta && docMeta.assetSettings;
+            documentAssetSettings;
+
+        if (docMeta) {
+            // Like the other meta-data errors, schema violations are only reported in meta-data-driven mode
+            if (this._config["meta-data-driven"]) {
+                metadataValidator.validate(docMeta, "documentSettings").forEach(function (error) {
+                    this._errorManager.addError(this._document, error, this._errorManager.DOCUMENT);
+                }, this);
+            }
+
+            // The schema violations of the settings have been reported above, if at all
+            if (Array.isArray(docMeta.assetSettings)) {
+                documentAssetSettings = docMeta.assetSettings.filter(function (settings) {
+                    return metadataValidator.canAnalyze(settings, "documentAssetSetting");
+                });
+            }
+        }
+
+        if (docMeta && typeof docMeta.matte === "string" && docMeta.matte) {
+            try {
+                this._componentManager.setDefaultMatte(docMeta.matte);
+            } catch (ex) {
+                this._errorManager.addError(this._document, ex.message, this._errorManager.DOCUMENT);
+            }
+        }
 
         if (docMeta && docMeta.metaEnabled) {
             this._initDefaultMetaComponents(docMeta);
@@ -348,7 +895,15 @@
             this._requestRenderForComponents(documentComponents);
         }
 
+        this._reportPathCollisions();
         this._errorManager.reportErrors();
+
+        // Without any renders, there is no render pass to wait for
+        if (Object.keys(this._renderPromises).length === 0) {
+            this._pruneOrphanedAssets();
+        } else {
+            this._pruneOnIdle = true;
+        }
     };
     
     /**
@@ -362,14 +917,76 @@
         layerIdsWithComponents.forEach(function (layerId) {
             var basicComponents = this._componentManager.getBasicComponentsByLayer(layerId);
             basicComponents.forEach(function (component) {
-                var derivedComponents = this._componentManager.getDerivedComponents(component.id);
-                derivedComponents.forEach(function (component) {
-                    this._requestRender(component);
-                }, this);
+                this._requestRenderForBasicComponent(component.id);
             }, this);
         }, this);
     };
+
+    /**
+     * Request render for each component derived from the given basic component,
+     * and write the catalog files (e.g., an image set's Contents.json) that
+     * describe the derived components, if any.
+     *
+     * @private
+     * @param {number} componentId The ID of a basic component
+     */
+    AssetManager.prototype._requestRenderForBasicComponent = function (componentId) {
+        var derivedComponents = this._componentManager.getDerivedComponents(componentId),
+            catalogFiles = presets.getCatalogFiles(derivedComponents);
+
+        derivedComponents.forEach(function (component) {
+            this._requestRender(component);
+        }, this);
+
+        Object.keys(catalogFiles).forEach(function (relativePath) {
+            this._fileManager.writeFileWithin(relativePath, catalogFiles[relativePath]);
+        }, this);
+    };
     
+    /**
+     * Replace the errors for colliding asset paths and image sets with errors for
+     * the current collisions, which name the colliding assets and their source objects.
+     *
+     * @private
+     */
+    AssetManager.prototype._reportPathCollisions = function () {
+        Object.keys(this._pathCollisions).forEach(function (key) {
+            this._errorManager.removeErrors(key, this._errorManager.ASSET_PATH);
+        }, this);
+
+        this._pathCollisions = {};
+
+        this._componentManager.findPathCollisions().forEach(function (components) {
+            this._addPathCollisionError(components[0].assetPath, "Conflicting asset paths: ", components);
+        }, this);
+
+        this._componentManager.findImagesetCollisions().forEach(function (components) {
+            this._addPathCollisionError(path.join(components[0].imageset, presets.CONTENTS_FILE),
+                "Conflicting image sets: ", components);
+        }, this);
+    };
+
+    /**
+     * Report an error for components that collide at the given path, and remember
+     * the collision so that its error can be removed once it is resolved.
+     *
+     * @private
+     * @param {string} relativePath The path that the components would all write to
+     * @param {string} message The beginning of the error message
+     * @param {Array.<Component>} components The colliding components
+     */
+    AssetManager.prototype._addPathCollisionError = function (relativePath, message, components) {
+        var key = relativePath.toLowerCase(),
+            descriptions = components.map(function (component) {
+                var source = this._getManifestSource(component);
+                return component.assetPath + " of " + source.type + " \"" + source.name + "\"";
+            }, this);
+
+        this._errorManager.addError({ id: key, name: relativePath }, message + descriptions.join(" and "),
+            this._errorManager.ASSET_PATH);
+        this._pathCollisions[key] = true;
+    };
+
     /**
      * Request render for each component in components
      * 
@@ -393,6 +1010,121 @@
         this._init();
     };
 
+    /**
+     * Describe the source object (layer, layer comp or document) of the given component
+     * for the asset manifest.
+     *
+     * @private
+     * @param {Component} component
+     * @return {{type: string, id: number, name: string}}
+     */
+    AssetManager.prototype._getManifestSource = function (component) {
+        var sourceObject,
+            type;
+
+        if (component.layer) {
+            sourceObject = component.layer;
+            type = "layer";
+        } else if (component.comp) {
+            sourceObject = component.comp;
+            type = "layer-comp";
+        } else {
+            sourceObject = component.document;
+            type = "document";
+        }
+
+        return {
+            type: type,
+            id: sourceObject.id,
+            name: sourceObject.name
+        };
+    };
+
+    /**
+     * Record the manifest entry for an asset that has been written to disk.
+     *
+     * @private
+     * @param {Component} component
+     * @param {{width: number=, height: number=}} renderResult The pixel dimensions of the asset,
+     *      which SVG assets don't have
+     * @param {string} hash Hex digest of the asset's contents
+     * @param {string=} hashedPath The relative path of the asset's file, if its filename is hashed
+     */
+    AssetManager.prototype._addManifestEntry = function (component, renderResult, hash, hashedPath) {
+        var entry = {
+            path: component.assetPath.split(path.sep).join("/"),
+            hashedPath: hashedPath && hashedPath.split(path.sep).join("/"),
+            source: this._getManifestSource(component)
+        };
+
+        // SVG assets are scalable, so they have no pixel dimensions
+        if (typeof renderResult.width === "number" && typeof renderResult.height === "number") {
+            entry.width = renderResult.width;
+            entry.height = renderResult.height;
+        }
+
+        entry.format = component.extension;
+        entry.quality = component.quality;
+        entry.frames = component.animationFrames ? component.animationFrames.length : undefined;
+        entry.scale = component.scale;
+        entry.hash = hash;
+
+        this._manifestEntries[component.assetPath] = entry;
+        this._manifestDirty = true;
+    };
+
+    /**
+     * Forget the manifest entry for an asset that has been removed.
+     *
+     * @private
+     * @param {string} assetPath
+     */
+    AssetManager.prototype._removeManifestEntry = function (assetPath) {
+        if (this._manifestEntries.hasOwnProperty(assetPath)) {
+            delete this._manifestEntries[assetPath];
+            this._manifestDirty = true;
+        }
+    };
+
+    /**
+     * Write the asset manifest, which lists every generated asset along with its
+     * source object, dimensions, format and content hash, if it has changed. If
+     * hashed filenames are enabled, the manifest is always written and also maps
+     * each asset path to its hashed path.
+     *
+     * @private
+     */
+    AssetManager.prototype._writeManifest = function () {
+        if (!(this._manifestEnabled || this._hashedFilenames) ||
+                !this._manifestDirty || !this._fileManager.basePath) {
+            return;
+        }
+
+        var assets = Object.keys(this._manifestEntries).sort().map(function (assetPath) {
+            return this._manifestEntries[assetPath];
+        }, this);
+
+        var manifest = {
+            document: {
+                id: this._document.id,
+                name: this._document.name
+            },
+            assets: assets
+        };
+
+        if (this._hashedFilenames) {
+            manifest.hashedPaths = assets.reduce(function (hashedPaths, entry) {
+                if (entry.hashedPath) {
+                    hashedPaths[entry.path] = entry.hashedPath;
+                }
+                return hashedPaths;
+            }, {});
+        }
+
+        this._fileManager.writeFileWithin(MANIFEST_FILE, JSON.stringify(manifest, null, 4));
+        this._manifestDirty = false;
+    };
+
     /**
      * Report non-catastrophic errors
      * @private
@@ -426,6 +1158,10 @@
             }
         }
         
+        if (component.atlas) {
+            this._addAtlasFrame(component);
+        }
+
         // FIXME: the document and layer might need to be cloned so that they
         // don't change in the middle of rendering
         var renderPromise = this._renderManager.render(component);
@@ -436,8 +1172,20 @@
             .then(function (renderResult) {
                 var tmpPath = renderResult.path;
                 this._reportSoftErrors(renderResult.errors, component);
-                if (tmpPath) {
-                    var filePromise = this._fileManager.moveFileInto(tmpPath, component.assetPath);
+                if (component.atlas) {
+                    this._setAtlasFramePixmap(component, renderResult.pixmap);
+                    this._logger.info("Atlas frame rendered: %s", component.assetPath);
+                } else if (tmpPath) {
+                    var filePromise = this._moveAsset(tmpPath, component.assetPath)
+                        .then(function (moveResult) {
+                            if (moveResult.skipped) {
+                                this._logger.info("Asset unchanged, write skipped: %s", component.assetPath);
+                            }
+                            delete this._failedRenderPaths[component.assetPath];
+                            this._renderManager.reportWrite(moveResult.skipped);
+                            this._addManifestEntry(component, renderResult, moveResult.hash,
+                                moveResult.relativePath);
+                        }.bind(this));
                     this._filePromises.push(filePromise);
                     this._logger.info("Render complete: %s", component.assetPath);
                 } else {
@@ -445,6 +1193,18 @@
                 }
             }.bind(this))
             .fail(function (err) {
+                if (component.atlas) {
+                    this._setAtlasFramePixmap(component, null);
+                }
+
+                this._failedRenderPaths[component.assetPath] = true;
+
+                // Unlike other render failures, a missing encoder can be fixed by the user
+                if (err && err.encoderNotFoundError) {
+                    this._errorManager.addErrorForComponent(component, err.message);
+                    this._errorManager.reportErrors();
+                }
+
                 if (err) {
                     this._logger.error("Render failed: %s", component.assetPath, err);
                 } else {
@@ -454,10 +1214,20 @@
             .finally(function () {
                 delete this._renderPromises[component.id];
 
+                if (component.atlas) {
+                    this._updateAtlases();
+                }
+
                 // If we've processed all our render job then wait for all the
                 // file movement to finish to emit an "idle" event
                 if (Object.keys(this._renderPromises).length === 0) {
                     Q.allSettled(this._filePromises).finally(function () {
+                        this._writeManifest();
+
+                        if (this._pruneOnIdle) {
+                            this._pruneOrphanedAssets();
+                        }
+
                         this.emit("idle");
                     }.bind(this));
                     this._filePromises = [];
@@ -503,7 +1273,7 @@
                 if (this._hasPendingRender(componentId)) {
                     this._renderManager.cancel(componentId);
                 }
-                this._fileManager.removeFileWithin(comp.assetPath);
+                this._removeComponentAsset(comp);
             }
         }.bind(this));
     };
@@ -574,6 +1344,7 @@
 
         if (change.comps) {
             this._handleCompsChange(change.comps);
+            this._handleAnimationCompsChange(change.comps);
         }
         
         // if the layer was just renamed; then reparse it and figure out if component
@@ -596,6 +1367,44 @@
                 }, dependentLayers);
             }.bind(this), {});
 
+            // Also process the layers whose asset paths contain placeholders, like {group} or {index},
+            // that the change has affected
+            var staleLayers = this._componentManager.getLayersWithStalePlaceholders();
+            _intKeys(staleLayers).forEach(function (layerId) {
+                dependentLayers[layerId] = staleLayers[layerId];
+            });
+
+            // And the child layers of groups whose each directives the change has affected
+            changedLayerIds.forEach(function (layerId) {
+                var layerChange = change.layers[layerId];
+
+                if (layerChange.type === "removed") {
+                    return;
+                }
+
+                var eachLayers = this._componentManager.getLayersWithStaleEachDirectives(layerChange.layer);
+                _intKeys(eachLayers).forEach(function (eachLayerId) {
+                    dependentLayers[eachLayerId] = eachLayers[eachLayerId];
+                });
+            }, this);
+
+            // And the layers whose group settings, like a profile or a folder, the change has affected
+            var changedLayers = changedLayerIds.filter(function (layerId) {
+                    return change.layers[layerId].type !== "removed";
+                }).map(function (layerId) {
+                    return change.layers[layerId].layer;
+                }),
+                regroupedLayers = this._componentManager.getLayersWithStaleGroupSettings(changedLayers);
+            _intKeys(regroupedLayers).forEach(function (layerId) {
+                dependentLayers[layerId] = regroupedLayers[layerId];
+            });
+
+            // And the layers sized relative to an artboard that the change has resized
+            var resizedLayers = this._componentManager.getLayersWithStaleRelativeSizes();
+            _intKeys(resizedLayers).forEach(function (layerId) {
+                dependentLayers[layerId] = resizedLayers[layerId];
+            });
+
             // Find all the component specifications for all the changed layers and their dependencies
             var specificationsByLayer = _intKeys(dependentLayers).reduce(function (specifications, layerId) {
                 var layer = dependentLayers[layerId],
@@ -675,9 +1484,7 @@
                 currentComponents.forEach(function (component) {
                     try {
                         var componentId = this._componentManager.addComponent(layer, component);
-                        this._componentManager.getDerivedComponents(componentId).forEach(function (derivedComponent) {
-                            this._requestRender(derivedComponent);
-                        }, this);
+                        this._requestRenderForBasicComponent(componentId);
                     } catch (ex) {
                         this._errorManager.addError(layer, ex.message);
                     }
@@ -686,7 +1493,16 @@
         }
         
         if (change.layers || change.comps) {
+            this._reportPathCollisions();
             this._errorManager.reportErrors();
+
+            // Atlases whose frames were removed without any others being re-rendered still need to be repacked
+            this._updateAtlases();
+
+            // Removals that don't trigger a render pass still need to be reflected in the manifest
+            if (Object.keys(this._renderPromises).length === 0) {
+                this._writeManifest();
+            }
         }
     };
 
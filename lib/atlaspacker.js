@@ -0,0 +1,167 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var pixmaputils = require("./pixmaputils");
+
+    // Transparent pixels between neighboring frames, which keep them from bleeding
+    // into each other when the atlas is sampled
+    var FRAME_PADDING = 2;
+
+    /**
+     * Pack the given frames into a single atlas using a simple shelf packer: frames
+     * are sorted by height and placed left to right into rows whose width is chosen
+     * so that the atlas is roughly square.
+     *
+     * @param {Array.<{name: string, pixmap: Pixmap}>} frames
+     * @return {{width: number, height: number,
+     *      frames: Array.<{name: string, pixmap: Pixmap, x: number, y: number}>}}
+     */
+    function pack(frames) {
+        var sorted = frames.slice().sort(function (a, b) {
+                return (b.pixmap.height - a.pixmap.height) || (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0));
+            }),
+            area = sorted.reduce(function (area, frame) {
+                return area + (frame.pixmap.width + FRAME_PADDING) * (frame.pixmap.height + FRAME_PADDING);
+            }, 0),
+            maxFrameWidth = sorted.reduce(function (max, frame) {
+                return Math.max(max, frame.pixmap.width);
+            }, 0),
+            rowWidth = Math.max(maxFrameWidth, Math.ceil(Math.sqrt(area))),
+            x = 0,
+            y = 0,
+            rowHeight = 0,
+            width = 0,
+            placed;
+
+        placed = sorted.map(function (frame) {
+            if (x > 0 && x + frame.pixmap.width > rowWidth) {
+                x = 0;
+                y += rowHeight + FRAME_PADDING;
+                rowHeight = 0;
+            }
+
+            var result = {
+                name: frame.name,
+                pixmap: frame.pixmap,
+                x: x,
+                y: y
+            };
+
+            width = Math.max(width, x + frame.pixmap.width);
+            rowHeight = Math.max(rowHeight, frame.pixmap.height);
+            x += frame.pixmap.width + FRAME_PADDING;
+
+            return result;
+        });
+
+        return {
+            width: width,
+            height: y + rowHeight,
+            frames: placed
+        };
+    }
+
+    /**
+     * Draw the frames of a packed atlas into a single pixmap.
+     *
+     * @param {{width: number, height: number, frames: Array.<{pixmap: Pixmap, x: number, y: number}>}} layout
+     * @return {Pixmap}
+     */
+    function createPixmap(layout) {
+        var pixmap = pixmaputils.createPixmap(layout.width, layout.height, layout.frames[0].pixmap);
+
+        layout.frames.forEach(function (frame) {
+            var rect = { x: 0, y: 0, width: frame.pixmap.width, height: frame.pixmap.height };
+            pixmaputils.blit(frame.pixmap, rect, pixmap, frame.x, frame.y);
+        });
+
+        return pixmap;
+    }
+
+    /**
+     * Describe the frames of a packed atlas in the JSON hash format of TexturePacker.
+     *
+     * @param {{width: number, height: number, frames: Array}} layout
+     * @param {string} imageName The filename of the atlas image
+     * @return {object}
+     */
+    function getFrameMap(layout, imageName) {
+        var frames = {};
+
+        layout.frames.forEach(function (frame) {
+            var width = frame.pixmap.width,
+                height = frame.pixmap.height;
+
+            frames[frame.name] = {
+                frame: { x: frame.x, y: frame.y, w: width, h: height },
+                rotated: false,
+                trimmed: false,
+                spriteSourceSize: { x: 0, y: 0, w: width, h: height },
+                sourceSize: { w: width, h: height }
+            };
+        });
+
+        return {
+            frames: frames,
+            meta: {
+                app: "generator-assets",
+                version: "1.0",
+                image: imageName,
+                format: "RGBA8888",
+                size: { w: layout.width, h: layout.height },
+                scale: "1"
+            }
+        };
+    }
+
+    /**
+     * Create a CSS sprite stylesheet with one class per frame of a packed atlas,
+     * e.g., ".ui-play" for the frame "play.png" of the atlas "ui".
+     *
+     * @param {{frames: Array}} layout
+     * @param {string} atlasName
+     * @param {string} imageName The filename of the atlas image
+     * @return {string}
+     */
+    function getStylesheet(layout, atlasName, imageName) {
+        var prefix = atlasName.replace(/[^a-zA-Z0-9_\-]/g, "-");
+
+        return layout.frames.map(function (frame) {
+            var frameName = frame.name.replace(/\.[^.]*$/, "").replace(/[^a-zA-Z0-9_\-]/g, "-");
+
+            return "." + prefix + "-" + frameName + " {\n" +
+                "    background: url(\"" + imageName + "\") " + (-frame.x) + "px " + (-frame.y) + "px no-repeat;\n" +
+                "    width: " + frame.pixmap.width + "px;\n" +
+                "    height: " + frame.pixmap.height + "px;\n" +
+                "}\n";
+        }).join("\n");
+    }
+
+    exports.pack = pack;
+    exports.createPixmap = createPixmap;
+    exports.getFrameMap = getFrameMap;
+    exports.getStylesheet = getStylesheet;
+}());
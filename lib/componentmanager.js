@@ -26,9 +26,20 @@
 
     var path = require("path"),
         ParserManager = require("./parsermanager"),
+        metadataValidator = require("./metadatavalidator"),
+        presets = require("./presets"),
         META_PLUGIN_ID = "crema",
+        PLACEHOLDER_PATTERN = /\{([a-z]+)\}/g,
         _componentIdCounter = 0;
 
+    // The placeholders whose values are names or positions, unlike the sizes of layers and assets
+    var STATIC_PLACEHOLDERS = {
+        layer: true,
+        doc: true,
+        group: true,
+        index: true
+    };
+
     // FIXME: The relationship between basic components, default components and
     // derived components should be made explicit. It's kind of a mess now
     // and hard to understand at a glance.
@@ -48,6 +59,22 @@
         return component.file;
     }
 
+    /**
+     * Determine whether the given layer is at the top level of its document, i.e.,
+     * not inside a group. In documents with artboards, every layer is inside an
+     * artboard, so the layers at the top level of an artboard count as top-level,
+     * too, and their default specifications apply to the whole document.
+     *
+     * @private
+     * @param {Layer} layer
+     * @return {boolean}
+     */
+    function _isTopLevelLayer(layer) {
+        var group = layer.group;
+
+        return !group || !group.group || (!!group.artboard && !group.group.group);
+    }
+
     /**
      * Create a shallow copy of a component.
      * 
@@ -67,6 +94,218 @@
         return clone;
     }
 
+    /**
+     * Determine whether the file, folder or suffix of the given component contains
+     * placeholders, like {layer} or {doc}.
+     *
+     * @private
+     * @param {Component} component
+     * @return {boolean}
+     */
+    function _hasPlaceholders(component) {
+        return [component.file, component.suffix].concat(component.folder || []).some(function (part) {
+            return typeof part === "string" && part.search(PLACEHOLDER_PATTERN) >= 0;
+        });
+    }
+
+    /**
+     * Determine whether the size of the given component is a percentage of the
+     * document or artboard size, like 50%docx?.
+     *
+     * @private
+     * @param {Component} component
+     * @return {boolean}
+     */
+    function _usesRelativeUnits(component) {
+        return component.widthUnit === "%doc" || component.heightUnit === "%doc";
+    }
+
+    /**
+     * Describe the size that %doc units of a component on the given layer are
+     * relative to: the size of the enclosing artboard, if any, or of the document.
+     *
+     * @private
+     * @param {Layer} layer
+     * @return {string} The size, like 1024x768
+     */
+    function _getRelativeSize(layer) {
+        var group = layer;
+
+        while (group && !group.artboard) {
+            group = group.group;
+        }
+
+        var bounds = group ? group.artboard : layer.document.bounds;
+
+        return bounds.width() + "x" + bounds.height();
+    }
+
+    /**
+     * Make a placeholder value safe for use in a file or folder name.
+     *
+     * @private
+     * @param {*} value
+     * @return {string}
+     */
+    function _sanitizePlaceholderValue(value) {
+        return String(value).replace(/[\\\/":*?<>!|{}\0-\x1F\x7f]/g, "_").trim();
+    }
+
+    /**
+     * Get the value of {layer} for the components found in a layer name: the parts
+     * of the name that are not asset specifications or, if the name consists only
+     * of specifications, the basename of the first file without placeholders.
+     *
+     * @private
+     * @param {Array.<string>} titleParts
+     * @param {Array.<{component: Component=}>} results
+     * @return {string} The title, or the empty string if there is none
+     */
+    function _getLayerTitle(titleParts, results) {
+        if (titleParts.length > 0) {
+            return titleParts.join(" ");
+        }
+
+        var title = "";
+
+        results.some(function (result) {
+            var file = result.component && !result.component.default && result.component.file;
+
+            if (file && file.search(PLACEHOLDER_PATTERN) < 0) {
+                title = path.basename(file, path.extname(file));
+            }
+
+            return title.length > 0;
+        });
+
+        return title;
+    }
+
+    /**
+     * Snapshot the names and positions that placeholders in the given component's
+     * file and folder names refer to. Snapshots are taken when components are added
+     * so that the derived asset paths remain stable until the component is re-added.
+     *
+     * @private
+     * @param {Component} component A component whose layer, comp or document is set
+     * @return {{layer: string, doc: string, comp: string, group: string, index: string,
+     *      width: number, height: number}}
+     */
+    function _getPlaceholderValues(component) {
+        var layer = component.layer,
+            comp = component.comp,
+            document = component.document || (layer && layer.document),
+            bounds = layer ? layer.bounds : (document && document.bounds),
+            values = {
+                layer: "",
+                doc: document ? document.basename : "",
+                comp: comp ? comp.name : "",
+                group: "",
+                index: "",
+                width: bounds ? bounds.width() : 0,
+                height: bounds ? bounds.height() : 0
+            };
+
+        if (layer) {
+            values.layer = component.layerTitle || "layer-" + layer.id;
+
+            if (layer.group) {
+                if (layer.group !== layer.document.layers) {
+                    values.group = layer.group.name;
+                }
+                values.index = String(layer.group.layers.length - layer.group.layers.indexOf(layer));
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Approximate the pixel dimensions of the asset for the given component from
+     * its size specification and the dimensions of its source object. Sizes given
+     * in physical units are approximated by the scaled source dimensions.
+     *
+     * @private
+     * @param {Component} component
+     * @return {{w: number, h: number}}
+     */
+    function _getPlaceholderSize(component) {
+        var values = component.placeholderValues,
+            scale = component.scale || 1,
+            pixelWidth = component.hasOwnProperty("width") && (!component.widthUnit || component.widthUnit === "px"),
+            pixelHeight = component.hasOwnProperty("height") &&
+                (!component.heightUnit || component.heightUnit === "px"),
+            w = values.width * scale,
+            h = values.height * scale;
+
+        if (pixelWidth && pixelHeight) {
+            w = component.width;
+            h = component.height;
+        } else if (pixelWidth && values.width) {
+            w = component.width;
+            h = values.height * component.width / values.width;
+        } else if (pixelHeight && values.height) {
+            w = values.width * component.height / values.height;
+            h = component.height;
+        }
+
+        return {
+            w: Math.round(component.canvasWidth || w),
+            h: Math.round(component.canvasHeight || h)
+        };
+    }
+
+    /**
+     * Substitute the placeholders in the file and folder names of the given component
+     * with the values that the given function returns for their names, if any. Folders
+     * that end up empty, e.g., {group} for a top-level layer, are dropped.
+     *
+     * @private
+     * @param {Component} component
+     * @param {function(string): *} getValue Returns undefined to keep a placeholder
+     */
+    function _substitutePlaceholders(component, getValue) {
+        var resolve = function (part) {
+            return part.replace(PLACEHOLDER_PATTERN, function (placeholder, name) {
+                var value = getValue(name);
+
+                return value === undefined ? placeholder : _sanitizePlaceholderValue(value);
+            });
+        };
+
+        component.file = resolve(component.file);
+
+        if (component.folder) {
+            component.folder = component.folder.map(resolve).filter(function (folder) {
+                return folder.length > 0;
+            });
+        }
+    }
+
+    /**
+     * Substitute the placeholders in the file and folder names of the given
+     * component with the values snapshotted for it.
+     *
+     * @private
+     * @param {Component} component
+     */
+    function _resolvePlaceholders(component) {
+        if (!component.placeholderValues || !_hasPlaceholders(component)) {
+            return;
+        }
+
+        var values = component.placeholderValues,
+            size = _getPlaceholderSize(component);
+
+        _substitutePlaceholders(component, function (name) {
+            if (name === "w" || name === "h") {
+                return size[name];
+            }
+
+            return values.hasOwnProperty(name) ? values[name] : undefined;
+        });
+    }
+
     /**
      * Create a single derived component from a given default component and basic
      * component. 
@@ -105,6 +344,11 @@
 
                 if (def.hasOwnProperty("scale")) {
                     derived.scale = def.scale;
+
+                    // Like its size, the padding of the basic component is given at 100%
+                    if (derived.hasOwnProperty("padding")) {
+                        derived.padding *= def.scale;
+                    }
                 }
 
                 if (def.hasOwnProperty("width")) {
@@ -114,6 +358,10 @@
                 if (def.hasOwnProperty("height")) {
                     derived.height = def.height;
                 }
+
+                if (def.hasOwnProperty("sizing")) {
+                    derived.sizing = def.sizing;
+                }
             }
         }
         
@@ -151,6 +399,14 @@
             }
         }
 
+        ["trim", "padding", "matte"].forEach(function (property) {
+            if (def.hasOwnProperty(property) && !derived.hasOwnProperty(property)) {
+                derived[property] = def[property];
+            }
+        });
+
+        _resolvePlaceholders(derived);
+
         derived.id = def.id + ":" + basic.id;
         derived.assetPath = _getAssetPath(derived);
         derived.default = def;
@@ -158,6 +414,55 @@
         return derived;
     }
 
+    /**
+     * Create the derived components that a default preset component expands into
+     * for a given basic component. Unlike plain default components, each rendition
+     * of a preset determines the complete folder and file of the derived component,
+     * and scales the basic component's own size by the rendition's factor.
+     *
+     * @private
+     * @param {Component} def A default component with a preset property
+     * @param {Component} basic A basic component
+     * @return {Array.<Component>} The derived components
+     */
+    function _derivePresetComponents(def, basic) {
+        return presets.getRenditions(def.preset, basic).map(function (rendition) {
+            var derived = _shallowCopy(basic),
+                factor = rendition.factor;
+
+            derived.folder = rendition.folder;
+            derived.file = rendition.file;
+
+            if (derived.hasOwnProperty("width") || derived.hasOwnProperty("height")) {
+                if (derived.hasOwnProperty("width")) {
+                    derived.width *= factor;
+                }
+
+                if (derived.hasOwnProperty("height")) {
+                    derived.height *= factor;
+                }
+            } else {
+                derived.scale = (derived.hasOwnProperty("scale") ? derived.scale : 1) * factor;
+            }
+
+            ["canvasWidth", "canvasHeight", "canvasOffsetX", "canvasOffsetY", "padding"].forEach(function (property) {
+                if (derived.hasOwnProperty(property)) {
+                    derived[property] *= factor;
+                }
+            });
+
+            Object.keys(rendition.properties || {}).forEach(function (property) {
+                derived[property] = rendition.properties[property];
+            });
+
+            derived.id = def.id + "-" + rendition.key + ":" + basic.id;
+            derived.assetPath = _getAssetPath(derived);
+            derived.default = def;
+
+            return derived;
+        });
+    }
+
     /**
      * ComponentManagers manage a set of Component objects.
      * 
@@ -171,8 +476,10 @@
         this._componentsForComp = {};
         this._componentsForDocument = {};
         this._paths = {};
-        this._defaultLayerId = null;
+        this._defaultLayerIds = {};
+        this._groupDefaultLayerIds = {};
         this._metaDefaultComponents = [];
+        this._groupNameResults = {};
         this._metaDataRoot = config["meta-data-root"] || META_PLUGIN_ID;
     }
 
@@ -223,15 +530,229 @@
     ComponentManager.prototype._paths = null;
 
     /**
-     * The layer ID that contains a default component specification, if any.
+     * The IDs of the layers that contain default component specifications, keyed
+     * by the name of their profile, like "mobile", or "" for the unnamed defaults.
      * 
-     * @type {?number}
+     * @type {{string: number}}
      */
-    ComponentManager.prototype._defaultLayerId = null;
+    ComponentManager.prototype._defaultLayerIds = null;
+
+    /**
+     * The IDs of the layers inside groups that contain default component specifications
+     * for the layers of that group, keyed by group ID.
+     * 
+     * @type {{number: number}}
+     */
+    ComponentManager.prototype._groupDefaultLayerIds = null;
+
+    /**
+     * The results of analyzing the names of groups, along with the analyzed names,
+     * keyed by group ID. Group names are analyzed for each of their descendant
+     * layers, so the results are kept until the group is renamed.
+     *
+     * @see ComponentManager.prototype._analyzeGroupName
+     * @type {{number: {name: string, results: Array.<{component: Component, errors: Array.<string>}>}}}
+     */
+    ComponentManager.prototype._groupNameResults = null;
+
+    /**
+     * The matte color, like #ffffff, that applies to every component that doesn't
+     * specify its own, as set by the document's meta-data.
+     *
+     * @type {?string}
+     */
+    ComponentManager.prototype._defaultMatte = null;
 
     ComponentManager.prototype.getComponentId = function () {
         return _componentIdCounter++;
     };
+
+    /**
+     * Record the values of the placeholders in the given component, whose layer,
+     * comp or document must already be set, and substitute them in its file and
+     * folder names. Default components keep their placeholders, which are
+     * substituted separately for each derived component.
+     *
+     * @private
+     * @param {Component} component
+     */
+    ComponentManager.prototype._snapshotPlaceholders = function (component) {
+        component.usesPlaceholders = _hasPlaceholders(component);
+        component.placeholderValues = _getPlaceholderValues(component);
+
+        if (component.file) {
+            _resolvePlaceholders(component);
+        }
+    };
+
+    /**
+     * Get the default components of the given profile.
+     *
+     * @private
+     * @param {string} profile The name of the profile, or "" for the unnamed defaults
+     * @return {Array.<Component>}
+     */
+    ComponentManager.prototype._getProfileComponents = function (profile) {
+        if (this._config["meta-data-driven"]) {
+            return this._metaDefaultComponents.filter(function (component) {
+                return (component.profile || "") === profile;
+            });
+        }
+
+        if (!this._defaultLayerIds.hasOwnProperty(profile)) {
+            return [];
+        }
+
+        return Object.keys(this._componentsForLayer[this._defaultLayerIds[profile]]).map(function (componentId) {
+            return this.getComponent(componentId);
+        }, this);
+    };
+
+    /**
+     * Get the default components that currently apply to basic components of the
+     * given profile. Profiles without default components fall back to the unnamed
+     * defaults.
+     *
+     * @private
+     * @param {string=} profile The name of the profile, like "mobile"
+     * @return {Array.<Component>}
+     */
+    ComponentManager.prototype._getDefaultComponents = function (profile) {
+        var defaultComponents = this._getProfileComponents(profile || "");
+
+        if (profile && defaultComponents.length === 0) {
+            return this._getProfileComponents("");
+        }
+
+        return defaultComponents;
+    };
+
+    /**
+     * Get the sets of default components that apply to the given basic component, from
+     * the innermost to the outermost: those of the groups that contain its layer,
+     * followed by the document-wide defaults.
+     *
+     * @private
+     * @param {Component} component
+     * @return {Array.<Array.<Component>>}
+     */
+    ComponentManager.prototype._getDefaultScopes = function (component) {
+        var scopes = [],
+            group = component.layer && component.layer.group,
+            defaultComponents;
+
+        while (group && group.group) {
+            if (this._groupDefaultLayerIds.hasOwnProperty(group.id)) {
+                defaultComponents = Object.keys(this._componentsForLayer[this._groupDefaultLayerIds[group.id]])
+                    .map(this.getComponent, this);
+                scopes.push(defaultComponents);
+            }
+
+            group = group.group;
+        }
+
+        defaultComponents = this._getDefaultComponents(component.profile);
+        if (defaultComponents.length > 0) {
+            scopes.push(defaultComponents);
+        }
+
+        return scopes;
+    };
+
+    /**
+     * Determine whether any default component that applies to the given basic
+     * component satisfies the given predicate.
+     *
+     * @private
+     * @param {Component} component
+     * @param {function(Component): boolean} predicate
+     * @return {boolean}
+     */
+    ComponentManager.prototype._someDefaultComponent = function (component, predicate) {
+        return this._getDefaultScopes(component).some(function (defaultComponents) {
+            return defaultComponents.some(predicate);
+        });
+    };
+
+    /**
+     * Determine whether the given layer contains default component specifications,
+     * either of a profile or of a group.
+     *
+     * @private
+     * @param {number} layerId
+     * @return {boolean}
+     */
+    ComponentManager.prototype._isDefaultLayer = function (layerId) {
+        var isLayer = function (defaultLayerIds) {
+            return function (key) {
+                return defaultLayerIds[key] === layerId;
+            };
+        };
+
+        return Object.keys(this._defaultLayerIds).some(isLayer(this._defaultLayerIds)) ||
+            Object.keys(this._groupDefaultLayerIds).some(isLayer(this._groupDefaultLayerIds));
+    };
+
+    /**
+     * Find the layers with components whose placeholder values have changed since
+     * they were added, e.g., because an ancestor group was renamed or a sibling
+     * layer was moved. The asset paths of these components are out of date, so
+     * the layers should be processed again.
+     *
+     * @return {{number: Layer}} The out-of-date layers, keyed by layer ID
+     */
+    ComponentManager.prototype.getLayersWithStalePlaceholders = function () {
+        var staleLayers = {};
+
+        Object.keys(this._allComponents).forEach(function (componentId) {
+            var component = this._allComponents[componentId],
+                layer = component.layer;
+
+            if (!layer || component.default || !(component.usesPlaceholders ||
+                    this._someDefaultComponent(component, _hasPlaceholders))) {
+                return;
+            }
+
+            var previousValues = component.placeholderValues,
+                currentValues = _getPlaceholderValues(component),
+                stale = Object.keys(currentValues).some(function (name) {
+                    return previousValues[name] !== currentValues[name];
+                });
+
+            if (stale) {
+                staleLayers[layer.id] = layer;
+            }
+        }, this);
+
+        return staleLayers;
+    };
+
+    /**
+     * Find the layers with components sized relative to an artboard or the document,
+     * like 50%docx?, whose artboard or document has been resized since they were
+     * added. Their assets are out of date, so the layers should be processed again.
+     *
+     * @return {{number: Layer}} The out-of-date layers, keyed by layer ID
+     */
+    ComponentManager.prototype.getLayersWithStaleRelativeSizes = function () {
+        var staleLayers = {};
+
+        Object.keys(this._allComponents).forEach(function (componentId) {
+            var component = this._allComponents[componentId],
+                layer = component.layer;
+
+            if (!layer || component.default || !(_usesRelativeUnits(component) ||
+                    this._someDefaultComponent(component, _usesRelativeUnits))) {
+                return;
+            }
+
+            if (component.relativeSize !== _getRelativeSize(layer)) {
+                staleLayers[layer.id] = layer;
+            }
+        }, this);
+
+        return staleLayers;
+    };
     
     /**
      * Add the provided component, which is contained by the given layer.
@@ -242,6 +763,10 @@
      *      like duplicate asset file names or duplicate defaults layers.
      */
     ComponentManager.prototype.addComponent = function (layer, component) {
+        component.layer = layer;
+        component.relativeSize = _getRelativeSize(layer);
+        this._snapshotPlaceholders(component);
+
         var assetPath = _getAssetPath(component);
 
         if (component.file) {
@@ -257,24 +782,50 @@
                 specName = component.suffix;
             }
 
-            // FIXME: this is not quite right because we don't yet detect
-            // when derived components will have conflicting filenames.
+            // Each profile and each group has its own set of default specifications
+            var scope = null;
+            if (!_isTopLevelLayer(layer)) {
+                scope = "#" + layer.group.id;
+            } else if (component.profile) {
+                scope = "@" + component.profile;
+            }
+
+            if (scope) {
+                specName = specName && scope + path.sep + specName;
+                assetPath = scope + path.sep + assetPath;
+            }
+
+            // Derived components with conflicting filenames are detected separately
+            // @see ComponentManager.prototype.findPathCollisions
             if (specName && this._paths.hasOwnProperty(specName)) {
                 throw new Error("Duplicate default specification: " + specName);
             }
         }
 
-        if (component.default) {
-            if (this._defaultLayerId !== null && this._defaultLayerId !== layer.id) {
+        if (component.default && !_isTopLevelLayer(layer)) {
+            var groupId = layer.group.id;
+
+            if (component.profile) {
+                throw new Error("Default profiles must be at the top level: " + layer.name);
+            }
+
+            if (this._groupDefaultLayerIds.hasOwnProperty(groupId) &&
+                    this._groupDefaultLayerIds[groupId] !== layer.id) {
                 throw new Error("Duplicate default layer: " + layer.name);
             }
-            this._defaultLayerId = layer.id;
+            this._groupDefaultLayerIds[groupId] = layer.id;
+        } else if (component.default) {
+            var profile = component.profile || "";
+
+            if (this._defaultLayerIds.hasOwnProperty(profile) && this._defaultLayerIds[profile] !== layer.id) {
+                throw new Error("Duplicate default layer: " + layer.name);
+            }
+            this._defaultLayerIds[profile] = layer.id;
         }
 
         var componentId = this.getComponentId();
 
         component.id = componentId;
-        component.layer = layer;
         component.assetPath = assetPath;
 
         this._allComponents[componentId] = component;
@@ -314,8 +865,13 @@
     ComponentManager.prototype.addDocumentComponent = function (component) {
         var componentId = this.getComponentId();
         component.id = componentId;
+        this._snapshotPlaceholders(component);
         component.assetPath = _getAssetPath(component);
 
+        if (this._defaultMatte && !component.hasOwnProperty("matte")) {
+            component.matte = this._defaultMatte;
+        }
+
         this._componentsForDocument[componentId] = component;
         this._allComponents[componentId] = component;
     };
@@ -328,6 +884,8 @@
      *      like duplicate asset file names or duplicate defaults layers.
      */
     ComponentManager.prototype.addLayerCompComponent = function (component) {
+        this._snapshotPlaceholders(component);
+
         var componentId = this.getComponentId(),
             assetPath = _getAssetPath(component);
         
@@ -338,6 +896,10 @@
         }
         component.id = componentId;
         component.assetPath = assetPath;
+
+        if (this._defaultMatte && !component.hasOwnProperty("matte")) {
+            component.matte = this._defaultMatte;
+        }
         
         this._allComponents[componentId] = component;
         this._paths[assetPath] = true;
@@ -382,9 +944,17 @@
             if (Object.keys(this._componentsForLayer[layerId]).length === 0) {
                 delete this._componentsForLayer[layerId];
 
-                if (this._defaultLayerId === layerId) {
-                    this._defaultLayerId = null;
-                }
+                Object.keys(this._defaultLayerIds).forEach(function (profile) {
+                    if (this._defaultLayerIds[profile] === layerId) {
+                        delete this._defaultLayerIds[profile];
+                    }
+                }, this);
+
+                Object.keys(this._groupDefaultLayerIds).forEach(function (groupId) {
+                    if (this._groupDefaultLayerIds[groupId] === layerId) {
+                        delete this._groupDefaultLayerIds[groupId];
+                    }
+                }, this);
             }
         } else if (comp) {
             if (this._componentsForComp[compId]) {
@@ -468,7 +1038,7 @@
      * @return {Array.<Component>}
      */
     ComponentManager.prototype.getBasicComponentsByLayer = function (layerId) {
-        if (layerId === this._defaultLayerId) {
+        if (this._isDefaultLayer(layerId)) {
             return [];
         }
 
@@ -485,38 +1055,407 @@
      * @return {Array.<Component>}
      */
     ComponentManager.prototype.getDerivedComponents = function (componentId) {
-        var component = this.getComponent(componentId),
-            defaultComponents;
+        var component = this.getComponent(componentId);
 
-        if (!this._config["meta-data-driven"]) {
-            if (this._defaultLayerId === null) {
-                return [component];
+        if (!this._config["meta-data-driven"] && component.default) {
+            return [];
+        }
+
+        // Texture atlas frames are packed as they are, so they are not derived
+        if (component.atlas) {
+            return [component];
+        }
+
+        // The defaults of the innermost group apply first, so that their sizes and settings
+        // take precedence, and the document-wide defaults apply last, to each of the results
+        return this._getDefaultScopes(component).reduce(function (components, defaultComponents) {
+            return components.reduce(function (derivedComponents, scopedComponent) {
+                defaultComponents.forEach(function (def) {
+                    if (def.preset) {
+                        derivedComponents.push.apply(derivedComponents, _derivePresetComponents(def, scopedComponent));
+                    } else {
+                        derivedComponents.push(_deriveComponent(def, scopedComponent));
+                    }
+                });
+
+                return derivedComponents;
+            }, []);
+        }, [component]).map(this._applyDefaultMatte, this);
+    };
+
+    /**
+     * Set the matte color for all components that don't specify their own.
+     *
+     * @param {?string} matte A color like #ffffff or #fff, or null to unset it
+     * @throws {Error} If the color is invalid
+     */
+    ComponentManager.prototype.setDefaultMatte = function (matte) {
+        if (!matte) {
+            this._defaultMatte = null;
+            return;
+        }
+
+        var result = this._parserManager.analyzeComponent({ name: String(matte), matte: String(matte) });
+
+        if (result.errors.length > 0) {
+            throw new Error(result.errors[0]);
+        }
+
+        this._defaultMatte = result.component.matte;
+    };
+
+    /**
+     * Get the given component with the document's default matte color, if it has
+     * none of its own. The given component is copied rather than modified.
+     *
+     * @private
+     * @param {Component} component
+     * @return {Component}
+     */
+    ComponentManager.prototype._applyDefaultMatte = function (component) {
+        if (!this._defaultMatte || component.hasOwnProperty("matte")) {
+            return component;
+        }
+
+        var matted = _shallowCopy(component);
+        matted.matte = this._defaultMatte;
+        return matted;
+    };
+
+    /**
+     * Return every component that currently produces an asset: the components
+     * derived from all basic layer components, as well as all the layer comp and
+     * document components.
+     *
+     * @return {Array.<Component>}
+     */
+    ComponentManager.prototype.getAllDerivedComponents = function () {
+        var components = [];
+
+        Object.keys(this._componentsForLayer).forEach(function (layerId) {
+            this.getBasicComponentsByLayer(parseInt(layerId, 10)).forEach(function (component) {
+                components = components.concat(this.getDerivedComponents(component.id));
+            }, this);
+        }, this);
+
+        Object.keys(this._componentsForComp).forEach(function (compId) {
+            Object.keys(this._componentsForComp[compId]).forEach(function (componentId) {
+                components.push(this.getComponent(componentId));
+            }, this);
+        }, this);
+
+        Object.keys(this._componentsForDocument).forEach(function (componentId) {
+            components.push(this.getComponent(componentId));
+        }, this);
+
+        return components;
+    };
+
+    /**
+     * Find the assets that more than one component would write to the same path,
+     * e.g., because a default suffix gives two layers' assets the same file name.
+     * Paths that only differ in case collide, too, because they refer to the same
+     * file on case-insensitive file systems, like those of macOS and Windows.
+     *
+     * @return {Array.<Array.<Component>>} The groups of colliding derived components
+     */
+    ComponentManager.prototype.findPathCollisions = function () {
+        var componentsByPath = {};
+
+        this.getAllDerivedComponents().forEach(function (component) {
+            // Texture atlas frames are packed into their atlas instead of being written
+            if (component.atlas) {
+                return;
             }
 
-            if (component.default) {
-                return [];
+            var key = component.assetPath.toLowerCase();
+
+            if (!componentsByPath.hasOwnProperty(key)) {
+                componentsByPath[key] = [];
             }
 
-            var defaultComponentMap = this._componentsForLayer[this._defaultLayerId];
-            defaultComponents = Object.keys(defaultComponentMap)
-                .map(function (componentId) {
-                    return this.getComponent(componentId);
-                }, this);
-        } else {
-            defaultComponents = this._metaDefaultComponents;
+            componentsByPath[key].push(component);
+        });
+
+        return Object.keys(componentsByPath).filter(function (key) {
+            return componentsByPath[key].length > 1;
+        }).map(function (key) {
+            return componentsByPath[key];
+        });
+    };
+
+    /**
+     * Find the iOS asset catalog image sets that components of more than one asset
+     * would be written to, e.g., "logo.png" and "logo.jpg", which both map to the
+     * "logo.imageset" folder and would overwrite each other's Contents.json. Like
+     * asset paths, image set folders that only differ in case collide, too.
+     *
+     * @return {Array.<Array.<Component>>} For each colliding image set, the derived
+     *      components of the first scale at which different assets collide
+     */
+    ComponentManager.prototype.findImagesetCollisions = function () {
+        var componentsByScale = {},
+            collisions = {};
+
+        this.getAllDerivedComponents().forEach(function (component) {
+            if (!component.imageset) {
+                return;
+            }
+
+            var key = (component.imageset + path.sep + component.imagesetScale).toLowerCase();
+
+            if (!componentsByScale.hasOwnProperty(key)) {
+                componentsByScale[key] = [];
+            }
+
+            componentsByScale[key].push(component);
+        });
+
+        Object.keys(componentsByScale).forEach(function (key) {
+            var components = componentsByScale[key],
+                imagesetKey = components[0].imageset.toLowerCase(),
+                paths = {};
+
+            components.forEach(function (component) {
+                paths[component.assetPath.toLowerCase()] = true;
+            });
+
+            // Components that only write to the same path are reported as path collisions
+            if (Object.keys(paths).length > 1 && !collisions.hasOwnProperty(imagesetKey)) {
+                collisions[imagesetKey] = components;
+            }
+        });
+
+        return Object.keys(collisions).map(function (imagesetKey) {
+            return collisions[imagesetKey];
+        });
+    };
+
+    /**
+     * Analyze the name of the given group, reusing the results of the last analysis
+     * if the group has not been renamed since. The results are shared, so their
+     * components must not be modified.
+     *
+     * @private
+     * @param {Layer} group
+     * @return {Array.<{component: Component, errors: Array.<string>}>}
+     */
+    ComponentManager.prototype._analyzeGroupName = function (group) {
+        var cached = this._groupNameResults[group.id];
+
+        if (!cached || cached.name !== group.name) {
+            cached = this._groupNameResults[group.id] = {
+                name: group.name,
+                results: group.name ? this._parserManager.analyzeLayerName(group.name) : []
+            };
         }
 
-        if (defaultComponents.length === 0) {
-            return [component];
+        return cached.results;
+    };
+
+    /**
+     * Find the valid components of the given group's each directives, like
+     * each @2x icons/*.png, which apply to each of the group's child layers.
+     *
+     * @private
+     * @param {Layer} group
+     * @return {Array.<Component>}
+     */
+    ComponentManager.prototype._findEachComponents = function (group) {
+        if (this._config["meta-data-driven"] || !group.layers || !group.name) {
+            return [];
         }
 
-        return defaultComponents.map(function (def) {
-            return _deriveComponent(def, component);
+        return this._analyzeGroupName(group).filter(function (result) {
+            return result.errors.length === 0 && result.component.each;
+        }).map(function (result) {
+            var component = _shallowCopy(result.component);
+
+            delete component.each;
+            component.eachGroupId = group.id;
+            component.eachGroupName = group.name;
+
+            return component;
+        });
+    };
+
+    /**
+     * Find the child layers of the given group whose components from the group's
+     * each directives are out of date, e.g., because the group was renamed. These
+     * layers should be processed again.
+     *
+     * @param {Layer} group
+     * @return {{number: Layer}} The out-of-date layers, keyed by layer ID
+     */
+    ComponentManager.prototype.getLayersWithStaleEachDirectives = function (group) {
+        var staleLayers = {};
+
+        if (!group.layers) {
+            return staleLayers;
+        }
+
+        var hasEachDirective = this._findEachComponents(group).length > 0;
+
+        group.layers.forEach(function (layer) {
+            var components = this.getComponentsByLayer(layer.id),
+                eachComponentIds = Object.keys(components).filter(function (componentId) {
+                    return components[componentId].eachGroupId === group.id;
+                }),
+                stale;
+
+            if (eachComponentIds.length > 0) {
+                stale = eachComponentIds.some(function (componentId) {
+                    return components[componentId].eachGroupName !== group.name;
+                });
+            } else {
+                stale = hasEachDirective;
+            }
+
+            if (stale) {
+                staleLayers[layer.id] = layer;
+            }
+        }, this);
+
+        return staleLayers;
+    };
+
+    /**
+     * Find the settings that the name of the given group gives the layers inside
+     * it: the default profile that they opt into, like @mobile, and the folder that
+     * their assets are written to, like icons/. In meta-data-driven mode, groups
+     * only opt into profiles, through the profile of their layer settings.
+     *
+     * @private
+     * @param {Layer} group
+     * @return {{profile: ?string, folder: Array.<string>}}
+     */
+    ComponentManager.prototype._findGroupSpecs = function (group) {
+        var specs = {
+                profile: null,
+                folder: []
+            };
+
+        if (this._config["meta-data-driven"]) {
+            var groupMeta;
+
+            try {
+                groupMeta = this._getLayerMetaData(group);
+            } catch (ex) {
+                // Invalid JSON is reported for the group itself
+                return specs;
+            }
+
+            if (groupMeta && typeof groupMeta.profile === "string" && groupMeta.profile) {
+                specs.profile = groupMeta.profile;
+            }
+
+            return specs;
+        }
+
+        var results = this._analyzeGroupName(group);
+
+        results.forEach(function (result) {
+            var component = result.component;
+
+            if (result.errors.length > 0 || component.file || component.default) {
+                return;
+            }
+
+            if (component.profile) {
+                specs.profile = component.profile;
+            } else if (component.folder) {
+                specs.folder = specs.folder.concat(component.folder);
+            }
         });
+
+        return specs;
+    };
+
+    /**
+     * Get the settings that the groups containing the given layer give it: the
+     * default profile of the closest group that opts into one, and the folders of
+     * all the groups, from the outermost to the innermost.
+     *
+     * @private
+     * @param {Layer} layer
+     * @param {{number: {profile: ?string, folder: Array.<string>}}=} cache The specs of groups
+     *      found so far, keyed by group ID, to avoid parsing group names repeatedly
+     * @return {{profile: ?string, folder: Array.<string>}}
+     */
+    ComponentManager.prototype._getGroupSettings = function (layer, cache) {
+        var settings = {
+                profile: null,
+                folder: []
+            },
+            group = layer.group;
+
+        // The top-level layer group of the document has no name
+        cache = cache || {};
+
+        while (group && group.group) {
+            if (!cache.hasOwnProperty(group.id)) {
+                cache[group.id] = this._findGroupSpecs(group);
+            }
+
+            var specs = cache[group.id];
+
+            settings.profile = settings.profile || specs.profile;
+            settings.folder = specs.folder.concat(settings.folder);
+            group = group.group;
+        }
+
+        return settings;
+    };
+
+    /**
+     * Find the layers with components whose group settings have changed since they
+     * were added, e.g., because a group that opts into a profile or that has a folder
+     * was renamed, or the layer was moved into another group. Their derived components
+     * are out of date, so the layers should be processed again. Group settings only
+     * change for the changed layers and, if they are groups, their descendants, so
+     * only those layers are checked.
+     *
+     * @param {Array.<Layer>} changedLayers The layers that have changed, except for removed layers
+     * @return {{number: Layer}} The out-of-date layers, keyed by layer ID
+     */
+    ComponentManager.prototype.getLayersWithStaleGroupSettings = function (changedLayers) {
+        var staleLayers = {},
+            groupSpecs = {};
+
+        var isStale = function (layer) {
+            var componentIds = Object.keys(this._componentsForLayer[layer.id] || {}),
+                currentSettings = null;
+
+            return componentIds.some(function (componentId) {
+                var component = this._allComponents[componentId],
+                    previousSettings = component.groupSettings;
+
+                if (component.default) {
+                    return false;
+                }
+
+                currentSettings = currentSettings || this._getGroupSettings(layer, groupSpecs);
+
+                return !previousSettings || previousSettings.profile !== currentSettings.profile ||
+                    previousSettings.folder.join(path.sep) !== currentSettings.folder.join(path.sep);
+            }, this);
+        }.bind(this);
+
+        changedLayers.forEach(function (changedLayer) {
+            changedLayer.visit(function (layer) {
+                if (!staleLayers.hasOwnProperty(layer.id) && isStale(layer)) {
+                    staleLayers[layer.id] = layer;
+                }
+            });
+        });
+
+        return staleLayers;
     };
 
     ComponentManager.prototype._findAllComponentsUsingLayerNames = function (layer) {
         var components = [],
+            titleParts = [],
+            profile = null,
             results;
         if (layer.name) {
             results = this._parserManager.analyzeLayerName(layer.name);
@@ -526,33 +1465,123 @@
                     components.push({errors: errors});
                 } else {
                     var component = result.component;
-                    if (component.file || component.default) {
+                    if (component.each) {
+                        // Each directives are expanded for the child layers instead
+                        if (!layer.layers) {
+                            components.push({errors: ["Only groups can export each layer: " + component.name]});
+                        }
+                    } else if (component.file || component.default) {
                         components.push({component: component});
+                    } else if (component.profile) {
+                        profile = component.profile;
+                    } else if (component.name && !component.folder) {
+                        titleParts.push(component.name);
                     }
                 }
             }, this);
         }
+
+        if (layer.group) {
+            this._findEachComponents(layer.group).forEach(function (component) {
+                components.push({component: component});
+            });
+        }
+
+        var groupSettings = this._getGroupSettings(layer),
+            layerTitle = _getLayerTitle(titleParts, components);
+
+        profile = profile || groupSettings.profile;
+
+        components.forEach(function (result) {
+            var component = result.component;
+
+            if (!component) {
+                return;
+            }
+
+            component.layerTitle = layerTitle;
+
+            if (!component.default) {
+                component.groupSettings = groupSettings;
+
+                if (profile) {
+                    component.profile = profile;
+                }
+
+                // The folders of the containing groups come first
+                if (groupSettings.folder.length > 0) {
+                    component.folder = groupSettings.folder.concat(component.folder || []);
+                }
+            }
+        });
+
         return components;
     };
     
-    ComponentManager.prototype._findAllComponentsUsingMetaData = function (layer) {
-        var components = [],
-            layerMeta = layer._generatorSettings && layer._generatorSettings[this._metaDataRoot];
-        
+    /**
+     * Get the layer settings of the given layer in meta-data-driven mode.
+     *
+     * @private
+     * @param {Layer} layer
+     * @return {?object} The layer settings, if there are any
+     * @throws {SyntaxError} If the layer settings are invalid JSON
+     */
+    ComponentManager.prototype._getLayerMetaData = function (layer) {
+        var layerMeta = layer._generatorSettings && layer._generatorSettings[this._metaDataRoot];
+
         if (layerMeta && layerMeta.json) {
             layerMeta = JSON.parse(layerMeta.json);
         }
+
+        return layerMeta || null;
+    };
+
+    /**
+     * In meta-data-driven mode, the assets of a layer opt into a default profile
+     * through their own profile or, failing that, the profile of the layer's settings
+     * or of the closest containing group whose settings have one.
+     */
+    ComponentManager.prototype._findAllComponentsUsingMetaData = function (layer) {
+        var components = [],
+            layerMeta;
+
+        try {
+            layerMeta = this._getLayerMetaData(layer);
+        } catch (ex) {
+            return [{errors: ["Invalid asset settings JSON: " + ex.message]}];
+        }
+
+        if (layerMeta) {
+            var errors = metadataValidator.validate(layerMeta, "layerSettings");
+            if (errors.length > 0) {
+                components.push({errors: errors});
+            }
+        }
         
-        if (layerMeta && layerMeta.assetSettings) {
+        if (layerMeta && Array.isArray(layerMeta.assetSettings)) {
             layerMeta.assetSettings.forEach(function (setting) {
-                
-                if (setting.file && setting.extension) {
-                    var result = this._parserManager.analyzeComponent(setting);
-                    if (result.errors.length > 0) {
-                        components.push({errors: result.errors});
-                    } else {
-                        components.push({component: result.component});
+                // The schema violations of the setting have been reported above
+                if (!metadataValidator.canAnalyze(setting, "assetSetting")) {
+                    return;
+                }
+
+                var result = this._parserManager.analyzeComponent(setting);
+                if (result.errors.length > 0) {
+                    components.push({errors: result.errors});
+                } else {
+                    var component = result.component,
+                        groupSettings = this._getGroupSettings(layer),
+                        profile = component.profile || (typeof layerMeta.profile === "string" && layerMeta.profile) ||
+                            groupSettings.profile;
+
+                    component.layerTitle = layer.name;
+                    component.groupSettings = groupSettings;
+
+                    if (profile) {
+                        component.profile = profile;
                     }
+
+                    components.push({component: component});
                 }
             }, this);
         }
@@ -576,5 +1605,27 @@
         return this._findAllComponentsUsingMetaData(layer);
     };
 
+    /**
+     * Substitute the current values of the placeholders of the given basic component,
+     * found in the name of the given layer, that stand for names and positions, like
+     * {layer} and {index}. Placeholders that stand for sizes, like {w}, are kept, as
+     * are those of default components, which stand for the values of each basic
+     * component that they apply to.
+     *
+     * @param {Layer} layer The layer whose name the component was found in
+     * @param {Component} component A component that has not been added
+     */
+    ComponentManager.prototype.resolveStaticPlaceholders = function (layer, component) {
+        if (component.default || !_hasPlaceholders(component)) {
+            return;
+        }
+
+        var values = _getPlaceholderValues({ layer: layer, layerTitle: component.layerTitle });
+
+        _substitutePlaceholders(component, function (name) {
+            return STATIC_PLACEHOLDERS.hasOwnProperty(name) ? values[name] : undefined;
+        });
+    };
+
     module.exports = ComponentManager;
 }());
@@ -0,0 +1,179 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    /*jshint bitwise: false*/
+
+    var zlib = require("zlib");
+
+    var SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    // Frame delays are written in milliseconds
+    var DELAY_DENOMINATOR = 1000;
+
+    var _crcTable = null;
+
+    /**
+     * Compute the CRC-32 checksum that terminates every PNG chunk.
+     *
+     * @private
+     * @param {Buffer} data
+     * @return {number}
+     */
+    function _crc32(data) {
+        var crc = -1,
+            i,
+            j,
+            c;
+
+        if (!_crcTable) {
+            _crcTable = new Int32Array(256);
+            for (i = 0; i < 256; i++) {
+                c = i;
+                for (j = 0; j < 8; j++) {
+                    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                _crcTable[i] = c;
+            }
+        }
+
+        for (i = 0; i < data.length; i++) {
+            crc = _crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+
+        return (crc ^ -1) >>> 0;
+    }
+
+    /**
+     * Build a PNG chunk of the given type.
+     *
+     * @private
+     * @param {string} type Four-letter chunk type
+     * @param {Buffer} data
+     * @return {Buffer}
+     */
+    function _chunk(type, data) {
+        var chunk = Buffer.alloc(data.length + 12),
+            typeAndData = chunk.slice(4, chunk.length - 4);
+
+        chunk.writeUInt32BE(data.length, 0);
+        chunk.write(type, 4, 4, "ascii");
+        data.copy(chunk, 8);
+        chunk.writeUInt32BE(_crc32(typeAndData), chunk.length - 4);
+
+        return chunk;
+    }
+
+    /**
+     * Compress the pixels of an 8-bit ARGB pixmap as unfiltered RGBA scanlines.
+     *
+     * @private
+     * @param {Pixmap} pixmap
+     * @return {Buffer}
+     */
+    function _compressPixels(pixmap) {
+        var rowBytes = pixmap.rowBytes || pixmap.width * 4,
+            lineLength = pixmap.width * 4 + 1,
+            raw = Buffer.alloc(lineLength * pixmap.height),
+            x,
+            y,
+            source,
+            target;
+
+        for (y = 0; y < pixmap.height; y++) {
+            raw[y * lineLength] = 0; // filter type: none
+            for (x = 0; x < pixmap.width; x++) {
+                source = y * rowBytes + x * 4;
+                target = y * lineLength + 1 + x * 4;
+                raw[target] = pixmap.pixels[source + 1];
+                raw[target + 1] = pixmap.pixels[source + 2];
+                raw[target + 2] = pixmap.pixels[source + 3];
+                raw[target + 3] = pixmap.pixels[source];
+            }
+        }
+
+        return zlib.deflateSync(raw);
+    }
+
+    /**
+     * Encode a sequence of equally sized pixmaps as an animated PNG. Each frame
+     * replaces the previous one entirely.
+     *
+     * @param {Array.<{pixmap: Pixmap, delay: number}>} frames 8-bit ARGB pixmaps, with delays in milliseconds
+     * @param {number} loop Number of times to play the animation, where 0 means forever
+     * @return {Buffer} The contents of the APNG file
+     */
+    function encode(frames, loop) {
+        var width = frames[0].pixmap.width,
+            height = frames[0].pixmap.height,
+            header = Buffer.alloc(13),
+            control = Buffer.alloc(8),
+            chunks = [SIGNATURE],
+            sequence = 0;
+
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header.writeUInt8(8, 8); // bit depth
+        header.writeUInt8(6, 9); // color type: RGBA
+        chunks.push(_chunk("IHDR", header));
+
+        control.writeUInt32BE(frames.length, 0);
+        control.writeUInt32BE(loop, 4);
+        chunks.push(_chunk("acTL", control));
+
+        frames.forEach(function (frame, index) {
+            var frameControl = Buffer.alloc(26),
+                data = _compressPixels(frame.pixmap),
+                frameData;
+
+            frameControl.writeUInt32BE(sequence++, 0);
+            frameControl.writeUInt32BE(width, 4);
+            frameControl.writeUInt32BE(height, 8);
+            frameControl.writeUInt32BE(0, 12); // x offset
+            frameControl.writeUInt32BE(0, 16); // y offset
+            frameControl.writeUInt16BE(Math.min(Math.round(frame.delay), 0xffff), 20);
+            frameControl.writeUInt16BE(DELAY_DENOMINATOR, 22);
+            frameControl.writeUInt8(0, 24); // dispose: none
+            frameControl.writeUInt8(0, 25); // blend: source
+            chunks.push(_chunk("fcTL", frameControl));
+
+            // The first frame doubles as the static image shown by decoders without APNG support
+            if (index === 0) {
+                chunks.push(_chunk("IDAT", data));
+            } else {
+                frameData = Buffer.alloc(data.length + 4);
+                frameData.writeUInt32BE(sequence++, 0);
+                data.copy(frameData, 4);
+                chunks.push(_chunk("fdAT", frameData));
+            }
+        });
+
+        chunks.push(_chunk("IEND", Buffer.alloc(0)));
+
+        return Buffer.concat(chunks);
+    }
+
+    exports.encode = encode;
+}());
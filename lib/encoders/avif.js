@@ -0,0 +1,154 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var childProcess = require("child_process");
+
+    var Q = require("q");
+
+    /**
+     * Round a color component to the nearest byte value.
+     *
+     * @private
+     * @param {number} value
+     * @return {number}
+     */
+    function _toByte(value) {
+        return Math.max(0, Math.min(255, Math.round(value)));
+    }
+
+    /**
+     * Convert an ARGB pixmap into a single YUV 4:4:4 frame with an alpha plane, in
+     * the y4m format that avifenc reads from its standard input. Lossy frames use
+     * the full-range BT.601 matrix, which is avifenc's default. Lossless frames use
+     * the identity matrix, which stores the green, blue and red channels as they are,
+     * because converting them to YUV would lose precision.
+     *
+     * @private
+     * @param {Pixmap} pixmap
+     * @param {boolean} lossless
+     * @return {Buffer}
+     */
+    function _toY4M(pixmap, lossless) {
+        var header = "YUV4MPEG2 W" + pixmap.width + " H" + pixmap.height +
+                " F25:1 Ip A1:1 C444alpha XCOLORRANGE=FULL\nFRAME\n",
+            rowBytes = pixmap.rowBytes || pixmap.width * 4,
+            planeSize = pixmap.width * pixmap.height,
+            frame = Buffer.alloc(header.length + planeSize * 4),
+            planes = header.length,
+            y,
+            x;
+
+        frame.write(header, 0, "ascii");
+
+        for (y = 0; y < pixmap.height; y++) {
+            for (x = 0; x < pixmap.width; x++) {
+                var source = y * rowBytes + x * 4,
+                    target = planes + y * pixmap.width + x,
+                    a = pixmap.pixels[source],
+                    r = pixmap.pixels[source + 1],
+                    g = pixmap.pixels[source + 2],
+                    b = pixmap.pixels[source + 3];
+
+                if (lossless) {
+                    frame[target] = g;
+                    frame[target + planeSize] = b;
+                    frame[target + planeSize * 2] = r;
+                } else {
+                    frame[target] = _toByte(0.299 * r + 0.587 * g + 0.114 * b);
+                    frame[target + planeSize] = _toByte(128 - 0.168736 * r - 0.331264 * g + 0.5 * b);
+                    frame[target + planeSize * 2] = _toByte(128 + 0.5 * r - 0.418688 * g - 0.081312 * b);
+                }
+
+                frame[target + planeSize * 3] = a;
+            }
+        }
+
+        return frame;
+    }
+
+    /**
+     * Encode a pixmap as an AVIF file using the avifenc command-line encoder from
+     * libavif, which must be installed separately. The pixmap is piped to the encoder,
+     * so it doesn't have to be saved in another format first.
+     *
+     * @param {string} encoderPath Path to the avifenc executable, or its name on the PATH
+     * @param {Pixmap} pixmap An ARGB pixmap with the dimensions of the asset
+     * @param {string} outputPath Absolute path at which to write the AVIF file
+     * @param {{quality: number=, lossless: boolean=}} options Quality ranges from 1 to 100;
+     *      if lossless is set, the quality is ignored.
+     * @return {Promise} Resolves once the AVIF file has been written. If the encoder
+     *      can't be found, the error has an encoderNotFoundError property.
+     */
+    function encode(encoderPath, pixmap, outputPath, options) {
+        var deferred = Q.defer(),
+            args = ["--stdin"],
+            stderr = "";
+
+        if (options.lossless) {
+            args.push("--lossless", "--cicp", "1/13/0");
+        } else if (options.quality !== undefined) {
+            args.push("-q", String(options.quality));
+        }
+
+        args.push(outputPath);
+
+        var encoder = childProcess.spawn(encoderPath, args);
+
+        encoder.stderr.on("data", function (chunk) {
+            stderr += chunk;
+        });
+
+        encoder.on("error", function (err) {
+            var error;
+
+            if (err.code === "ENOENT") {
+                error = new Error("AVIF assets require the avifenc encoder from libavif, which was not found: " +
+                    encoderPath);
+                error.encoderNotFoundError = true;
+            } else {
+                error = new Error("Unable to run AVIF encoder " + encoderPath + ": " + err.message);
+            }
+
+            deferred.reject(error);
+        });
+
+        encoder.on("close", function (code) {
+            if (code === 0) {
+                deferred.resolve();
+            } else {
+                deferred.reject(new Error("AVIF encoder exited with code " + code + ": " + stderr.trim()));
+            }
+        });
+
+        // If the encoder fails to start or exits early, the error is reported above
+        encoder.stdin.on("error", function () {});
+        encoder.stdin.end(_toY4M(pixmap, !!options.lossless));
+
+        return deferred.promise;
+    }
+
+    exports.encode = encode;
+}());
@@ -0,0 +1,404 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    /*jshint bitwise: false*/
+
+    // GIF images have a palette of at most 256 colors, with LZW codes of at most 12 bits
+    var MAX_COLORS = 256,
+        MAX_CODE = 4096,
+        MAX_BLOCK_SIZE = 255;
+
+    // Pixels that are less than half opaque become fully transparent
+    var ALPHA_THRESHOLD = 128;
+
+    /**
+     * Reduce a color to the 15-bit key of its histogram bucket.
+     *
+     * @private
+     * @param {Buffer} pixels 8-bit ARGB pixels
+     * @param {number} offset Offset of the pixel's alpha channel
+     * @return {number}
+     */
+    function _getColorKey(pixels, offset) {
+        return ((pixels[offset + 1] >> 3) << 10) | ((pixels[offset + 2] >> 3) << 5) | (pixels[offset + 3] >> 3);
+    }
+
+    /**
+     * Get one channel (0 for red, 1 for green, 2 for blue) of a color key, as a 5-bit value.
+     *
+     * @private
+     * @param {number} key
+     * @param {number} channel
+     * @return {number}
+     */
+    function _getChannel(key, channel) {
+        return (key >> (10 - channel * 5)) & 0x1f;
+    }
+
+    /**
+     * Call the given function for the offset of every pixel of the pixmap.
+     *
+     * @private
+     * @param {Pixmap} pixmap
+     * @param {function(number)} callback
+     */
+    function _forEachPixel(pixmap, callback) {
+        var rowBytes = pixmap.rowBytes || pixmap.width * 4,
+            x,
+            y;
+
+        for (y = 0; y < pixmap.height; y++) {
+            for (x = 0; x < pixmap.width; x++) {
+                callback(y * rowBytes + x * 4);
+            }
+        }
+    }
+
+    /**
+     * Split the box of colors with the most pixels, among those that hold more than
+     * one color, at the median of its widest channel.
+     *
+     * @private
+     * @param {Array.<Array.<number>>} boxes Lists of color keys; modified in place
+     * @param {Uint32Array} histogram Pixel counts by color key
+     * @return {boolean} Whether a box could be split
+     */
+    function _splitLargestBox(boxes, histogram) {
+        var boxIndex = -1,
+            boxCount = 0;
+
+        boxes.forEach(function (box, index) {
+            var count = box.reduce(function (sum, key) {
+                return sum + histogram[key];
+            }, 0);
+
+            if (box.length > 1 && count > boxCount) {
+                boxIndex = index;
+                boxCount = count;
+            }
+        });
+
+        if (boxIndex < 0) {
+            return false;
+        }
+
+        var box = boxes[boxIndex],
+            ranges = [0, 1, 2].map(function (channel) {
+                var values = box.map(function (key) {
+                    return _getChannel(key, channel);
+                });
+                return Math.max.apply(null, values) - Math.min.apply(null, values);
+            }),
+            axis = ranges.indexOf(Math.max.apply(null, ranges)),
+            median = 0,
+            split;
+
+        box.sort(function (a, b) {
+            return _getChannel(a, axis) - _getChannel(b, axis);
+        });
+
+        for (split = 0; split < box.length - 1 && median < boxCount / 2; split++) {
+            median += histogram[box[split]];
+        }
+
+        split = Math.max(split, 1);
+        boxes.splice(boxIndex, 1, box.slice(0, split), box.slice(split));
+
+        return true;
+    }
+
+    /**
+     * Choose a palette for the given pixmaps with the median cut algorithm.
+     *
+     * @private
+     * @param {Array.<Pixmap>} pixmaps
+     * @param {number} maxColors
+     * @return {Array.<Array.<number>>} RGB colors
+     */
+    function _quantize(pixmaps, maxColors) {
+        var histogram = new Uint32Array(32768),
+            keys = [],
+            splittable = true,
+            boxes,
+            key;
+
+        pixmaps.forEach(function (pixmap) {
+            _forEachPixel(pixmap, function (offset) {
+                if (pixmap.pixels[offset] >= ALPHA_THRESHOLD) {
+                    histogram[_getColorKey(pixmap.pixels, offset)]++;
+                }
+            });
+        });
+
+        for (key = 0; key < histogram.length; key++) {
+            if (histogram[key] > 0) {
+                keys.push(key);
+            }
+        }
+
+        if (keys.length === 0) {
+            return [];
+        }
+
+        boxes = [keys];
+
+        while (splittable && boxes.length < maxColors) {
+            splittable = _splitLargestBox(boxes, histogram);
+        }
+
+        return boxes.map(function (box) {
+            var sums = [0, 0, 0],
+                count = 0;
+
+            box.forEach(function (key) {
+                [0, 1, 2].forEach(function (channel) {
+                    sums[channel] += _getChannel(key, channel) * histogram[key];
+                });
+                count += histogram[key];
+            });
+
+            return sums.map(function (sum) {
+                return Math.round((sum / count) * 255 / 31);
+            });
+        });
+    }
+
+    /**
+     * Find the palette entry closest to the color of the given histogram bucket.
+     *
+     * @private
+     * @param {Array.<Array.<number>>} palette
+     * @param {number} key
+     * @return {number} Index into the palette
+     */
+    function _findNearestColor(palette, key) {
+        var color = [0, 1, 2].map(function (channel) {
+                return _getChannel(key, channel) * 255 / 31;
+            }),
+            nearest = 0,
+            nearestDistance = Infinity;
+
+        palette.forEach(function (entry, index) {
+            var distance = 0,
+                channel;
+
+            for (channel = 0; channel < 3; channel++) {
+                distance += (entry[channel] - color[channel]) * (entry[channel] - color[channel]);
+            }
+
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Compress palette indices with the variable-length LZW variant of the GIF format.
+     *
+     * @private
+     * @param {Uint8Array} indices
+     * @param {number} minCodeSize
+     * @param {Array.<number>} output Bytes are appended to this array, as data sub-blocks
+     */
+    function _writeLZW(indices, minCodeSize, output) {
+        var clearCode = 1 << minCodeSize,
+            endCode = clearCode + 1,
+            nextCode = endCode + 1,
+            codeSize = minCodeSize + 1,
+            table = {},
+            block = [],
+            bits = 0,
+            bitCount = 0,
+            prefix,
+            i;
+
+        function emit(code) {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+
+            while (bitCount >= 8) {
+                block.push(bits & 0xff);
+                bits >>>= 8;
+                bitCount -= 8;
+
+                if (block.length === MAX_BLOCK_SIZE) {
+                    output.push(block.length);
+                    Array.prototype.push.apply(output, block);
+                    block = [];
+                }
+            }
+        }
+
+        output.push(minCodeSize);
+        emit(clearCode);
+
+        prefix = indices[0];
+        for (i = 1; i < indices.length; i++) {
+            var entry = (prefix << 8) | indices[i];
+
+            if (table.hasOwnProperty(entry)) {
+                prefix = table[entry];
+            } else {
+                emit(prefix);
+
+                if (nextCode === MAX_CODE) {
+                    emit(clearCode);
+                    table = {};
+                    nextCode = endCode + 1;
+                    codeSize = minCodeSize + 1;
+                } else {
+                    if (nextCode >= (1 << codeSize)) {
+                        codeSize++;
+                    }
+                    table[entry] = nextCode++;
+                }
+
+                prefix = indices[i];
+            }
+        }
+
+        emit(prefix);
+        emit(endCode);
+
+        if (bitCount > 0) {
+            block.push(bits & 0xff);
+        }
+        if (block.length > 0) {
+            output.push(block.length);
+            Array.prototype.push.apply(output, block);
+        }
+        output.push(0);
+    }
+
+    /**
+     * Append a little-endian 16-bit integer to the output.
+     *
+     * @private
+     * @param {Array.<number>} output
+     * @param {number} value
+     */
+    function _writeUInt16(output, value) {
+        output.push(value & 0xff, (value >> 8) & 0xff);
+    }
+
+    /**
+     * Encode a sequence of equally sized pixmaps as an animated GIF. All frames
+     * share a single palette, which is chosen from the colors of every frame.
+     *
+     * @param {Array.<{pixmap: Pixmap, delay: number}>} frames 8-bit ARGB pixmaps, with delays in milliseconds
+     * @param {number} loop Number of times to play the animation, where 0 means forever
+     * @return {Buffer} The contents of the GIF file
+     */
+    function encode(frames, loop) {
+        var pixmaps = frames.map(function (frame) {
+                return frame.pixmap;
+            }),
+            width = pixmaps[0].width,
+            height = pixmaps[0].height,
+            transparent = pixmaps.some(function (pixmap) {
+                var found = false;
+                _forEachPixel(pixmap, function (offset) {
+                    found = found || pixmap.pixels[offset] < ALPHA_THRESHOLD;
+                });
+                return found;
+            }),
+            // Reserve the first palette entry for transparent pixels
+            firstColor = transparent ? 1 : 0,
+            palette = _quantize(pixmaps, MAX_COLORS - firstColor),
+            tableBits = 1,
+            nearest = new Int16Array(32768).fill(-1),
+            output = [],
+            i;
+
+        while ((1 << tableBits) < palette.length + firstColor) {
+            tableBits++;
+        }
+
+        output.push.apply(output, Buffer.from("GIF89a", "ascii"));
+        _writeUInt16(output, width);
+        _writeUInt16(output, height);
+        output.push(0x80 | ((8 - 1) << 4) | (tableBits - 1), 0, 0);
+
+        for (i = 0; i < (1 << tableBits); i++) {
+            var color = palette[i - firstColor] || [0, 0, 0];
+            output.push(color[0], color[1], color[2]);
+        }
+
+        // The Netscape application extension sets the number of repetitions after the
+        // first play, where 0 means forever. Without it, the animation plays once.
+        if (loop !== 1) {
+            output.push(0x21, 0xff, 0x0b);
+            output.push.apply(output, Buffer.from("NETSCAPE2.0", "ascii"));
+            output.push(0x03, 0x01);
+            _writeUInt16(output, loop === 0 ? 0 : loop - 1);
+            output.push(0);
+        }
+
+        pixmaps.forEach(function (pixmap, index) {
+            var indices = new Uint8Array(width * height),
+                pixel = 0;
+
+            _forEachPixel(pixmap, function (offset) {
+                var key;
+
+                if (transparent && pixmap.pixels[offset] < ALPHA_THRESHOLD) {
+                    indices[pixel++] = 0;
+                } else {
+                    key = _getColorKey(pixmap.pixels, offset);
+                    if (nearest[key] < 0) {
+                        nearest[key] = _findNearestColor(palette, key) + firstColor;
+                    }
+                    indices[pixel++] = nearest[key];
+                }
+            });
+
+            // Graphic control extension: delays are in hundredths of a second, and frames with
+            // transparency are cleared before the next one is drawn
+            output.push(0x21, 0xf9, 0x04, transparent ? (2 << 2) | 1 : (1 << 2));
+            _writeUInt16(output, Math.min(Math.round(frames[index].delay / 10), 0xffff));
+            output.push(0, 0);
+
+            // Image descriptor
+            output.push(0x2c);
+            _writeUInt16(output, 0);
+            _writeUInt16(output, 0);
+            _writeUInt16(output, width);
+            _writeUInt16(output, height);
+            output.push(0);
+
+            _writeLZW(indices, Math.max(tableBits, 2), output);
+        });
+
+        output.push(0x3b);
+
+        return Buffer.from(output);
+    }
+
+    exports.encode = encode;
+}());
@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    // Sizes, in bytes, of the ICO header and of each of its directory entries
+    var HEADER_SIZE = 6,
+        ENTRY_SIZE = 16;
+
+    /**
+     * Pack PNG images into a single ICO container. Every image is stored as a
+     * 32-bit PNG entry, which all current browsers and operating systems support.
+     *
+     * @param {Array.<{width: number, height: number, data: Buffer}>} images PNG data,
+     *      with dimensions from 1 to 256 pixels
+     * @return {Buffer} The contents of the ICO file
+     */
+    function encode(images) {
+        var header = Buffer.alloc(HEADER_SIZE + ENTRY_SIZE * images.length),
+            offset = header.length;
+
+        header.writeUInt16LE(0, 0); // reserved
+        header.writeUInt16LE(1, 2); // image type: icon
+        header.writeUInt16LE(images.length, 4);
+
+        images.forEach(function (image, index) {
+            var entry = HEADER_SIZE + ENTRY_SIZE * index;
+
+            // A dimension of 256 is stored as 0
+            header.writeUInt8(image.width % 256, entry);
+            header.writeUInt8(image.height % 256, entry + 1);
+            header.writeUInt8(0, entry + 2); // no color palette
+            header.writeUInt8(0, entry + 3); // reserved
+            header.writeUInt16LE(1, entry + 4); // color planes
+            header.writeUInt16LE(32, entry + 6); // bits per pixel
+            header.writeUInt32LE(image.data.length, entry + 8);
+            header.writeUInt32LE(offset, entry + 12);
+
+            offset += image.data.length;
+        });
+
+        return Buffer.concat([header].concat(images.map(function (image) {
+            return image.data;
+        })));
+    }
+
+    exports.encode = encode;
+}());
@@ -54,6 +54,7 @@
     ErrorManager.prototype.LAYER = "layer";
     ErrorManager.prototype.LAYER_COMP = "layer-comp";
     ErrorManager.prototype.DOCUMENT = "document";
+    ErrorManager.prototype.ASSET_PATH = "asset-path";
     ErrorManager.prototype.UNKNOWN = "unknown";
 
     /**
@@ -25,6 +25,7 @@
     "use strict";
 
     var assert = require("assert"),
+        crypto = require("crypto"),
         path = require("path");
 
     var fs = require("fs-extra"),
@@ -35,6 +36,51 @@
     // Files that are ignored when trying to determine whether a directory is empty
     var FILES_TO_IGNORE = new RegExp("(.DS_Store)$|(desktop.ini)$", "i");
 
+    // Folder, relative to the base directory, into which orphaned files are moved
+    var TRASH_FOLDER = ".trash";
+
+    // Number of hex digits of the content hash that goes into hashed filenames
+    var HASH_LENGTH = 6;
+
+    /**
+     * Insert a short content hash before the extension of the given path, e.g.,
+     * "icons/play.png" becomes "icons/play.3fa9c1.png".
+     *
+     * @private
+     * @param {string} relativePath
+     * @param {string} hash Hex digest of the file's contents
+     * @return {string}
+     */
+    function _getHashedPath(relativePath, hash) {
+        var extension = path.extname(relativePath);
+
+        return relativePath.substring(0, relativePath.length - extension.length) +
+            "." + hash.substring(0, HASH_LENGTH) + extension;
+    }
+
+    /**
+     * Determine whether the given path is the given unhashed path or one of its
+     * hashed variants, e.g., "icons/play.3fa9c1.png" for "icons/play.png".
+     *
+     * @private
+     * @param {string} relativePath
+     * @param {string} unhashedPath
+     * @return {boolean}
+     */
+    function _isVariantOf(relativePath, unhashedPath) {
+        if (relativePath === unhashedPath) {
+            return true;
+        }
+
+        var extension = path.extname(unhashedPath),
+            prefix = unhashedPath.substring(0, unhashedPath.length - extension.length) + ".";
+
+        return relativePath.length === prefix.length + HASH_LENGTH + extension.length &&
+            relativePath.indexOf(prefix) === 0 &&
+            relativePath.substring(relativePath.length - extension.length) === extension &&
+            /^[0-9a-f]+$/.test(relativePath.substring(prefix.length, prefix.length + HASH_LENGTH));
+    }
+
     var _homeDirectory = process.env[(process.platform === "win32") ? "USERPROFILE" : "HOME"],
         _desktopDirectory = _homeDirectory && path.resolve(_homeDirectory, "Desktop");
 
@@ -52,6 +98,9 @@
         this._config = config;
         this._logger = logger;
 
+        this._writtenPaths = {};
+        this._hashedPaths = {};
+
         this._queue = new AsyncQueue();
         this._queue.pause();
         this._queue.on("error", function (err) {
@@ -84,6 +133,27 @@
      */
     FileManager.prototype._queue = null;
 
+    /**
+     * The set of paths, relative to the base directory, of the files that this
+     * FileManager has written and not removed since. These are the files that the
+     * assets folder owns; every other file in it is an orphan.
+     *
+     * @see FileManager.prototype.pruneFilesWithin
+     * @type {{string: boolean}}
+     */
+    FileManager.prototype._writtenPaths = null;
+
+    /**
+     * The hashed paths of the files with hashed filenames that this FileManager has
+     * written and not removed since, keyed by their unhashed paths, all relative to
+     * the base directory. Only the latest hashed variant of each path is kept, so
+     * a variant is never mistaken for a file that merely looks like one, such as
+     * "logo.beaded.png"; variants left over from earlier sessions are pruned.
+     *
+     * @type {{string: string}}
+     */
+    FileManager.prototype._hashedPaths = null;
+
     /**
      * @type {?function(): Promise}
      */
@@ -231,6 +301,95 @@
         return Q.ninvoke(fs, "remove", fullPath);
     };
 
+    /**
+     * List the files, relative to basePath, contained in the given directory and
+     * its subdirectories. Files matching FILES_TO_IGNORE are omitted, as is the
+     * trash folder.
+     *
+     * @private
+     * @param {string} basePath An absolute path
+     * @param {string} relativeDirectory A path relative to basePath
+     * @return {Promise.<Array.<string>>}
+     */
+    FileManager.prototype._listFilesHelper = function (basePath, relativeDirectory) {
+        var directory = path.resolve(basePath, relativeDirectory);
+
+        return Q.ninvoke(fs, "readdir", directory)
+            .then(function (files) {
+                var listPromises = files.map(function (file) {
+                    var relativePath = path.join(relativeDirectory, file);
+
+                    if (FILES_TO_IGNORE.test(file) || relativePath === TRASH_FOLDER) {
+                        return [];
+                    }
+
+                    return Q.ninvoke(fs, "stat", path.resolve(basePath, relativePath))
+                        .then(function (stats) {
+                            if (stats.isDirectory()) {
+                                return this._listFilesHelper(basePath, relativePath);
+                            }
+                            return [relativePath];
+                        }.bind(this));
+                }, this);
+
+                return Q.all(listPromises);
+            }.bind(this), function (err) {
+                if (err.code === "ENOENT") {
+                    return [];
+                } else {
+                    throw err;
+                }
+            })
+            .then(function (lists) {
+                return Array.prototype.concat.apply([], lists);
+            });
+    };
+
+    /**
+     * Compute a hex digest of the contents of the file at the given full path.
+     *
+     * @private
+     * @param {string} fullPath
+     * @return {Promise.<string>}
+     */
+    FileManager.prototype._hashFileHelper = function (fullPath) {
+        var deferred = Q.defer(),
+            hash = crypto.createHash("sha1"),
+            stream = fs.createReadStream(fullPath);
+
+        stream.on("data", function (chunk) {
+            hash.update(chunk);
+        });
+        stream.on("error", deferred.reject);
+        stream.on("end", function () {
+            deferred.resolve(hash.digest("hex"));
+        });
+
+        return deferred.promise;
+    };
+
+    /**
+     * Forget the hashed variant of the given unhashed path that was written last,
+     * returning it so that its file can be removed.
+     *
+     * @private
+     * @param {string} relativePath The unhashed path, relative to the base directory
+     * @return {?string} The hashed path, relative to the base directory, if any
+     */
+    FileManager.prototype._forgetHashedPath = function (relativePath) {
+        var key = path.normalize(relativePath),
+            hashedPath = this._hashedPaths[key];
+
+        if (!hashedPath) {
+            return null;
+        }
+
+        delete this._hashedPaths[key];
+        delete this._writtenPaths[hashedPath];
+
+        return hashedPath;
+    };
+
     /**
      * Write or append data to the file at the given fullPath. Ensure that the
      * file at fullPath exists by creating the necessary subdirectories.
@@ -320,22 +479,76 @@
 
     /**
      * Move a file at a given absolute path into the base directory managed by this
-     * FileManager instance to the given relative path.
+     * FileManager instance to the given relative path, optionally inserting a short
+     * hash of its contents into the filename. If a file with identical contents
+     * already exists at the target path, it is left untouched and the source file
+     * is removed instead, so that unchanged assets keep their modification times.
+     * Once a hashed file has been moved into place, the hashed variant of the
+     * relative path that was written before, i.e., the previous version of the
+     * file, is removed.
      * 
      * @param {string} sourceFullPath
-     * @param {string} targetRelativePath
-     * @return {Promise.<string>} Resolves with the full target file path when complete
+     * @param {string} targetRelativePath The unhashed target path
+     * @param {boolean=} hashed Whether to insert a hash of the contents into the filename
+     * @return {Promise.<{path: string, relativePath: string=, hash: string, skipped: boolean}>} Resolves
+     *      when complete with the full target file path, the relative hashed path if the filename
+     *      is hashed, the hex digest of its contents and whether the write was skipped because
+     *      the contents were unchanged
      */
-    FileManager.prototype.moveFileInto = function (sourceFullPath, targetRelativePath) {
+    FileManager.prototype.moveFileInto = function (sourceFullPath, targetRelativePath, hashed) {
         return this._later(function () {
             var basePath = this._basePath;
             if (!basePath) {
                 throw new Error("Can't move file: no base path");
             }
 
-            var targetFullPath = path.resolve(basePath, targetRelativePath);
-            return this._moveFileHelper(sourceFullPath, targetFullPath)
-                .thenResolve(targetFullPath);
+            return this._hashFileHelper(sourceFullPath)
+                .then(function (hash) {
+                    var relativePath = hashed ? _getHashedPath(targetRelativePath, hash) : targetRelativePath,
+                        targetFullPath = path.resolve(basePath, relativePath);
+
+                    return this._hashFileHelper(targetFullPath)
+                        .fail(function (err) {
+                            if (err.code === "ENOENT") {
+                                return null;
+                            } else {
+                                throw err;
+                            }
+                        })
+                        .then(function (targetHash) {
+                            var skipped = hash === targetHash;
+
+                            if (skipped) {
+                                return this._removeFileHelper(sourceFullPath).thenResolve(skipped);
+                            } else {
+                                return this._moveFileHelper(sourceFullPath, targetFullPath).thenResolve(skipped);
+                            }
+                        }.bind(this))
+                        .then(function (skipped) {
+                            var previousPath = hashed && this._forgetHashedPath(targetRelativePath);
+
+                            this._writtenPaths[path.normalize(relativePath)] = true;
+
+                            if (hashed) {
+                                this._hashedPaths[path.normalize(targetRelativePath)] = path.normalize(relativePath);
+                            }
+
+                            if (previousPath && previousPath !== path.normalize(relativePath)) {
+                                return this._removeFileHelper(path.resolve(basePath, previousPath))
+                                    .thenResolve(skipped);
+                            }
+
+                            return skipped;
+                        }.bind(this))
+                        .then(function (skipped) {
+                            return {
+                                path: targetFullPath,
+                                relativePath: hashed ? relativePath : undefined,
+                                hash: hash,
+                                skipped: skipped
+                            };
+                        });
+                }.bind(this));
         }.bind(this));
     };
 
@@ -381,6 +594,8 @@
             
             var fullPath = path.resolve(basePath, relativePath);
 
+            delete this._writtenPaths[path.normalize(relativePath)];
+
             return this._removeFileHelper(fullPath)
                 .then(function () {
                     var targetDirectory = path.dirname(fullPath);
@@ -389,6 +604,93 @@
         }.bind(this));
     };
 
+    /**
+     * Remove the hashed variant of the given relative path that was written last, e.g.,
+     * "icons/play.3fa9c1.png" for "icons/play.png", under the base directory managed by
+     * this FileManager instance.
+     *
+     * @param {string} relativePath The unhashed path
+     * @return {Promise} Resolves once the operation is complete.
+     */
+    FileManager.prototype.removeHashedFileWithin = function (relativePath) {
+        return this._later(function () {
+            var basePath = this._basePath;
+            if (!basePath) {
+                throw new Error("Can't remove file: no base path");
+            }
+
+            var hashedPath = this._forgetHashedPath(relativePath);
+            if (!hashedPath) {
+                return Q.resolve();
+            }
+
+            var fullPath = path.resolve(basePath, hashedPath);
+
+            return this._removeFileHelper(fullPath)
+                .then(function () {
+                    return this._cleanup(basePath, path.dirname(fullPath));
+                }.bind(this));
+        }.bind(this));
+    };
+
+    /**
+     * Forget the files written so far, so that they are pruned unless they are
+     * written again, e.g., when asset generation restarts after a pause, during
+     * which layers may have been renamed or deleted.
+     */
+    FileManager.prototype.forgetWrittenFiles = function () {
+        this._writtenPaths = {};
+        this._hashedPaths = {};
+    };
+
+    /**
+     * Remove every file under the base directory managed by this FileManager
+     * instance that it has not written, along with any directories left empty.
+     * Files matching FILES_TO_IGNORE are left alone. Since the set of written
+     * files is only complete once every asset has been written, pruning should
+     * wait until then.
+     *
+     * @param {boolean} useTrash If true, orphaned files are moved into the trash
+     *      folder inside the base directory instead of being deleted.
+     * @param {Array.<string>=} keptPaths The relative paths of files to keep although
+     *      they have not been written, like those of assets whose render failed,
+     *      along with their hashed variants
+     * @return {Promise.<Array.<string>>} Resolves with the relative paths of the pruned files
+     */
+    FileManager.prototype.pruneFilesWithin = function (useTrash, keptPaths) {
+        return this._later(function () {
+            var basePath = this._basePath;
+            if (!basePath) {
+                throw new Error("Can't prune files: no base path");
+            }
+
+            return this._listFilesHelper(basePath, "")
+                .then(function (relativePaths) {
+                    var normalizedKeptPaths = (keptPaths || []).map(path.normalize),
+                        orphans = relativePaths.filter(function (relativePath) {
+                            return !this._writtenPaths.hasOwnProperty(relativePath) &&
+                                !normalizedKeptPaths.some(_isVariantOf.bind(null, relativePath));
+                        }, this);
+
+                    return orphans.reduce(function (promise, relativePath) {
+                        var fullPath = path.resolve(basePath, relativePath);
+
+                        return promise.then(function () {
+                            if (useTrash) {
+                                var trashPath = path.resolve(basePath, TRASH_FOLDER, relativePath);
+                                return this._moveFileHelper(fullPath, trashPath);
+                            } else {
+                                return this._removeFileHelper(fullPath);
+                            }
+                        }.bind(this)).then(function () {
+                            return this._cleanup(basePath, path.dirname(fullPath));
+                        }.bind(this));
+                    }.bind(this), Q.resolve())
+                        .thenResolve(orphans);
+                }.bind(this));
+        }.bind(this));
+    };
+
     /**
      * Write data to a file under the base directory managed by this FileManager
      * instance.
@@ -407,7 +709,10 @@
             
             var fullPath = path.resolve(basePath, relativePath);
 
-            return this._writeHelper(fullPath, data, !!append);
+            return this._writeHelper(fullPath, data, !!append)
+                .then(function () {
+                    this._writtenPaths[path.normalize(relativePath)] = true;
+                }.bind(this));
         }.bind(this));
     };
 
@@ -0,0 +1,233 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var ComponentManager = require("./componentmanager"),
+        metadataValidator = require("./metadatavalidator");
+
+    var META_PLUGIN_ID = "crema";
+
+    // The properties that the component manager adds to the components that it finds,
+    // which are not asset settings
+    var INTERNAL_PROPERTIES = {
+        "default": true,
+        layerTitle: true,
+        groupSettings: true,
+        eachGroupId: true,
+        eachGroupName: true,
+        iconSizes: true
+    };
+
+    // The extensions whose qualities are percentages, like jpg80%
+    var PERCENTAGE_QUALITY_EXTENSIONS = {
+        jpg: true,
+        webp: true,
+        avif: true
+    };
+
+    /**
+     * Convert a component found in a layer name into an asset setting. Asset settings
+     * are normalized again when they are read, so their qualities are written the way
+     * they are written in layer names.
+     *
+     * @private
+     * @param {Component} component
+     * @return {object}
+     */
+    function _toAssetSetting(component) {
+        var setting = {};
+
+        Object.keys(component).forEach(function (property) {
+            if (!INTERNAL_PROPERTIES.hasOwnProperty(property)) {
+                setting[property] = component[property];
+            }
+        });
+
+        if (component.iconSizes) {
+            setting.quality = component.iconSizes.join("-");
+        } else if (typeof component.quality === "number" && PERCENTAGE_QUALITY_EXTENSIONS[component.extension]) {
+            setting.quality = component.quality + "%";
+        }
+
+        return setting;
+    }
+
+    /**
+     * Wrap the given meta-data in the generator settings that hold it, which are
+     * keyed by the meta-data root.
+     *
+     * @private
+     * @param {object} metaData
+     * @param {string} metaDataRoot
+     * @return {object}
+     */
+    function _toGeneratorSettings(metaData, metaDataRoot) {
+        var settings = {};
+
+        settings[metaDataRoot] = { json: JSON.stringify(metaData) };
+
+        return settings;
+    }
+
+    /**
+     * MetaDataMigrators convert the asset specifications in the layer names of a
+     * document into the equivalent meta-data, for switching the document to the
+     * meta-data-driven mode.
+     *
+     * @constructor
+     * @param {Generator} generator
+     * @param {object} config
+     */
+    function MetaDataMigrator(generator, config) {
+        var layerNameConfig = {};
+
+        config = config || {};
+        Object.keys(config).forEach(function (property) {
+            layerNameConfig[property] = config[property];
+        });
+        layerNameConfig["meta-data-driven"] = false;
+
+        this._componentManager = new ComponentManager(generator, layerNameConfig);
+        this._metaDataRoot = config["meta-data-root"] || META_PLUGIN_ID;
+    }
+
+    /**
+     * Finds the components of the layer names, with each directives, group folders
+     * and profiles applied like they are in the layer name mode.
+     *
+     * @private
+     * @type {ComponentManager}
+     */
+    MetaDataMigrator.prototype._componentManager = null;
+
+    /**
+     * The key of the generator settings that hold the meta-data.
+     *
+     * @private
+     * @type {string}
+     */
+    MetaDataMigrator.prototype._metaDataRoot = null;
+
+    /**
+     * Convert the asset specifications in the layer names of the given document into
+     * meta-data. The basic components of each layer become its asset settings, and the
+     * components of the top-level default layers become the scale settings of the
+     * document. In meta-data, {layer} stands for the whole layer name, so it is replaced
+     * by the layer title of each asset, like the other placeholders that stand for names
+     * and positions. Placeholders that stand for sizes, like {w}, are kept, as are those
+     * of default specifications, so {layer} in a scale setting stands for the whole name
+     * of each layer until the layers are renamed. Specifications that can't be migrated
+     * are reported as errors, like those of the default layers inside groups, which have
+     * no meta-data equivalent. Layer comps have no meta-data either, so each asset
+     * specification in a layer comp name is reported as an error, too.
+     *
+     * @param {Document} document
+     * @return {{document: object, layers: {number: object}, errors: Array.<{id: number, name: string,
+     *      message: string, comp: boolean=}>}} The generator settings of the document and of the layers
+     *      with assets, keyed by layer ID, and the errors, with the ID and name of the layer or layer
+     *      comp they belong to
+     */
+    MetaDataMigrator.prototype.migrate = function (document) {
+        var scaleSettings = [],
+            layers = {},
+            errors = [];
+
+        document.layers.visit(function (layer) {
+            // Don't visit the top-level LayerGroup
+            if (!layer.group) {
+                return;
+            }
+
+            var assetSettings = [],
+                addError = function (message) {
+                    errors.push({ id: layer.id, name: layer.name, message: message });
+                };
+
+            this._componentManager.findAllComponents(layer).forEach(function (result) {
+                var component = result.component;
+
+                if (!component) {
+                    result.errors.forEach(addError);
+                    return;
+                }
+
+                this._componentManager.resolveStaticPlaceholders(layer, component);
+
+                var setting = _toAssetSetting(component),
+                    definition = "assetSetting",
+                    settings = assetSettings;
+
+                if (component.default) {
+                    if (layer.group.group) {
+                        addError("Group default layers can't be migrated to meta-data: " + component.name);
+                        return;
+                    }
+
+                    definition = "defaultSetting";
+                    settings = scaleSettings;
+                }
+
+                var settingErrors = metadataValidator.validate(setting, definition);
+                if (settingErrors.length > 0) {
+                    settingErrors.forEach(function (error) {
+                        addError("Can't migrate " + component.name + " to meta-data: " + error);
+                    });
+                    return;
+                }
+
+                settings.push(setting);
+            }, this);
+
+            if (assetSettings.length > 0) {
+                layers[layer.id] = _toGeneratorSettings({ assetSettings: assetSettings }, this._metaDataRoot);
+            }
+        }.bind(this));
+
+        (document.comps || []).forEach(function (comp) {
+            if (comp.type === "removed") {
+                return;
+            }
+
+            this._componentManager.findAllComponents(comp).forEach(function (result) {
+                if (result.component) {
+                    errors.push({
+                        id: comp.id,
+                        name: comp.name,
+                        message: "Layer comp assets can't be migrated to meta-data: " + result.component.name,
+                        comp: true
+                    });
+                }
+            });
+        }, this);
+
+        return {
+            document: _toGeneratorSettings({ metaEnabled: true, scaleSettings: scaleSettings }, this._metaDataRoot),
+            layers: layers,
+            errors: errors
+        };
+    };
+
+    module.exports = MetaDataMigrator;
+}());
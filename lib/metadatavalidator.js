@@ -0,0 +1,192 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    // The published schema of the layer and document meta-data
+    var schema = require("../etc/asset-settings.schema.json");
+
+    // Prefix of the references to the definitions of the schema
+    var DEFINITIONS_PREFIX = "#/definitions/";
+
+    /**
+     * Look up the definition of the schema that the given schema refers to, if any.
+     *
+     * @private
+     * @param {object} subschema
+     * @return {object}
+     */
+    function _resolve(subschema) {
+        while (subschema.$ref) {
+            subschema = schema.definitions[subschema.$ref.substring(DEFINITIONS_PREFIX.length)];
+        }
+
+        return subschema;
+    }
+
+    /**
+     * Determine whether the given value has the given JSON type.
+     *
+     * @private
+     * @param {*} value
+     * @param {string} type Like "string", "integer" or "object"
+     * @return {boolean}
+     */
+    function _hasType(value, type) {
+        if (type === "null") {
+            return value === null;
+        } else if (type === "array") {
+            return Array.isArray(value);
+        } else if (type === "object") {
+            return typeof value === "object" && value !== null && !Array.isArray(value);
+        } else if (type === "integer") {
+            return typeof value === "number" && isFinite(value) && value % 1 === 0;
+        } else if (type === "number") {
+            return typeof value === "number" && isFinite(value);
+        }
+
+        return typeof value === type;
+    }
+
+    /**
+     * Describe a list of JSON types, like "a string or an integer".
+     *
+     * @private
+     * @param {Array.<string>} types
+     * @return {string}
+     */
+    function _describeTypes(types) {
+        return types.map(function (type) {
+            return (/^[aeiou]/.test(type) ? "an " : "a ") + type;
+        }).join(" or ");
+    }
+
+    /**
+     * Validate a value against a schema, collecting a message for each violation.
+     *
+     * @private
+     * @param {*} value
+     * @param {object} subschema
+     * @param {string} path The path of the value in the meta-data, like assetSettings[0].scale
+     * @param {Array.<string>} errors
+     * @param {boolean=} ignoreUnknown Whether to ignore the settings that the schema doesn't know
+     */
+    function _validate(value, subschema, path, errors, ignoreUnknown) {
+        var label = path || "The settings";
+
+        subschema = _resolve(subschema);
+
+        if (subschema.type) {
+            var types = [].concat(subschema.type),
+                hasType = types.some(function (type) {
+                    return _hasType(value, type);
+                });
+
+            if (!hasType) {
+                errors.push(label + " must be " + _describeTypes(types));
+                return;
+            }
+        }
+
+        if (subschema.enum && subschema.enum.indexOf(value) < 0) {
+            errors.push(label + " must be one of: " + subschema.enum.join(", "));
+        }
+
+        if (typeof value === "number" && subschema.hasOwnProperty("minimum") && value < subschema.minimum) {
+            errors.push(label + " must be at least " + subschema.minimum);
+        }
+
+        if (typeof value === "string" && subschema.hasOwnProperty("minLength") &&
+                value.length < subschema.minLength) {
+            errors.push(label + " must not be empty");
+        }
+
+        if (Array.isArray(value)) {
+            if (subschema.hasOwnProperty("minItems") && value.length < subschema.minItems) {
+                errors.push(label + " must not be empty");
+            }
+
+            if (subschema.items) {
+                value.forEach(function (item, index) {
+                    _validate(item, subschema.items, path + "[" + index + "]", errors, ignoreUnknown);
+                });
+            }
+        } else if (_hasType(value, "object")) {
+            var properties = subschema.properties || {},
+                prefix = path ? path + "." : "";
+
+            (subschema.required || []).forEach(function (property) {
+                if (!value.hasOwnProperty(property)) {
+                    errors.push(label + " is missing the setting: " + property);
+                }
+            });
+
+            Object.keys(value).forEach(function (property) {
+                if (properties.hasOwnProperty(property)) {
+                    _validate(value[property], properties[property], prefix + property, errors, ignoreUnknown);
+                } else if (subschema.additionalProperties === false && !ignoreUnknown) {
+                    errors.push(prefix + property + " is not a known setting");
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate meta-data against one of the definitions of the asset settings schema
+     * in etc/asset-settings.schema.json.
+     *
+     * @param {*} value The parsed meta-data
+     * @param {string} definition The name of a definition, like "layerSettings"
+     * @return {Array.<string>} The possibly empty list of violations, like
+     *      "assetSettings[0].scale must be a number"
+     */
+    function validate(value, definition) {
+        var errors = [];
+
+        _validate(value, schema.definitions[definition], "", errors);
+
+        return errors;
+    }
+
+    /**
+     * Determine whether meta-data can be analyzed despite its violations of the
+     * given definition, i.e., whether its only violations are settings that the
+     * schema doesn't know, like misspelled ones. These are reported, but ignored.
+     * Values of the wrong type and missing settings can't be analyzed.
+     *
+     * @param {*} value The parsed meta-data
+     * @param {string} definition The name of a definition, like "assetSetting"
+     * @return {boolean}
+     */
+    function canAnalyze(value, definition) {
+        var errors = [];
+
+        _validate(value, schema.definitions[definition], "", errors, true);
+
+        return errors.length === 0;
+    }
+
+    exports.validate = validate;
+    exports.canAnalyze = canAnalyze;
+}());
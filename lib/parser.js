@@ -37,25 +37,58 @@ module.exports = (function() {
         peg$startRuleFunction  = peg$parsestart,
 
         peg$c0 = { type: "other", description: "Either a default asset specification or a layer asset specification" },
-        peg$c1 = { type: "other", description: "A document defaults specification" },
+        peg$c1 = { type: "other", description: "A document defaults specification, which may belong to a named profile, like default@mobile" },
         peg$c2 = "default",
         peg$c3 = { type: "literal", value: "default", description: "\"default\"" },
-        peg$c4 = function(defaults) {
+        peg$c4 = function(profile, defaults) {
+                if (profile) {
+                    defaults.forEach(function (def) {
+                        def.profile = profile;
+                    });
+                }
+
                 return defaults;
             },
-        peg$c5 = { type: "other", description: "List of default specification components" },
-        peg$c6 = /^[+,]/,
-        peg$c7 = { type: "class", value: "[+,]", description: "[+,]" },
-        peg$c8 = function(first, rest) {
+        peg$c5 = { type: "other", description: "The name of a default profile, like @mobile" },
+        peg$c6 = "@",
+        peg$c7 = { type: "literal", value: "@", description: "\"@\"" },
+        peg$c8 = /^[a-z]/i,
+        peg$c9 = { type: "class", value: "[a-z]i", description: "[a-z]i" },
+        peg$c10 = /^[a-z0-9_\-]/i,
+        peg$c11 = { type: "class", value: "[a-z0-9_-]i", description: "[a-z0-9_-]i" },
+        peg$c12 = function(first, rest) {
+                return (first + rest.join("")).toLowerCase();
+            },
+        peg$c13 = { type: "other", description: "List of default specification components" },
+        peg$c14 = /^[+,]/,
+        peg$c15 = { type: "class", value: "[+,]", description: "[+,]" },
+        peg$c16 = function(first, rest) {
                 rest.unshift(first);
                 return rest;
             },
-        peg$c9 = function(only) {
+        peg$c17 = function(only) {
                 return [only];
             },
-        peg$c10 = { type: "other", description: "A single default specification component" },
-        peg$c11 = function(size, canvasrect, folders, suffix) { return size || folders.length > 0 || (suffix && suffix.trim().length > 0)},
-        peg$c12 = function(size, canvasrect, folders, suffix) { // require at least one spec
+        peg$c18 = { type: "other", description: "A default preset or a single default specification component" },
+        peg$c19 = { type: "other", description: "A named preset that expands into a set of default specification components" },
+        peg$c20 = { type: "any", description: "any character" },
+        peg$c21 = function(preset) {
+                return {
+                    "default": true,
+                    name: text().trim(),
+                    preset: preset.toLowerCase()
+                };
+            },
+        peg$c22 = { type: "other", description: "The name of a default preset" },
+        peg$c23 = "xcassets",
+        peg$c24 = { type: "literal", value: "xcassets", description: "\"xcassets\"" },
+        peg$c25 = "android",
+        peg$c26 = { type: "literal", value: "android", description: "\"android\"" },
+        peg$c27 = { type: "other", description: "A single default specification component" },
+        peg$c28 = function(size, canvasrect, modifiers, folders, suffix) { // require at least one spec
+                return size || modifiers.length > 0 || folders.length > 0 || (suffix && suffix.trim().length > 0);
+            },
+        peg$c29 = function(size, canvasrect, modifiers, folders, suffix) {
                 var result = {
                     "default": true,
                     name: text().trim()
@@ -72,34 +105,60 @@ module.exports = (function() {
                     }            
                 }
 
+                mergeModifiers(modifiers, result);
                 mergeSize(size, result);
                 mergeCanvasRect(canvasrect, result);
 
                 return result;
             },
-        peg$c13 = { type: "other", description: "List of layer specifications" },
-        peg$c14 = function(first, rest) {
+        peg$c30 = { type: "other", description: "List of layer specifications" },
+        peg$c31 = function(first, rest) {
                 rest.unshift(first); 
                 return rest; 
             },
-        peg$c15 = { type: "other", description: "Layer specification" },
-        peg$c16 = function(layername) { // Unparsed layer name part
+        peg$c32 = { type: "other", description: "Layer specification" },
+        peg$c33 = function(profile) { // Layers opt into a default profile, like @mobile
+                return {
+                    name: text().trim(),
+                    profile: profile
+                };
+            },
+        peg$c34 = function(folders) { // Groups give the assets of their layers a folder, like icons/
+                return {
+                    name: text().trim(),
+                    folder: folders
+                };
+            },
+        peg$c35 = function(layername) { // Unparsed layer name part
                 return {
                     name: layername.trim()
                 };
             },
-        peg$c17 = { type: "other", description: "A single folder name that ends with a slash and does not begin with a dot" },
-        peg$c18 = "/",
-        peg$c19 = { type: "literal", value: "/", description: "\"/\"" },
-        peg$c20 = function(chars) { return chars[0] == "."; },
-        peg$c21 = function(chars) {
+        peg$c36 = { type: "other", description: "A single folder name that ends with a slash and does not begin with a dot or a quoted filename" },
+        peg$c37 = "/",
+        peg$c38 = { type: "literal", value: "/", description: "\"/\"" },
+        peg$c39 = function(chars) { return chars[0] == "."; },
+        peg$c40 = function(chars) {
                 return chars;
             },
-        peg$c22 = { type: "other", description: "A size-and-file specification" },
-        peg$c23 = function(size, canvasrect, folders, filepart) { // Parsed layer name part
+        peg$c41 = { type: "other", description: "A size-and-file specification" },
+        peg$c42 = function(each, size, canvasrect, modifiers, ninepatch, atlas, folders, filepart) { // Parsed layer name part
+                var filename = filepart.filename;
+
+                if (each) {
+                    // Each child layer of the group gets its own asset, named after the child
+                    if (each.hasOwnProperty("density")) {
+                        size = size || { scale: each.density };
+                        filename = filename.slice(0, filename.lastIndexOf(".")) + "@" + each.density + "x" +
+                            filename.slice(filename.lastIndexOf("."));
+                    }
+
+                    filename = filename.replace(/\*/g, "{layer}");
+                }
+
                 var result = {
                     name: text().trim(),
-                    file: filepart.filename.replace(/[\\":*?<>!|]/g,'_'),
+                    file: filename.replace(/[\\":*?<>!|]/g,'_'),
                     extension: filepart.extension,
                 }
 
@@ -111,13 +170,26 @@ module.exports = (function() {
                     result.quality = filepart.quality;
                 }
 
+                if (ninepatch) {
+                    result.ninePatch = ninepatch;
+                }
+
+                if (atlas) {
+                    result.atlas = true;
+                }
+
+                if (each) {
+                    result.each = true;
+                }
+
+                mergeModifiers(modifiers, result);
                 mergeSize(size, result);
                 mergeCanvasRect(canvasrect, result);
                 
                 return result;
             },
-        peg$c24 = { type: "other", description: "Filename and quality suffix" },
-        peg$c25 = function(nameparts, suffix) {
+        peg$c43 = { type: "other", description: "Filename and quality suffix" },
+        peg$c44 = function(nameparts, suffix) {
                 var filename = String.prototype.concat.apply("", nameparts) + suffix.extension;
                 if (filename.match(/^\s/)) {
                     error("Filename begins with whitespace");
@@ -134,10 +206,38 @@ module.exports = (function() {
 
                 return result;
             },
-        peg$c26 = { type: "other", description: "File extension and quality suffix" },
-        peg$c27 = /^[a-zA-Z]/,
-        peg$c28 = { type: "class", value: "[a-zA-Z]", description: "[a-zA-Z]" },
-        peg$c29 = function(extension, quality) {
+        peg$c45 = { type: "other", description: "Quoted filename, which may contain commas and plus signs, like \"Summer, 2026 + Promo\".png" },
+        peg$c46 = "\"",
+        peg$c47 = { type: "literal", value: "\"", description: "\"\\\"\"" },
+        peg$c48 = ".",
+        peg$c49 = { type: "literal", value: ".", description: "\".\"" },
+        peg$c50 = function(chars, suffix) {
+                // Slashes in quotes are part of the name, not folder separators
+                var result = {
+                        filename: chars.join("").replace(/\//g, "_") + "." + suffix.extension,
+                        extension: suffix.extension.toLowerCase()
+                    };
+
+                if (suffix.hasOwnProperty("quality")) {
+                    result.quality = suffix.quality;
+                }
+
+                return result;
+            },
+        peg$c51 = { type: "other", description: "A character of a quoted filename, where a backslash escapes the next character" },
+        peg$c52 = "\\",
+        peg$c53 = { type: "literal", value: "\\", description: "\"\\\\\"" },
+        peg$c54 = /^[^\0-\x1F]/,
+        peg$c55 = { type: "class", value: "[^\\0-\\x1F\\x7f]", description: "[^\\0-\\x1F\\x7f]" },
+        peg$c56 = function(char) {
+                return char;
+            },
+        peg$c57 = /^[^"\\\0-\x1F]/,
+        peg$c58 = { type: "class", value: "[^\"\\\\\\0-\\x1F\\x7f]", description: "[^\"\\\\\\0-\\x1F\\x7f]" },
+        peg$c59 = { type: "other", description: "File extension and quality suffix" },
+        peg$c60 = /^[a-zA-Z]/,
+        peg$c61 = { type: "class", value: "[a-zA-Z]", description: "[a-zA-Z]" },
+        peg$c62 = function(extension, quality) {
                 var result = {
                     extension: extension.join(""),
                 };
@@ -148,32 +248,51 @@ module.exports = (function() {
 
                 return result;
             },
-        peg$c30 = { type: "other", description: "Quality parameter that follows a file extension" },
-        peg$c31 = "-",
-        peg$c32 = { type: "literal", value: "-", description: "\"-\"" },
-        peg$c33 = /^[a-z]/,
-        peg$c34 = { type: "class", value: "[a-z]", description: "[a-z]" },
-        peg$c35 = "%",
-        peg$c36 = { type: "literal", value: "%", description: "\"%\"" },
-        peg$c37 = function(param, ext) {
+        peg$c63 = { type: "other", description: "List of icon sizes that follows a file extension, like 16-32-48" },
+        peg$c64 = "-",
+        peg$c65 = { type: "literal", value: "-", description: "\"-\"" },
+        peg$c66 = function(first, size) { return size.join(""); },
+        peg$c67 = function(first, rest) {
+                return [first.join("")].concat(rest).join("-");
+            },
+        peg$c68 = { type: "other", description: "Quality parameter that follows a file extension" },
+        peg$c69 = /^[a-z]/,
+        peg$c70 = { type: "class", value: "[a-z]", description: "[a-z]" },
+        peg$c71 = "%",
+        peg$c72 = { type: "literal", value: "%", description: "\"%\"" },
+        peg$c73 = function(param, ext) {
                 return param.join("") + (ext || "");
             },
-        peg$c38 = { type: "other", description: "Relative or absolute scale" },
-        peg$c39 = " ",
-        peg$c40 = { type: "literal", value: " ", description: "\" \"" },
-        peg$c41 = function(abs) {
+        peg$c74 = { type: "other", description: "Relative or absolute scale" },
+        peg$c75 = " ",
+        peg$c76 = { type: "literal", value: " ", description: "\" \"" },
+        peg$c77 = function(sizing, abs) {
+                if (sizing) {
+                    abs.sizing = sizing;
+                }
+
                 return abs;
             },
-        peg$c42 = { type: "other", description: "Relative scale, like 0.3" },
-        peg$c43 = function(scale) {
+        peg$c78 = { type: "other", description: "Keyword that keeps the aspect ratio of an absolute scale, fit to scale within it or fill to cover it" },
+        peg$c79 = "fit",
+        peg$c80 = { type: "literal", value: "fit", description: "\"fit\"" },
+        peg$c81 = "fill",
+        peg$c82 = { type: "literal", value: "fill", description: "\"fill\"" },
+        peg$c83 = function(mode) {
+                return mode.toLowerCase();
+            },
+        peg$c84 = { type: "other", description: "Relative scale, like 0.3" },
+        peg$c85 = "doc",
+        peg$c86 = { type: "literal", value: "doc", description: "\"doc\"" },
+        peg$c87 = function(scale) {
                 return {
                     scale: scale
                 };
             },
-        peg$c44 = { type: "other", description: "Absolute scale, like 50x100cm" },
-        peg$c45 = "x",
-        peg$c46 = { type: "literal", value: "x", description: "\"x\"" },
-        peg$c47 = function(width, height) {
+        peg$c88 = { type: "other", description: "Absolute scale, like 50x100cm" },
+        peg$c89 = "x",
+        peg$c90 = { type: "literal", value: "x", description: "\"x\"" },
+        peg$c91 = function(width, height) {
                 var result = {};
 
                 if (width.hasOwnProperty("value")) {
@@ -194,8 +313,8 @@ module.exports = (function() {
 
                 return result;
             },
-        peg$c48 = { type: "other", description: "Absolute scale component, like 100cm" },
-        peg$c49 = function(value, unit) {
+        peg$c92 = { type: "other", description: "Absolute scale component, like 100cm" },
+        peg$c93 = function(value, unit) {
                 var result = {
                     value: value,
                 };
@@ -206,73 +325,147 @@ module.exports = (function() {
 
                 return result;
             },
-        peg$c50 = "?",
-        peg$c51 = { type: "literal", value: "?", description: "\"?\"" },
-        peg$c52 = function() { // wildcard component
+        peg$c94 = "?",
+        peg$c95 = { type: "literal", value: "?", description: "\"?\"" },
+        peg$c96 = function() { // wildcard component
                 return {
                     // no unit
                 };
             },
-        peg$c53 = { type: "other", description: "Component canvas rect, either long or short form without offsets, or long form with offsets" },
-        peg$c54 = { type: "other", description: "Long form component canvas size, like [32x64], offset support to get added later" },
-        peg$c55 = "[",
-        peg$c56 = { type: "literal", value: "[", description: "\"[\"" },
-        peg$c57 = "]",
-        peg$c58 = { type: "literal", value: "]", description: "\"]\"" },
-        peg$c59 = function(csize, w, h) {
+        peg$c97 = { type: "other", description: "Component canvas rect, either long or short form without offsets, or long form with offsets" },
+        peg$c98 = { type: "other", description: "Long form component canvas size, like [32x64], offset support to get added later" },
+        peg$c99 = "[",
+        peg$c100 = { type: "literal", value: "[", description: "\"[\"" },
+        peg$c101 = "]",
+        peg$c102 = { type: "literal", value: "]", description: "\"]\"" },
+        peg$c103 = function(csize, w, h) {
                 return {width: w, height: h};
             },
-        peg$c60 = { type: "other", description: "Long form component canvas size, like [32x64+11-23], with offsets" },
-        peg$c61 = /^[+\-]/,
-        peg$c62 = { type: "class", value: "[+-]", description: "[+-]" },
-        peg$c63 = function(csize, w, h, xsign, x, ysign, y) {
+        peg$c104 = { type: "other", description: "Long form component canvas size, like [32x64+11-23], with offsets" },
+        peg$c105 = /^[+\-]/,
+        peg$c106 = { type: "class", value: "[+-]", description: "[+-]" },
+        peg$c107 = function(csize, w, h, xsign, x, ysign, y) {
                 return {width: w, height: h,
                     x: xsign === "+" ? x : -1 * x,
                     y: ysign === "+" ? y : -1 * y };
             },
-        peg$c64 = { type: "other", description: "short form component canvas rect to just set a common width/height, like [32]" },
-        peg$c65 = function(csize, val) {
+        peg$c108 = { type: "other", description: "short form component canvas rect to just set a common width/height, like [32]" },
+        peg$c109 = function(csize, val) {
                 return {width: val, height: val};
             },
-        peg$c66 = { type: "other", description: "Unit abbreviation" },
-        peg$c67 = /^[a-z]/i,
-        peg$c68 = { type: "class", value: "[a-z]i", description: "[a-z]i" },
-        peg$c69 = function(first, second) {
+        peg$c110 = { type: "other", description: "Modifier of the pixels of an asset, like trim, pad8 or bg#ffffff" },
+        peg$c111 = "trim",
+        peg$c112 = { type: "literal", value: "trim", description: "\"trim\"" },
+        peg$c113 = function() {
+                return {trim: true};
+            },
+        peg$c114 = "pad",
+        peg$c115 = { type: "literal", value: "pad", description: "\"pad\"" },
+        peg$c116 = function(padding) {
+                return {padding: padding};
+            },
+        peg$c117 = "bg",
+        peg$c118 = { type: "literal", value: "bg", description: "\"bg\"" },
+        peg$c119 = "matte=",
+        peg$c120 = { type: "literal", value: "matte=", description: "\"matte=\"" },
+        peg$c121 = function(color) {
+                return {matte: color};
+            },
+        peg$c122 = { type: "other", description: "Whitespace after a modifier, or the end of a default specification component" },
+        peg$c123 = { type: "other", description: "A hexadecimal color, like #fff or #112233" },
+        peg$c124 = "#",
+        peg$c125 = { type: "literal", value: "#", description: "\"#\"" },
+        peg$c126 = /^[0-9a-fA-F]/,
+        peg$c127 = { type: "class", value: "[0-9a-fA-F]", description: "[0-9a-fA-F]" },
+        peg$c128 = function(digits) {
+                return "#" + digits.join("");
+            },
+        peg$c129 = { type: "other", description: "Directive that makes a group export each of its child layers, like each or each @2x" },
+        peg$c130 = "each",
+        peg$c131 = { type: "literal", value: "each", description: "\"each\"" },
+        peg$c132 = function(density) { return density; },
+        peg$c133 = /^[^+,*]/,
+        peg$c134 = { type: "class", value: "[^+,*]", description: "[^+,*]" },
+        peg$c135 = "*",
+        peg$c136 = { type: "literal", value: "*", description: "\"*\"" },
+        peg$c137 = function(density) { // require a wildcard file name, like icons/*.png
+                var result = {};
+
+                if (density) {
+                    result.density = density;
+                }
+
+                return result;
+            },
+        peg$c138 = { type: "other", description: "Prefix that makes the asset a frame of a texture atlas, like atlas:ui/play.png" },
+        peg$c139 = "atlas:",
+        peg$c140 = { type: "literal", value: "atlas:", description: "\"atlas:\"" },
+        peg$c141 = { type: "other", description: "Nine-patch insets, like <16>, <16x8> or <16x8/4x2>, with the stretch and optional content insets" },
+        peg$c142 = "<",
+        peg$c143 = { type: "literal", value: "<", description: "\"<\"" },
+        peg$c144 = function(stretch, insets) { return insets; },
+        peg$c145 = ">",
+        peg$c146 = { type: "literal", value: ">", description: "\">\"" },
+        peg$c147 = function(stretch, content) {
+                var result = {
+                    stretchX: stretch.x,
+                    stretchY: stretch.y
+                };
+
+                if (content) {
+                    result.contentX = content.x;
+                    result.contentY = content.y;
+                }
+
+                return result;
+            },
+        peg$c148 = { type: "other", description: "Horizontal and vertical insets, like 16x8, or a single inset for both directions, like 16" },
+        peg$c149 = function(x, y) {
+                return {x: x, y: y};
+            },
+        peg$c150 = function(xy) {
+                return {x: xy, y: xy};
+            },
+        peg$c151 = { type: "other", description: "Unit abbreviation, or %doc for a percentage of the document or artboard size" },
+        peg$c152 = "%doc",
+        peg$c153 = { type: "literal", value: "%doc", description: "\"%doc\"" },
+        peg$c154 = function() {
+                return "%doc";
+            },
+        peg$c155 = function(first, second) {
                 return first + second;
             },
-        peg$c70 = { type: "other", description: "A percentage, like 30%" },
-        peg$c71 = function(num) {
+        peg$c156 = { type: "other", description: "A percentage, like 30%" },
+        peg$c157 = function(num) {
                 return num / 100;
             },
-        peg$c72 = function(chars) {
+        peg$c158 = function(chars) {
                 return chars.join("")
             },
-        peg$c73 = { type: "other", description: "A good character or a dot" },
-        peg$c74 = ".",
-        peg$c75 = { type: "literal", value: ".", description: "\".\"" },
-        peg$c76 = { type: "other", description: "A sequence of characters that ends with a dot" },
-        peg$c77 = function(chars) {
+        peg$c159 = { type: "other", description: "A good character or a dot" },
+        peg$c160 = { type: "other", description: "A sequence of characters that ends with a dot" },
+        peg$c161 = function(chars) {
                 return chars.concat(".");
             },
-        peg$c78 = { type: "other", description: "A sequence of characters, including dots" },
-        peg$c79 = function(chars) {
+        peg$c162 = { type: "other", description: "A sequence of characters, including dots" },
+        peg$c163 = function(chars) {
                 return chars.join("");
             },
-        peg$c80 = { type: "other", description: "A sequence of characters, excluding dots" },
-        peg$c81 = { type: "other", description: "A character, including dots" },
-        peg$c82 = /^[^,+]/,
-        peg$c83 = { type: "class", value: "[^,+]", description: "[^,+]" },
-        peg$c84 = { type: "other", description: "A character, excluding dots and other weird things" },
-        peg$c85 = /^[^+,.\/\0-\x1F]/,
-        peg$c86 = { type: "class", value: "[^+,./\\0-\\x1F\\x7f]", description: "[^+,./\\0-\\x1F\\x7f]" },
-        peg$c87 = { type: "other", description: "A nonnegative number, which may or may not have leading zeros" },
-        peg$c88 = function(parts) { return parseFloat(parts); },
-        peg$c89 = function(parts) { return parseFloat("0" + parts); },
-        peg$c90 = /^[0-9]/,
-        peg$c91 = { type: "class", value: "[0-9]", description: "[0-9]" },
-        peg$c92 = { type: "other", description: "whitespace" },
-        peg$c93 = /^[ \t\n\r]/,
-        peg$c94 = { type: "class", value: "[ \\t\\n\\r]", description: "[ \\t\\n\\r]" },
+        peg$c164 = { type: "other", description: "A sequence of characters, excluding dots" },
+        peg$c165 = { type: "other", description: "A character, including dots" },
+        peg$c166 = /^[^,+]/,
+        peg$c167 = { type: "class", value: "[^,+]", description: "[^,+]" },
+        peg$c168 = { type: "other", description: "A character, excluding dots and other weird things" },
+        peg$c169 = /^[^+,.\/\0-\x1F]/,
+        peg$c170 = { type: "class", value: "[^+,./\\0-\\x1F\\x7f]", description: "[^+,./\\0-\\x1F\\x7f]" },
+        peg$c171 = { type: "other", description: "A nonnegative number, which may or may not have leading zeros" },
+        peg$c172 = function(parts) { return parseFloat(parts); },
+        peg$c173 = function(parts) { return parseFloat("0" + parts); },
+        peg$c174 = /^[0-9]/,
+        peg$c175 = { type: "class", value: "[0-9]", description: "[0-9]" },
+        peg$c176 = { type: "other", description: "whitespace" },
+        peg$c177 = /^[ \t\n\r]/,
+        peg$c178 = { type: "class", value: "[ \\t\\n\\r]", description: "[ \\t\\n\\r]" },
 
         peg$currPos          = 0,
         peg$savedPos         = 0,
@@ -464,7 +657,7 @@ module.exports = (function() {
     function peg$parsestart() {
       var s0, s1;
 
-      var key    = peg$currPos * 33 + 0,
+      var key    = peg$currPos * 48 + 0,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -490,9 +683,9 @@ module.exports = (function() {
     }
 
     function peg$parsedefaults() {
-      var s0, s1, s2;
+      var s0, s1, s2, s3;
 
-      var key    = peg$currPos * 33 + 1,
+      var key    = peg$currPos * 48 + 1,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -511,11 +704,20 @@ module.exports = (function() {
         if (peg$silentFails === 0) { peg$fail(peg$c3); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsedefaultspeclist();
+        s2 = peg$parseprofilename();
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
         if (s2 !== peg$FAILED) {
-          peg$savedPos = s0;
-          s1 = peg$c4(s2);
-          s0 = s1;
+          s3 = peg$parsedefaultspeclist();
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c4(s2, s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
         } else {
           peg$currPos = s0;
           s0 = peg$FAILED;
@@ -535,10 +737,85 @@ module.exports = (function() {
       return s0;
     }
 
+    function peg$parseprofilename() {
+      var s0, s1, s2, s3, s4;
+
+      var key    = peg$currPos * 48 + 2,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 64) {
+        s1 = peg$c6;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c7); }
+      }
+      if (s1 !== peg$FAILED) {
+        if (peg$c8.test(input.charAt(peg$currPos))) {
+          s2 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c9); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = [];
+          if (peg$c10.test(input.charAt(peg$currPos))) {
+            s4 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c11); }
+          }
+          while (s4 !== peg$FAILED) {
+            s3.push(s4);
+            if (peg$c10.test(input.charAt(peg$currPos))) {
+              s4 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c11); }
+            }
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c12(s2, s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c5); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
     function peg$parsedefaultspeclist() {
       var s0, s1, s2, s3;
 
-      var key    = peg$currPos * 33 + 2,
+      var key    = peg$currPos * 48 + 3,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -549,20 +826,20 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      s1 = peg$parsedefaultspec();
+      s1 = peg$parsedefaultitem();
       if (s1 !== peg$FAILED) {
-        if (peg$c6.test(input.charAt(peg$currPos))) {
+        if (peg$c14.test(input.charAt(peg$currPos))) {
           s2 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c7); }
+          if (peg$silentFails === 0) { peg$fail(peg$c15); }
         }
         if (s2 !== peg$FAILED) {
           s3 = peg$parsedefaultspeclist();
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c8(s1, s3);
+            s1 = peg$c16(s1, s3);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -578,17 +855,17 @@ module.exports = (function() {
       }
       if (s0 === peg$FAILED) {
         s0 = peg$currPos;
-        s1 = peg$parsedefaultspec();
+        s1 = peg$parsedefaultitem();
         if (s1 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c9(s1);
+          s1 = peg$c17(s1);
         }
         s0 = s1;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c5); }
+        if (peg$silentFails === 0) { peg$fail(peg$c13); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -596,10 +873,38 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsedefaultspec() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
+    function peg$parsedefaultitem() {
+      var s0, s1;
+
+      var key    = peg$currPos * 48 + 4,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$parsedefaultpreset();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parsedefaultspec();
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c18); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsedefaultpreset() {
+      var s0, s1, s2, s3, s4, s5, s6;
 
-      var key    = peg$currPos * 33 + 3,
+      var key    = peg$currPos * 48 + 5,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -621,65 +926,48 @@ module.exports = (function() {
         s1 = peg$FAILED;
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsescale();
-        if (s2 === peg$FAILED) {
-          s2 = null;
-        }
+        s2 = peg$parsepresetname();
         if (s2 !== peg$FAILED) {
           s3 = peg$parse_();
           if (s3 !== peg$FAILED) {
-            s4 = peg$parsecompcanvasrect();
-            if (s4 === peg$FAILED) {
-              s4 = null;
+            s4 = peg$currPos;
+            peg$silentFails++;
+            if (peg$c14.test(input.charAt(peg$currPos))) {
+              s5 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s5 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c15); }
             }
-            if (s4 !== peg$FAILED) {
-              s5 = peg$parse_();
-              if (s5 !== peg$FAILED) {
-                s6 = [];
-                s7 = peg$parsefolder();
-                while (s7 !== peg$FAILED) {
-                  s6.push(s7);
-                  s7 = peg$parsefolder();
-                }
-                if (s6 !== peg$FAILED) {
-                  s7 = peg$parsegoodcharsanddots();
-                  if (s7 === peg$FAILED) {
-                    s7 = null;
-                  }
-                  if (s7 !== peg$FAILED) {
-                    s8 = peg$parse_();
-                    if (s8 !== peg$FAILED) {
-                      peg$savedPos = peg$currPos;
-                      s9 = peg$c11(s2, s4, s6, s7);
-                      if (s9) {
-                        s9 = void 0;
-                      } else {
-                        s9 = peg$FAILED;
-                      }
-                      if (s9 !== peg$FAILED) {
-                        peg$savedPos = s0;
-                        s1 = peg$c12(s2, s4, s6, s7);
-                        s0 = s1;
-                      } else {
-                        peg$currPos = s0;
-                        s0 = peg$FAILED;
-                      }
-                    } else {
-                      peg$currPos = s0;
-                      s0 = peg$FAILED;
-                    }
-                  } else {
-                    peg$currPos = s0;
-                    s0 = peg$FAILED;
-                  }
-                } else {
-                  peg$currPos = s0;
-                  s0 = peg$FAILED;
-                }
+            if (s5 === peg$FAILED) {
+              s5 = peg$currPos;
+              peg$silentFails++;
+              if (input.length > peg$currPos) {
+                s6 = input.charAt(peg$currPos);
+                peg$currPos++;
               } else {
-                peg$currPos = s0;
-                s0 = peg$FAILED;
+                s6 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c20); }
+              }
+              peg$silentFails--;
+              if (s6 === peg$FAILED) {
+                s5 = void 0;
+              } else {
+                peg$currPos = s5;
+                s5 = peg$FAILED;
               }
+            }
+            peg$silentFails--;
+            if (s5 !== peg$FAILED) {
+              peg$currPos = s4;
+              s4 = void 0;
+            } else {
+              s4 = peg$FAILED;
+            }
+            if (s4 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$c21(s2);
+              s0 = s1;
             } else {
               peg$currPos = s0;
               s0 = peg$FAILED;
@@ -699,7 +987,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c10); }
+        if (peg$silentFails === 0) { peg$fail(peg$c19); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -707,10 +995,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsespeclist() {
-      var s0, s1, s2, s3;
+    function peg$parsepresetname() {
+      var s0, s1;
 
-      var key    = peg$currPos * 33 + 4,
+      var key    = peg$currPos * 48 + 6,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -720,47 +1008,26 @@ module.exports = (function() {
       }
 
       peg$silentFails++;
-      s0 = peg$currPos;
-      s1 = peg$parsespec();
-      if (s1 !== peg$FAILED) {
-        if (peg$c6.test(input.charAt(peg$currPos))) {
-          s2 = input.charAt(peg$currPos);
-          peg$currPos++;
-        } else {
-          s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c7); }
-        }
-        if (s2 !== peg$FAILED) {
-          s3 = peg$parsespeclist();
-          if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c14(s1, s3);
-            s0 = s1;
-          } else {
-            peg$currPos = s0;
-            s0 = peg$FAILED;
-          }
-        } else {
-          peg$currPos = s0;
-          s0 = peg$FAILED;
-        }
+      if (input.substr(peg$currPos, 8).toLowerCase() === peg$c23) {
+        s0 = input.substr(peg$currPos, 8);
+        peg$currPos += 8;
       } else {
-        peg$currPos = s0;
         s0 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c24); }
       }
       if (s0 === peg$FAILED) {
-        s0 = peg$currPos;
-        s1 = peg$parsespec();
-        if (s1 !== peg$FAILED) {
-          peg$savedPos = s0;
-          s1 = peg$c9(s1);
+        if (input.substr(peg$currPos, 7).toLowerCase() === peg$c25) {
+          s0 = input.substr(peg$currPos, 7);
+          peg$currPos += 7;
+        } else {
+          s0 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c26); }
         }
-        s0 = s1;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c13); }
+        if (peg$silentFails === 0) { peg$fail(peg$c22); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -768,10 +1035,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsespec() {
-      var s0, s1, s2, s3;
+    function peg$parsedefaultspec() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11;
 
-      var key    = peg$currPos * 33 + 5,
+      var key    = peg$currPos * 48 + 7,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -781,17 +1048,1050 @@ module.exports = (function() {
       }
 
       peg$silentFails++;
-      s0 = peg$parsefilespec();
-      if (s0 === peg$FAILED) {
-        s0 = peg$currPos;
+      s0 = peg$currPos;
+      s1 = [];
+      s2 = peg$parsewhitespace();
+      if (s2 !== peg$FAILED) {
+        while (s2 !== peg$FAILED) {
+          s1.push(s2);
+          s2 = peg$parsewhitespace();
+        }
+      } else {
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parsescale();
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parse_();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parsecompcanvasrect();
+            if (s4 === peg$FAILED) {
+              s4 = null;
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parse_();
+              if (s5 !== peg$FAILED) {
+                s6 = [];
+                s7 = peg$parsemodifier();
+                while (s7 !== peg$FAILED) {
+                  s6.push(s7);
+                  s7 = peg$parsemodifier();
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parse_();
+                  if (s7 !== peg$FAILED) {
+                    s8 = [];
+                    s9 = peg$parsefolder();
+                    while (s9 !== peg$FAILED) {
+                      s8.push(s9);
+                      s9 = peg$parsefolder();
+                    }
+                    if (s8 !== peg$FAILED) {
+                      s9 = peg$parsegoodcharsanddots();
+                      if (s9 === peg$FAILED) {
+                        s9 = null;
+                      }
+                      if (s9 !== peg$FAILED) {
+                        s10 = peg$parse_();
+                        if (s10 !== peg$FAILED) {
+                          peg$savedPos = peg$currPos;
+                          s11 = peg$c28(s2, s4, s6, s8, s9);
+                          if (s11) {
+                            s11 = void 0;
+                          } else {
+                            s11 = peg$FAILED;
+                          }
+                          if (s11 !== peg$FAILED) {
+                            peg$savedPos = s0;
+                            s1 = peg$c29(s2, s4, s6, s8, s9);
+                            s0 = s1;
+                          } else {
+                            peg$currPos = s0;
+                            s0 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c27); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsespeclist() {
+      var s0, s1, s2, s3;
+
+      var key    = peg$currPos * 48 + 8,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = peg$parsespec();
+      if (s1 !== peg$FAILED) {
+        if (peg$c14.test(input.charAt(peg$currPos))) {
+          s2 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c15); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parsespeclist();
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c31(s1, s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        s1 = peg$parsespec();
+        if (s1 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c17(s1);
+        }
+        s0 = s1;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c30); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsespec() {
+      var s0, s1, s2, s3, s4, s5, s6;
+
+      var key    = peg$currPos * 48 + 9,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$parsefilespec();
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
         s1 = peg$parse_();
         if (s1 !== peg$FAILED) {
-          s2 = peg$parsechars();
+          s2 = peg$parseprofilename();
+          if (s2 !== peg$FAILED) {
+            s3 = peg$parse_();
+            if (s3 !== peg$FAILED) {
+              s4 = peg$currPos;
+              peg$silentFails++;
+              if (peg$c14.test(input.charAt(peg$currPos))) {
+                s5 = input.charAt(peg$currPos);
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c15); }
+              }
+              if (s5 === peg$FAILED) {
+                s5 = peg$currPos;
+                peg$silentFails++;
+                if (input.length > peg$currPos) {
+                  s6 = input.charAt(peg$currPos);
+                  peg$currPos++;
+                } else {
+                  s6 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c20); }
+                }
+                peg$silentFails--;
+                if (s6 === peg$FAILED) {
+                  s5 = void 0;
+                } else {
+                  peg$currPos = s5;
+                  s5 = peg$FAILED;
+                }
+              }
+              peg$silentFails--;
+              if (s5 !== peg$FAILED) {
+                peg$currPos = s4;
+                s4 = void 0;
+              } else {
+                s4 = peg$FAILED;
+              }
+              if (s4 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c33(s2);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+        if (s0 === peg$FAILED) {
+          s0 = peg$currPos;
+          s1 = peg$parse_();
+          if (s1 !== peg$FAILED) {
+            s2 = [];
+            s3 = peg$parsefolder();
+            if (s3 !== peg$FAILED) {
+              while (s3 !== peg$FAILED) {
+                s2.push(s3);
+                s3 = peg$parsefolder();
+              }
+            } else {
+              s2 = peg$FAILED;
+            }
+            if (s2 !== peg$FAILED) {
+              s3 = peg$parse_();
+              if (s3 !== peg$FAILED) {
+                s4 = peg$currPos;
+                peg$silentFails++;
+                if (peg$c14.test(input.charAt(peg$currPos))) {
+                  s5 = input.charAt(peg$currPos);
+                  peg$currPos++;
+                } else {
+                  s5 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c15); }
+                }
+                if (s5 === peg$FAILED) {
+                  s5 = peg$currPos;
+                  peg$silentFails++;
+                  if (input.length > peg$currPos) {
+                    s6 = input.charAt(peg$currPos);
+                    peg$currPos++;
+                  } else {
+                    s6 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c20); }
+                  }
+                  peg$silentFails--;
+                  if (s6 === peg$FAILED) {
+                    s5 = void 0;
+                  } else {
+                    peg$currPos = s5;
+                    s5 = peg$FAILED;
+                  }
+                }
+                peg$silentFails--;
+                if (s5 !== peg$FAILED) {
+                  peg$currPos = s4;
+                  s4 = void 0;
+                } else {
+                  s4 = peg$FAILED;
+                }
+                if (s4 !== peg$FAILED) {
+                  peg$savedPos = s0;
+                  s1 = peg$c34(s2);
+                  s0 = s1;
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+          if (s0 === peg$FAILED) {
+            s0 = peg$currPos;
+            s1 = peg$parse_();
+            if (s1 !== peg$FAILED) {
+              s2 = peg$parsechars();
+              if (s2 !== peg$FAILED) {
+                s3 = peg$parse_();
+                if (s3 !== peg$FAILED) {
+                  peg$savedPos = s0;
+                  s1 = peg$c35(s2);
+                  s0 = s1;
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          }
+        }
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c32); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsefolder() {
+      var s0, s1, s2, s3, s4;
+
+      var key    = peg$currPos * 48 + 10,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = peg$currPos;
+      peg$silentFails++;
+      s2 = peg$parsequotedfilename();
+      peg$silentFails--;
+      if (s2 === peg$FAILED) {
+        s1 = void 0;
+      } else {
+        peg$currPos = s1;
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parsegoodcharsanddots();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 47) {
+            s3 = peg$c37;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c38); }
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = peg$currPos;
+            s4 = peg$c39(s2);
+            if (s4) {
+              s4 = peg$FAILED;
+            } else {
+              s4 = void 0;
+            }
+            if (s4 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$c40(s2);
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c36); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsefilespec() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15, s16;
+
+      var key    = peg$currPos * 48 + 11,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = peg$parse_();
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parseeachdirective();
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parse_();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parsescale();
+            if (s4 === peg$FAILED) {
+              s4 = null;
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parse_();
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parsecompcanvasrect();
+                if (s6 === peg$FAILED) {
+                  s6 = null;
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parse_();
+                  if (s7 !== peg$FAILED) {
+                    s8 = [];
+                    s9 = peg$parsemodifier();
+                    while (s9 !== peg$FAILED) {
+                      s8.push(s9);
+                      s9 = peg$parsemodifier();
+                    }
+                    if (s8 !== peg$FAILED) {
+                      s9 = peg$parse_();
+                      if (s9 !== peg$FAILED) {
+                        s10 = peg$parseninepatchinsets();
+                        if (s10 === peg$FAILED) {
+                          s10 = null;
+                        }
+                        if (s10 !== peg$FAILED) {
+                          s11 = peg$parse_();
+                          if (s11 !== peg$FAILED) {
+                            s12 = peg$parseatlasprefix();
+                            if (s12 === peg$FAILED) {
+                              s12 = null;
+                            }
+                            if (s12 !== peg$FAILED) {
+                              s13 = peg$parse_();
+                              if (s13 !== peg$FAILED) {
+                                s14 = [];
+                                s15 = peg$parsefolder();
+                                while (s15 !== peg$FAILED) {
+                                  s14.push(s15);
+                                  s15 = peg$parsefolder();
+                                }
+                                if (s14 !== peg$FAILED) {
+                                  s15 = peg$parsefilename();
+                                  if (s15 !== peg$FAILED) {
+                                    s16 = peg$parse_();
+                                    if (s16 !== peg$FAILED) {
+                                      peg$savedPos = s0;
+                                      s1 = peg$c42(s2, s4, s6, s8, s10, s12, s14, s15);
+                                      s0 = s1;
+                                    } else {
+                                      peg$currPos = s0;
+                                      s0 = peg$FAILED;
+                                    }
+                                  } else {
+                                    peg$currPos = s0;
+                                    s0 = peg$FAILED;
+                                  }
+                                } else {
+                                  peg$currPos = s0;
+                                  s0 = peg$FAILED;
+                                }
+                              } else {
+                                peg$currPos = s0;
+                                s0 = peg$FAILED;
+                              }
+                            } else {
+                              peg$currPos = s0;
+                              s0 = peg$FAILED;
+                            }
+                          } else {
+                            peg$currPos = s0;
+                            s0 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c41); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsefilename() {
+      var s0, s1, s2;
+
+      var key    = peg$currPos * 48 + 12,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$parsequotedfilename();
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        s1 = [];
+        s2 = peg$parsegoodcharsthendot();
+        if (s2 !== peg$FAILED) {
+          while (s2 !== peg$FAILED) {
+            s1.push(s2);
+            s2 = peg$parsegoodcharsthendot();
+          }
+        } else {
+          s1 = peg$FAILED;
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = peg$parsefileext();
+          if (s2 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c44(s1, s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c43); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsequotedfilename() {
+      var s0, s1, s2, s3, s4, s5;
+
+      var key    = peg$currPos * 48 + 13,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 34) {
+        s1 = peg$c46;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c47); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$parsequotedchar();
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsequotedchar();
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 34) {
+            s3 = peg$c46;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c47); }
+          }
+          if (s3 !== peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 46) {
+              s4 = peg$c48;
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c49); }
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parsefileext();
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c50(s2, s5);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c45); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsequotedchar() {
+      var s0, s1, s2;
+
+      var key    = peg$currPos * 48 + 14,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 92) {
+        s1 = peg$c52;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c53); }
+      }
+      if (s1 !== peg$FAILED) {
+        if (peg$c54.test(input.charAt(peg$currPos))) {
+          s2 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c55); }
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c56(s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        if (peg$c57.test(input.charAt(peg$currPos))) {
+          s0 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s0 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c58); }
+        }
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c51); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsefileext() {
+      var s0, s1, s2;
+
+      var key    = peg$currPos * 48 + 15,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = [];
+      if (peg$c60.test(input.charAt(peg$currPos))) {
+        s2 = input.charAt(peg$currPos);
+        peg$currPos++;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c61); }
+      }
+      if (s2 !== peg$FAILED) {
+        while (s2 !== peg$FAILED) {
+          s1.push(s2);
+          if (peg$c60.test(input.charAt(peg$currPos))) {
+            s2 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c61); }
+          }
+        }
+      } else {
+        s1 = peg$FAILED;
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parsesizelist();
+        if (s2 === peg$FAILED) {
+          s2 = peg$parsequality();
+        }
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c62(s1, s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c59); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsesizelist() {
+      var s0, s1, s2, s3, s4, s5;
+
+      var key    = peg$currPos * 48 + 16,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = peg$parsedigits();
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$currPos;
+        if (input.charCodeAt(peg$currPos) === 45) {
+          s4 = peg$c64;
+          peg$currPos++;
+        } else {
+          s4 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c65); }
+        }
+        if (s4 !== peg$FAILED) {
+          s5 = peg$parsedigits();
+          if (s5 !== peg$FAILED) {
+            peg$savedPos = s3;
+            s4 = peg$c66(s1, s5);
+            s3 = s4;
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s3;
+          s3 = peg$FAILED;
+        }
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$currPos;
+            if (input.charCodeAt(peg$currPos) === 45) {
+              s4 = peg$c64;
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c65); }
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parsedigits();
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s3;
+                s4 = peg$c66(s1, s5);
+                s3 = s4;
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
+            }
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c67(s1, s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c63); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsequality() {
+      var s0, s1, s2, s3;
+
+      var key    = peg$currPos * 48 + 17,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 45) {
+        s1 = peg$c64;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c65); }
+      }
+      if (s1 === peg$FAILED) {
+        s1 = null;
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parsedigits();
+        if (s2 !== peg$FAILED) {
+          if (peg$c69.test(input.charAt(peg$currPos))) {
+            s3 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c70); }
+          }
+          if (s3 === peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 37) {
+              s3 = peg$c71;
+              peg$currPos++;
+            } else {
+              s3 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c72); }
+            }
+          }
+          if (s3 === peg$FAILED) {
+            s3 = null;
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c73(s2, s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c68); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parsescale() {
+      var s0, s1, s2, s3;
+
+      var key    = peg$currPos * 48 + 18,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$parserelscale();
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        s1 = peg$parsesizingmode();
+        if (s1 === peg$FAILED) {
+          s1 = null;
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = peg$parseabsscale();
           if (s2 !== peg$FAILED) {
-            s3 = peg$parse_();
+            if (input.charCodeAt(peg$currPos) === 32) {
+              s3 = peg$c75;
+              peg$currPos++;
+            } else {
+              s3 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c76); }
+            }
             if (s3 !== peg$FAILED) {
               peg$savedPos = s0;
-              s1 = peg$c16(s2);
+              s1 = peg$c77(s1, s2);
               s0 = s1;
             } else {
               peg$currPos = s0;
@@ -809,7 +2109,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c15); }
+        if (peg$silentFails === 0) { peg$fail(peg$c74); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -817,10 +2117,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsefolder() {
+    function peg$parsesizingmode() {
       var s0, s1, s2, s3;
 
-      var key    = peg$currPos * 33 + 6,
+      var key    = peg$currPos * 48 + 19,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -831,31 +2131,37 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      s1 = peg$parsegoodcharsanddots();
+      if (input.substr(peg$currPos, 3).toLowerCase() === peg$c79) {
+        s1 = input.substr(peg$currPos, 3);
+        peg$currPos += 3;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c80); }
+      }
+      if (s1 === peg$FAILED) {
+        if (input.substr(peg$currPos, 4).toLowerCase() === peg$c81) {
+          s1 = input.substr(peg$currPos, 4);
+          peg$currPos += 4;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c82); }
+        }
+      }
       if (s1 !== peg$FAILED) {
-        if (input.charCodeAt(peg$currPos) === 47) {
-          s2 = peg$c18;
-          peg$currPos++;
+        s2 = [];
+        s3 = peg$parsewhitespace();
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsewhitespace();
+          }
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c19); }
         }
         if (s2 !== peg$FAILED) {
-          peg$savedPos = peg$currPos;
-          s3 = peg$c20(s1);
-          if (s3) {
-            s3 = peg$FAILED;
-          } else {
-            s3 = void 0;
-          }
-          if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c21(s1);
-            s0 = s1;
-          } else {
-            peg$currPos = s0;
-            s0 = peg$FAILED;
-          }
+          peg$savedPos = s0;
+          s1 = peg$c83(s1);
+          s0 = s1;
         } else {
           peg$currPos = s0;
           s0 = peg$FAILED;
@@ -867,7 +2173,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c17); }
+        if (peg$silentFails === 0) { peg$fail(peg$c78); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -875,10 +2181,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsefilespec() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8;
+    function peg$parserelscale() {
+      var s0, s1, s2, s3;
 
-      var key    = peg$currPos * 33 + 7,
+      var key    = peg$currPos * 48 + 20,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -889,48 +2195,80 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      s1 = peg$parse_();
+      s1 = peg$parsepercent();
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsescale();
-        if (s2 === peg$FAILED) {
-          s2 = null;
+        s2 = peg$currPos;
+        peg$silentFails++;
+        if (input.substr(peg$currPos, 3).toLowerCase() === peg$c85) {
+          s3 = input.substr(peg$currPos, 3);
+          peg$currPos += 3;
+        } else {
+          s3 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c86); }
+        }
+        peg$silentFails--;
+        if (s3 === peg$FAILED) {
+          s2 = void 0;
+        } else {
+          peg$currPos = s2;
+          s2 = peg$FAILED;
         }
         if (s2 !== peg$FAILED) {
-          s3 = peg$parse_();
+          peg$savedPos = s0;
+          s1 = peg$c87(s1);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c84); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parseabsscale() {
+      var s0, s1, s2, s3, s4, s5;
+
+      var key    = peg$currPos * 48 + 21,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$currPos;
+      s1 = peg$parseabscomp();
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 1).toLowerCase() === peg$c89) {
+            s3 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c90); }
+          }
           if (s3 !== peg$FAILED) {
-            s4 = peg$parsecompcanvasrect();
-            if (s4 === peg$FAILED) {
-              s4 = null;
-            }
+            s4 = peg$parse_();
             if (s4 !== peg$FAILED) {
-              s5 = peg$parse_();
+              s5 = peg$parseabscomp();
               if (s5 !== peg$FAILED) {
-                s6 = [];
-                s7 = peg$parsefolder();
-                while (s7 !== peg$FAILED) {
-                  s6.push(s7);
-                  s7 = peg$parsefolder();
-                }
-                if (s6 !== peg$FAILED) {
-                  s7 = peg$parsefilename();
-                  if (s7 !== peg$FAILED) {
-                    s8 = peg$parse_();
-                    if (s8 !== peg$FAILED) {
-                      peg$savedPos = s0;
-                      s1 = peg$c23(s2, s4, s6, s7);
-                      s0 = s1;
-                    } else {
-                      peg$currPos = s0;
-                      s0 = peg$FAILED;
-                    }
-                  } else {
-                    peg$currPos = s0;
-                    s0 = peg$FAILED;
-                  }
-                } else {
-                  peg$currPos = s0;
-                  s0 = peg$FAILED;
-                }
+                peg$savedPos = s0;
+                s1 = peg$c91(s1, s5);
+                s0 = s1;
               } else {
                 peg$currPos = s0;
                 s0 = peg$FAILED;
@@ -954,7 +2292,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c22); }
+        if (peg$silentFails === 0) { peg$fail(peg$c88); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -962,10 +2300,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsefilename() {
+    function peg$parseabscomp() {
       var s0, s1, s2;
 
-      var key    = peg$currPos * 33 + 8,
+      var key    = peg$currPos * 48 + 22,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -976,21 +2314,15 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      s1 = [];
-      s2 = peg$parsegoodcharsthendot();
-      if (s2 !== peg$FAILED) {
-        while (s2 !== peg$FAILED) {
-          s1.push(s2);
-          s2 = peg$parsegoodcharsthendot();
-        }
-      } else {
-        s1 = peg$FAILED;
-      }
+      s1 = peg$parsenumber();
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsefileext();
+        s2 = peg$parseunit();
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c25(s1, s2);
+          s1 = peg$c93(s1, s2);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -1000,10 +2332,25 @@ module.exports = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (input.charCodeAt(peg$currPos) === 63) {
+          s1 = peg$c94;
+          peg$currPos++;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c95); }
+        }
+        if (s1 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c96();
+        }
+        s0 = s1;
+      }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c24); }
+        if (peg$silentFails === 0) { peg$fail(peg$c92); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1011,10 +2358,41 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsefileext() {
-      var s0, s1, s2;
+    function peg$parsecompcanvasrect() {
+      var s0, s1;
+
+      var key    = peg$currPos * 48 + 23,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      s0 = peg$parselongcanvasrect();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parselongcanvasrectwithoffsets();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parseshortcanvasrect();
+        }
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c97); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
 
-      var key    = peg$currPos * 33 + 9,
+    function peg$parselongcanvasrect() {
+      var s0, s1, s2, s3, s4, s5;
+
+      var key    = peg$currPos * 48 + 24,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1025,37 +2403,49 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      s1 = [];
-      if (peg$c27.test(input.charAt(peg$currPos))) {
-        s2 = input.charAt(peg$currPos);
+      if (input.charCodeAt(peg$currPos) === 91) {
+        s1 = peg$c99;
         peg$currPos++;
-      } else {
-        s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c28); }
-      }
-      if (s2 !== peg$FAILED) {
-        while (s2 !== peg$FAILED) {
-          s1.push(s2);
-          if (peg$c27.test(input.charAt(peg$currPos))) {
-            s2 = input.charAt(peg$currPos);
-            peg$currPos++;
-          } else {
-            s2 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c28); }
-          }
-        }
       } else {
         s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c100); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsequality();
-        if (s2 === peg$FAILED) {
-          s2 = null;
-        }
+        s2 = peg$parsenumber();
         if (s2 !== peg$FAILED) {
-          peg$savedPos = s0;
-          s1 = peg$c29(s1, s2);
-          s0 = s1;
+          if (input.charCodeAt(peg$currPos) === 120) {
+            s3 = peg$c89;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c90); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parsenumber();
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 93) {
+                s5 = peg$c101;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c102); }
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c103(s1, s2, s4);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
         } else {
           peg$currPos = s0;
           s0 = peg$FAILED;
@@ -1067,7 +2457,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c26); }
+        if (peg$silentFails === 0) { peg$fail(peg$c98); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1075,10 +2465,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsequality() {
-      var s0, s1, s2, s3;
+    function peg$parselongcanvasrectwithoffsets() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
 
-      var key    = peg$currPos * 33 + 10,
+      var key    = peg$currPos * 48 + 25,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1089,42 +2479,81 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 45) {
-        s1 = peg$c31;
+      if (input.charCodeAt(peg$currPos) === 91) {
+        s1 = peg$c99;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c32); }
-      }
-      if (s1 === peg$FAILED) {
-        s1 = null;
+        if (peg$silentFails === 0) { peg$fail(peg$c100); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsedigits();
+        s2 = peg$parsenumber();
         if (s2 !== peg$FAILED) {
-          if (peg$c33.test(input.charAt(peg$currPos))) {
-            s3 = input.charAt(peg$currPos);
+          if (input.charCodeAt(peg$currPos) === 120) {
+            s3 = peg$c89;
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c34); }
+            if (peg$silentFails === 0) { peg$fail(peg$c90); }
           }
-          if (s3 === peg$FAILED) {
-            if (input.charCodeAt(peg$currPos) === 37) {
-              s3 = peg$c35;
-              peg$currPos++;
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parsenumber();
+            if (s4 !== peg$FAILED) {
+              if (peg$c105.test(input.charAt(peg$currPos))) {
+                s5 = input.charAt(peg$currPos);
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c106); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parsenumber();
+                if (s6 !== peg$FAILED) {
+                  if (peg$c105.test(input.charAt(peg$currPos))) {
+                    s7 = input.charAt(peg$currPos);
+                    peg$currPos++;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c106); }
+                  }
+                  if (s7 !== peg$FAILED) {
+                    s8 = peg$parsenumber();
+                    if (s8 !== peg$FAILED) {
+                      if (input.charCodeAt(peg$currPos) === 93) {
+                        s9 = peg$c101;
+                        peg$currPos++;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c102); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        peg$savedPos = s0;
+                        s1 = peg$c107(s1, s2, s4, s5, s6, s7, s8);
+                        s0 = s1;
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
             } else {
-              s3 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c36); }
+              peg$currPos = s0;
+              s0 = peg$FAILED;
             }
-          }
-          if (s3 === peg$FAILED) {
-            s3 = null;
-          }
-          if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c37(s2, s3);
-            s0 = s1;
           } else {
             peg$currPos = s0;
             s0 = peg$FAILED;
@@ -1140,7 +2569,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c30); }
+        if (peg$silentFails === 0) { peg$fail(peg$c104); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1148,10 +2577,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsescale() {
-      var s0, s1, s2;
+    function peg$parseshortcanvasrect() {
+      var s0, s1, s2, s3;
 
-      var key    = peg$currPos * 33 + 11,
+      var key    = peg$currPos * 48 + 26,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1161,21 +2590,27 @@ module.exports = (function() {
       }
 
       peg$silentFails++;
-      s0 = peg$parserelscale();
-      if (s0 === peg$FAILED) {
-        s0 = peg$currPos;
-        s1 = peg$parseabsscale();
-        if (s1 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 32) {
-            s2 = peg$c39;
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 91) {
+        s1 = peg$c99;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c100); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parsenumber();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 93) {
+            s3 = peg$c101;
             peg$currPos++;
           } else {
-            s2 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c40); }
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c102); }
           }
-          if (s2 !== peg$FAILED) {
+          if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c41(s1);
+            s1 = peg$c109(s1, s2);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -1185,11 +2620,14 @@ module.exports = (function() {
           peg$currPos = s0;
           s0 = peg$FAILED;
         }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c38); }
+        if (peg$silentFails === 0) { peg$fail(peg$c108); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1197,10 +2635,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parserelscale() {
-      var s0, s1;
+    function peg$parsemodifier() {
+      var s0, s1, s2, s3;
 
-      var key    = peg$currPos * 33 + 12,
+      var key    = peg$currPos * 48 + 27,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1211,55 +2649,81 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      s1 = peg$parsepercent();
-      if (s1 !== peg$FAILED) {
-        peg$savedPos = s0;
-        s1 = peg$c43(s1);
-      }
-      s0 = s1;
-      peg$silentFails--;
-      if (s0 === peg$FAILED) {
+      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c111) {
+        s1 = input.substr(peg$currPos, 4);
+        peg$currPos += 4;
+      } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c42); }
-      }
-
-      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
-
-      return s0;
-    }
-
-    function peg$parseabsscale() {
-      var s0, s1, s2, s3, s4, s5;
-
-      var key    = peg$currPos * 33 + 13,
-          cached = peg$resultsCache[key];
-
-      if (cached) {
-        peg$currPos = cached.nextPos;
-
-        return cached.result;
+        if (peg$silentFails === 0) { peg$fail(peg$c112); }
       }
-
-      peg$silentFails++;
-      s0 = peg$currPos;
-      s1 = peg$parseabscomp();
       if (s1 !== peg$FAILED) {
-        s2 = peg$parse_();
+        s2 = peg$parsemodifierend();
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 1).toLowerCase() === peg$c45) {
-            s3 = input.charAt(peg$currPos);
-            peg$currPos++;
+          peg$savedPos = s0;
+          s1 = peg$c113();
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (input.substr(peg$currPos, 3).toLowerCase() === peg$c114) {
+          s1 = input.substr(peg$currPos, 3);
+          peg$currPos += 3;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c115); }
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = peg$parsenumber();
+          if (s2 !== peg$FAILED) {
+            s3 = peg$parsemodifierend();
+            if (s3 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$c116(s2);
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
           } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c46); }
+            peg$currPos = s0;
+            s0 = peg$FAILED;
           }
-          if (s3 !== peg$FAILED) {
-            s4 = peg$parse_();
-            if (s4 !== peg$FAILED) {
-              s5 = peg$parseabscomp();
-              if (s5 !== peg$FAILED) {
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+        if (s0 === peg$FAILED) {
+          s0 = peg$currPos;
+          if (input.substr(peg$currPos, 2).toLowerCase() === peg$c117) {
+            s1 = input.substr(peg$currPos, 2);
+            peg$currPos += 2;
+          } else {
+            s1 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c118); }
+          }
+          if (s1 === peg$FAILED) {
+            if (input.substr(peg$currPos, 6).toLowerCase() === peg$c119) {
+              s1 = input.substr(peg$currPos, 6);
+              peg$currPos += 6;
+            } else {
+              s1 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c120); }
+            }
+          }
+          if (s1 !== peg$FAILED) {
+            s2 = peg$parsehexcolor();
+            if (s2 !== peg$FAILED) {
+              s3 = peg$parsemodifierend();
+              if (s3 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c47(s1, s5);
+                s1 = peg$c121(s2);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -1273,18 +2737,12 @@ module.exports = (function() {
             peg$currPos = s0;
             s0 = peg$FAILED;
           }
-        } else {
-          peg$currPos = s0;
-          s0 = peg$FAILED;
         }
-      } else {
-        peg$currPos = s0;
-        s0 = peg$FAILED;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c44); }
+        if (peg$silentFails === 0) { peg$fail(peg$c110); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1292,10 +2750,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseabscomp() {
+    function peg$parsemodifierend() {
       var s0, s1, s2;
 
-      var key    = peg$currPos * 33 + 14,
+      var key    = peg$currPos * 48 + 28,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1305,44 +2763,56 @@ module.exports = (function() {
       }
 
       peg$silentFails++;
-      s0 = peg$currPos;
-      s1 = peg$parsenumber();
+      s0 = [];
+      s1 = peg$parsewhitespace();
       if (s1 !== peg$FAILED) {
-        s2 = peg$parseunit();
-        if (s2 === peg$FAILED) {
-          s2 = null;
-        }
-        if (s2 !== peg$FAILED) {
-          peg$savedPos = s0;
-          s1 = peg$c49(s1, s2);
-          s0 = s1;
-        } else {
-          peg$currPos = s0;
-          s0 = peg$FAILED;
+        while (s1 !== peg$FAILED) {
+          s0.push(s1);
+          s1 = peg$parsewhitespace();
         }
       } else {
-        peg$currPos = s0;
         s0 = peg$FAILED;
       }
       if (s0 === peg$FAILED) {
         s0 = peg$currPos;
-        if (input.charCodeAt(peg$currPos) === 63) {
-          s1 = peg$c50;
+        peg$silentFails++;
+        if (peg$c14.test(input.charAt(peg$currPos))) {
+          s1 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c51); }
+          if (peg$silentFails === 0) { peg$fail(peg$c15); }
+        }
+        if (s1 === peg$FAILED) {
+          s1 = peg$currPos;
+          peg$silentFails++;
+          if (input.length > peg$currPos) {
+            s2 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c20); }
+          }
+          peg$silentFails--;
+          if (s2 === peg$FAILED) {
+            s1 = void 0;
+          } else {
+            peg$currPos = s1;
+            s1 = peg$FAILED;
+          }
         }
+        peg$silentFails--;
         if (s1 !== peg$FAILED) {
-          peg$savedPos = s0;
-          s1 = peg$c52();
+          peg$currPos = s0;
+          s0 = void 0;
+        } else {
+          s0 = peg$FAILED;
         }
-        s0 = s1;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c48); }
+        if (peg$silentFails === 0) { peg$fail(peg$c122); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1350,10 +2820,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsecompcanvasrect() {
-      var s0, s1;
+    function peg$parsehexcolor() {
+      var s0, s1, s2, s3;
 
-      var key    = peg$currPos * 33 + 15,
+      var key    = peg$currPos * 48 + 29,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1363,17 +2833,53 @@ module.exports = (function() {
       }
 
       peg$silentFails++;
-      s0 = peg$parselongcanvasrect();
-      if (s0 === peg$FAILED) {
-        s0 = peg$parselongcanvasrectwithoffsets();
-        if (s0 === peg$FAILED) {
-          s0 = peg$parseshortcanvasrect();
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 35) {
+        s1 = peg$c124;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c125); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        if (peg$c126.test(input.charAt(peg$currPos))) {
+          s3 = input.charAt(peg$currPos);
+          peg$currPos++;
+        } else {
+          s3 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c127); }
+        }
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            if (peg$c126.test(input.charAt(peg$currPos))) {
+              s3 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s3 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c127); }
+            }
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c128(s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
         }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c53); }
+        if (peg$silentFails === 0) { peg$fail(peg$c123); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1381,10 +2887,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parselongcanvasrect() {
-      var s0, s1, s2, s3, s4, s5;
+    function peg$parseeachdirective() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8;
 
-      var key    = peg$currPos * 33 + 16,
+      var key    = peg$currPos * 48 + 30,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1395,41 +2901,129 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 91) {
-        s1 = peg$c55;
-        peg$currPos++;
+      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c130) {
+        s1 = input.substr(peg$currPos, 4);
+        peg$currPos += 4;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c56); }
+        if (peg$silentFails === 0) { peg$fail(peg$c131); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsenumber();
+        s2 = [];
+        s3 = peg$parsewhitespace();
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$parsewhitespace();
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
         if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 120) {
-            s3 = peg$c45;
+          s3 = peg$currPos;
+          if (input.charCodeAt(peg$currPos) === 64) {
+            s4 = peg$c6;
             peg$currPos++;
           } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c7); }
+          }
+          if (s4 !== peg$FAILED) {
+            s5 = peg$parsenumber();
+            if (s5 !== peg$FAILED) {
+              if (input.substr(peg$currPos, 1).toLowerCase() === peg$c89) {
+                s6 = input.charAt(peg$currPos);
+                peg$currPos++;
+              } else {
+                s6 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c90); }
+              }
+              if (s6 !== peg$FAILED) {
+                s7 = [];
+                s8 = peg$parsewhitespace();
+                if (s8 !== peg$FAILED) {
+                  while (s8 !== peg$FAILED) {
+                    s7.push(s8);
+                    s8 = peg$parsewhitespace();
+                  }
+                } else {
+                  s7 = peg$FAILED;
+                }
+                if (s7 !== peg$FAILED) {
+                  peg$savedPos = s3;
+                  s4 = peg$c132(s5);
+                  s3 = s4;
+                } else {
+                  peg$currPos = s3;
+                  s3 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s3;
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c46); }
+          }
+          if (s3 === peg$FAILED) {
+            s3 = null;
           }
           if (s3 !== peg$FAILED) {
-            s4 = peg$parsenumber();
-            if (s4 !== peg$FAILED) {
-              if (input.charCodeAt(peg$currPos) === 93) {
-                s5 = peg$c57;
+            s4 = peg$currPos;
+            peg$silentFails++;
+            s5 = peg$currPos;
+            s6 = [];
+            if (peg$c133.test(input.charAt(peg$currPos))) {
+              s7 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s7 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c134); }
+            }
+            while (s7 !== peg$FAILED) {
+              s6.push(s7);
+              if (peg$c133.test(input.charAt(peg$currPos))) {
+                s7 = input.charAt(peg$currPos);
                 peg$currPos++;
               } else {
-                s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c58); }
+                s7 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c134); }
               }
-              if (s5 !== peg$FAILED) {
-                peg$savedPos = s0;
-                s1 = peg$c59(s1, s2, s4);
-                s0 = s1;
+            }
+            if (s6 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 42) {
+                s7 = peg$c135;
+                peg$currPos++;
               } else {
-                peg$currPos = s0;
-                s0 = peg$FAILED;
+                s7 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c136); }
+              }
+              if (s7 !== peg$FAILED) {
+                s6 = [s6, s7];
+                s5 = s6;
+              } else {
+                peg$currPos = s5;
+                s5 = peg$FAILED;
               }
+            } else {
+              peg$currPos = s5;
+              s5 = peg$FAILED;
+            }
+            peg$silentFails--;
+            if (s5 !== peg$FAILED) {
+              peg$currPos = s4;
+              s4 = void 0;
+            } else {
+              s4 = peg$FAILED;
+            }
+            if (s4 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$c137(s3);
+              s0 = s1;
             } else {
               peg$currPos = s0;
               s0 = peg$FAILED;
@@ -1449,7 +3043,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c54); }
+        if (peg$silentFails === 0) { peg$fail(peg$c129); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1457,10 +3051,41 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parselongcanvasrectwithoffsets() {
+    function peg$parseatlasprefix() {
+      var s0, s1;
+
+      var key    = peg$currPos * 48 + 31,
+          cached = peg$resultsCache[key];
+
+      if (cached) {
+        peg$currPos = cached.nextPos;
+
+        return cached.result;
+      }
+
+      peg$silentFails++;
+      if (input.substr(peg$currPos, 6).toLowerCase() === peg$c139) {
+        s0 = input.substr(peg$currPos, 6);
+        peg$currPos += 6;
+      } else {
+        s0 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c140); }
+      }
+      peg$silentFails--;
+      if (s0 === peg$FAILED) {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c138); }
+      }
+
+      peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
+
+      return s0;
+    }
+
+    function peg$parseninepatchinsets() {
       var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9;
 
-      var key    = peg$currPos * 33 + 17,
+      var key    = peg$currPos * 48 + 32,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1471,69 +3096,69 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 91) {
-        s1 = peg$c55;
+      if (input.charCodeAt(peg$currPos) === 60) {
+        s1 = peg$c142;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c56); }
+        if (peg$silentFails === 0) { peg$fail(peg$c143); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsenumber();
+        s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 120) {
-            s3 = peg$c45;
-            peg$currPos++;
-          } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c46); }
-          }
+          s3 = peg$parseinsetpair();
           if (s3 !== peg$FAILED) {
-            s4 = peg$parsenumber();
+            s4 = peg$parse_();
             if (s4 !== peg$FAILED) {
-              if (peg$c61.test(input.charAt(peg$currPos))) {
-                s5 = input.charAt(peg$currPos);
+              s5 = peg$currPos;
+              if (input.charCodeAt(peg$currPos) === 47) {
+                s6 = peg$c37;
                 peg$currPos++;
               } else {
-                s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c62); }
+                s6 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c38); }
               }
-              if (s5 !== peg$FAILED) {
-                s6 = peg$parsenumber();
-                if (s6 !== peg$FAILED) {
-                  if (peg$c61.test(input.charAt(peg$currPos))) {
-                    s7 = input.charAt(peg$currPos);
-                    peg$currPos++;
-                  } else {
-                    s7 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c62); }
-                  }
-                  if (s7 !== peg$FAILED) {
-                    s8 = peg$parsenumber();
-                    if (s8 !== peg$FAILED) {
-                      if (input.charCodeAt(peg$currPos) === 93) {
-                        s9 = peg$c57;
-                        peg$currPos++;
-                      } else {
-                        s9 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c58); }
-                      }
-                      if (s9 !== peg$FAILED) {
-                        peg$savedPos = s0;
-                        s1 = peg$c63(s1, s2, s4, s5, s6, s7, s8);
-                        s0 = s1;
-                      } else {
-                        peg$currPos = s0;
-                        s0 = peg$FAILED;
-                      }
+              if (s6 !== peg$FAILED) {
+                s7 = peg$parse_();
+                if (s7 !== peg$FAILED) {
+                  s8 = peg$parseinsetpair();
+                  if (s8 !== peg$FAILED) {
+                    s9 = peg$parse_();
+                    if (s9 !== peg$FAILED) {
+                      peg$savedPos = s5;
+                      s6 = peg$c144(s3, s8);
+                      s5 = s6;
                     } else {
-                      peg$currPos = s0;
-                      s0 = peg$FAILED;
+                      peg$currPos = s5;
+                      s5 = peg$FAILED;
                     }
                   } else {
-                    peg$currPos = s0;
-                    s0 = peg$FAILED;
+                    peg$currPos = s5;
+                    s5 = peg$FAILED;
                   }
+                } else {
+                  peg$currPos = s5;
+                  s5 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s5;
+                s5 = peg$FAILED;
+              }
+              if (s5 === peg$FAILED) {
+                s5 = null;
+              }
+              if (s5 !== peg$FAILED) {
+                if (input.charCodeAt(peg$currPos) === 62) {
+                  s6 = peg$c145;
+                  peg$currPos++;
+                } else {
+                  s6 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c146); }
+                }
+                if (s6 !== peg$FAILED) {
+                  peg$savedPos = s0;
+                  s1 = peg$c147(s3, s5);
+                  s0 = s1;
                 } else {
                   peg$currPos = s0;
                   s0 = peg$FAILED;
@@ -1561,7 +3186,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c60); }
+        if (peg$silentFails === 0) { peg$fail(peg$c141); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1569,10 +3194,10 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseshortcanvasrect() {
-      var s0, s1, s2, s3;
+    function peg$parseinsetpair() {
+      var s0, s1, s2, s3, s4, s5;
 
-      var key    = peg$currPos * 33 + 18,
+      var key    = peg$currPos * 48 + 33,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1583,27 +3208,33 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 91) {
-        s1 = peg$c55;
-        peg$currPos++;
-      } else {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c56); }
-      }
+      s1 = peg$parsenumber();
       if (s1 !== peg$FAILED) {
-        s2 = peg$parsenumber();
+        s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 93) {
-            s3 = peg$c57;
+          if (input.substr(peg$currPos, 1).toLowerCase() === peg$c89) {
+            s3 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c58); }
+            if (peg$silentFails === 0) { peg$fail(peg$c90); }
           }
           if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c65(s1, s2);
-            s0 = s1;
+            s4 = peg$parse_();
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parsenumber();
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c149(s1, s5);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
           } else {
             peg$currPos = s0;
             s0 = peg$FAILED;
@@ -1616,10 +3247,19 @@ module.exports = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        s1 = peg$parsenumber();
+        if (s1 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c150(s1);
+        }
+        s0 = s1;
+      }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c64); }
+        if (peg$silentFails === 0) { peg$fail(peg$c148); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1630,7 +3270,7 @@ module.exports = (function() {
     function peg$parseunit() {
       var s0, s1, s2;
 
-      var key    = peg$currPos * 33 + 19,
+      var key    = peg$currPos * 48 + 34,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1641,37 +3281,52 @@ module.exports = (function() {
 
       peg$silentFails++;
       s0 = peg$currPos;
-      if (peg$c67.test(input.charAt(peg$currPos))) {
-        s1 = input.charAt(peg$currPos);
-        peg$currPos++;
+      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c152) {
+        s1 = input.substr(peg$currPos, 4);
+        peg$currPos += 4;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c68); }
+        if (peg$silentFails === 0) { peg$fail(peg$c153); }
       }
       if (s1 !== peg$FAILED) {
-        if (peg$c67.test(input.charAt(peg$currPos))) {
-          s2 = input.charAt(peg$currPos);
+        peg$savedPos = s0;
+        s1 = peg$c154();
+      }
+      s0 = s1;
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (peg$c8.test(input.charAt(peg$currPos))) {
+          s1 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
-          s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c68); }
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c9); }
         }
-        if (s2 !== peg$FAILED) {
-          peg$savedPos = s0;
-          s1 = peg$c69(s1, s2);
-          s0 = s1;
+        if (s1 !== peg$FAILED) {
+          if (peg$c8.test(input.charAt(peg$currPos))) {
+            s2 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c9); }
+          }
+          if (s2 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c155(s1, s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
         } else {
           peg$currPos = s0;
           s0 = peg$FAILED;
         }
-      } else {
-        peg$currPos = s0;
-        s0 = peg$FAILED;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c66); }
+        if (peg$silentFails === 0) { peg$fail(peg$c151); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1682,7 +3337,7 @@ module.exports = (function() {
     function peg$parsepercent() {
       var s0, s1, s2;
 
-      var key    = peg$currPos * 33 + 20,
+      var key    = peg$currPos * 48 + 35,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1696,15 +3351,15 @@ module.exports = (function() {
       s1 = peg$parsenumber();
       if (s1 !== peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 37) {
-          s2 = peg$c35;
+          s2 = peg$c71;
           peg$currPos++;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c36); }
+          if (peg$silentFails === 0) { peg$fail(peg$c72); }
         }
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c71(s1);
+          s1 = peg$c157(s1);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -1717,7 +3372,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c70); }
+        if (peg$silentFails === 0) { peg$fail(peg$c156); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1728,7 +3383,7 @@ module.exports = (function() {
     function peg$parsegoodcharsanddots() {
       var s0, s1, s2;
 
-      var key    = peg$currPos * 33 + 21,
+      var key    = peg$currPos * 48 + 36,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1750,7 +3405,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c72(s1);
+        s1 = peg$c158(s1);
       }
       s0 = s1;
 
@@ -1762,7 +3417,7 @@ module.exports = (function() {
     function peg$parsegoodcharanddot() {
       var s0, s1;
 
-      var key    = peg$currPos * 33 + 22,
+      var key    = peg$currPos * 48 + 37,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1775,17 +3430,17 @@ module.exports = (function() {
       s0 = peg$parsegoodchar();
       if (s0 === peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 46) {
-          s0 = peg$c74;
+          s0 = peg$c48;
           peg$currPos++;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c75); }
+          if (peg$silentFails === 0) { peg$fail(peg$c49); }
         }
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c73); }
+        if (peg$silentFails === 0) { peg$fail(peg$c159); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1796,7 +3451,7 @@ module.exports = (function() {
     function peg$parsegoodcharsthendot() {
       var s0, s1, s2;
 
-      var key    = peg$currPos * 33 + 23,
+      var key    = peg$currPos * 48 + 38,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1810,15 +3465,15 @@ module.exports = (function() {
       s1 = peg$parsegoodchars();
       if (s1 !== peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 46) {
-          s2 = peg$c74;
+          s2 = peg$c48;
           peg$currPos++;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c75); }
+          if (peg$silentFails === 0) { peg$fail(peg$c49); }
         }
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c77(s1);
+          s1 = peg$c161(s1);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -1831,7 +3486,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c76); }
+        if (peg$silentFails === 0) { peg$fail(peg$c160); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1842,7 +3497,7 @@ module.exports = (function() {
     function peg$parsechars() {
       var s0, s1, s2;
 
-      var key    = peg$currPos * 33 + 24,
+      var key    = peg$currPos * 48 + 39,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1865,13 +3520,13 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c79(s1);
+        s1 = peg$c163(s1);
       }
       s0 = s1;
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c78); }
+        if (peg$silentFails === 0) { peg$fail(peg$c162); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1882,7 +3537,7 @@ module.exports = (function() {
     function peg$parsegoodchars() {
       var s0, s1, s2;
 
-      var key    = peg$currPos * 33 + 25,
+      var key    = peg$currPos * 48 + 40,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1905,13 +3560,13 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c79(s1);
+        s1 = peg$c163(s1);
       }
       s0 = s1;
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c80); }
+        if (peg$silentFails === 0) { peg$fail(peg$c164); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1922,7 +3577,7 @@ module.exports = (function() {
     function peg$parsechar() {
       var s0, s1;
 
-      var key    = peg$currPos * 33 + 26,
+      var key    = peg$currPos * 48 + 41,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1932,17 +3587,17 @@ module.exports = (function() {
       }
 
       peg$silentFails++;
-      if (peg$c82.test(input.charAt(peg$currPos))) {
+      if (peg$c166.test(input.charAt(peg$currPos))) {
         s0 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c83); }
+        if (peg$silentFails === 0) { peg$fail(peg$c167); }
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c81); }
+        if (peg$silentFails === 0) { peg$fail(peg$c165); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1953,7 +3608,7 @@ module.exports = (function() {
     function peg$parsegoodchar() {
       var s0, s1;
 
-      var key    = peg$currPos * 33 + 27,
+      var key    = peg$currPos * 48 + 42,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -1963,17 +3618,17 @@ module.exports = (function() {
       }
 
       peg$silentFails++;
-      if (peg$c85.test(input.charAt(peg$currPos))) {
+      if (peg$c169.test(input.charAt(peg$currPos))) {
         s0 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c86); }
+        if (peg$silentFails === 0) { peg$fail(peg$c170); }
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c84); }
+        if (peg$silentFails === 0) { peg$fail(peg$c168); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -1984,7 +3639,7 @@ module.exports = (function() {
     function peg$parsenumber() {
       var s0, s1, s2, s3, s4, s5, s6;
 
-      var key    = peg$currPos * 33 + 28,
+      var key    = peg$currPos * 48 + 43,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -2001,11 +3656,11 @@ module.exports = (function() {
       if (s3 !== peg$FAILED) {
         s4 = peg$currPos;
         if (input.charCodeAt(peg$currPos) === 46) {
-          s5 = peg$c74;
+          s5 = peg$c48;
           peg$currPos++;
         } else {
           s5 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c75); }
+          if (peg$silentFails === 0) { peg$fail(peg$c49); }
         }
         if (s5 !== peg$FAILED) {
           s6 = peg$parsedigits();
@@ -2041,7 +3696,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c88(s1);
+        s1 = peg$c172(s1);
       }
       s0 = s1;
       if (s0 === peg$FAILED) {
@@ -2049,11 +3704,11 @@ module.exports = (function() {
         s1 = peg$currPos;
         s2 = peg$currPos;
         if (input.charCodeAt(peg$currPos) === 46) {
-          s3 = peg$c74;
+          s3 = peg$c48;
           peg$currPos++;
         } else {
           s3 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c75); }
+          if (peg$silentFails === 0) { peg$fail(peg$c49); }
         }
         if (s3 !== peg$FAILED) {
           s4 = peg$parsedigits();
@@ -2075,14 +3730,14 @@ module.exports = (function() {
         }
         if (s1 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c89(s1);
+          s1 = peg$c173(s1);
         }
         s0 = s1;
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c87); }
+        if (peg$silentFails === 0) { peg$fail(peg$c171); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -2093,7 +3748,7 @@ module.exports = (function() {
     function peg$parsedigits() {
       var s0, s1;
 
-      var key    = peg$currPos * 33 + 29,
+      var key    = peg$currPos * 48 + 44,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -2121,7 +3776,7 @@ module.exports = (function() {
     function peg$parsedigit() {
       var s0;
 
-      var key    = peg$currPos * 33 + 30,
+      var key    = peg$currPos * 48 + 45,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -2130,12 +3785,12 @@ module.exports = (function() {
         return cached.result;
       }
 
-      if (peg$c90.test(input.charAt(peg$currPos))) {
+      if (peg$c174.test(input.charAt(peg$currPos))) {
         s0 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c91); }
+        if (peg$silentFails === 0) { peg$fail(peg$c175); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -2146,7 +3801,7 @@ module.exports = (function() {
     function peg$parse_() {
       var s0, s1;
 
-      var key    = peg$currPos * 33 + 31,
+      var key    = peg$currPos * 48 + 46,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -2165,7 +3820,7 @@ module.exports = (function() {
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c92); }
+        if (peg$silentFails === 0) { peg$fail(peg$c176); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -2176,7 +3831,7 @@ module.exports = (function() {
     function peg$parsewhitespace() {
       var s0;
 
-      var key    = peg$currPos * 33 + 32,
+      var key    = peg$currPos * 48 + 47,
           cached = peg$resultsCache[key];
 
       if (cached) {
@@ -2185,12 +3840,12 @@ module.exports = (function() {
         return cached.result;
       }
 
-      if (peg$c93.test(input.charAt(peg$currPos))) {
+      if (peg$c177.test(input.charAt(peg$currPos))) {
         s0 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c94); }
+        if (peg$silentFails === 0) { peg$fail(peg$c178); }
       }
 
       peg$resultsCache[key] = { nextPos: peg$currPos, result: s0 };
@@ -2223,9 +3878,32 @@ module.exports = (function() {
                 if (size.hasOwnProperty("heightUnit")) {
                     result.heightUnit = size.heightUnit;
                 }
+
+                if (size.hasOwnProperty("sizing")) {
+                    result.sizing = size.sizing;
+                }
             }
         }
         
+        /*
+         * Merge a list of modifier objects, like trim or pad8, into a results object.
+         */
+        function mergeModifiers(modifiers, result) {
+            modifiers.forEach(function (modifier) {
+                if (modifier.hasOwnProperty("trim")) {
+                    result.trim = modifier.trim;
+                }
+
+                if (modifier.hasOwnProperty("padding")) {
+                    result.padding = modifier.padding;
+                }
+
+                if (modifier.hasOwnProperty("matte")) {
+                    result.matte = modifier.matte;
+                }
+            });
+        }
+
         /*
          * Merge a canvasRect object into a results object, taking care to only copy defined values.
          * Currently on width and height, as well as X & Y offset.
@@ -26,11 +26,97 @@
 
     var parse = require("./parser").parse;
 
+    // Sizes of the images in an ico file whose layer name doesn't list any, like favicon.ico
+    var DEFAULT_ICON_SIZES = [16, 32, 48];
+
+    // Valid qualities of png files, i.e., png8, png24 and png32
+    var PNG_QUALITIES = [8, 24, 32];
+
+    // Misspellings are only matched to supported values that are at most this many edits away
+    var MAX_SUGGESTION_DISTANCE = 2;
+
+    // Indentation of the excerpt of a layer name that points out the position of a parse error
+    var EXCERPT_INDENT = "    ";
+
+    /**
+     * Compute the number of insertions, deletions, substitutions and transpositions
+     * of adjacent characters that turn one string into another.
+     *
+     * @private
+     * @param {string} a
+     * @param {string} b
+     * @return {number}
+     */
+    function _getEditDistance(a, b) {
+        var distances = [],
+            i,
+            j,
+            cost;
+
+        for (i = 0; i <= a.length; i++) {
+            distances[i] = [i];
+        }
+
+        for (j = 0; j <= b.length; j++) {
+            distances[0][j] = j;
+        }
+
+        for (i = 1; i <= a.length; i++) {
+            for (j = 1; j <= b.length; j++) {
+                cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                distances[i][j] = Math.min(distances[i - 1][j] + 1,
+                                           distances[i][j - 1] + 1,
+                                           distances[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + cost);
+                }
+            }
+        }
+
+        return distances[a.length][b.length];
+    }
+
+    /**
+     * Find the enabled keys of the given table that are closest to a misspelled value.
+     *
+     * @private
+     * @param {string} value
+     * @param {{string: boolean}} table E.g., the supported extensions
+     * @return {Array.<string>} The closest keys, if any are close enough
+     */
+    function _findClosest(value, table) {
+        var maxDistance = Math.min(MAX_SUGGESTION_DISTANCE, value.length - 1),
+            closest = [],
+            closestDistance = Infinity;
+
+        Object.keys(table).forEach(function (key) {
+            if (!table[key]) {
+                return;
+            }
+
+            var distance = _getEditDistance(value.toLowerCase(), key);
+
+            if (distance > maxDistance || distance > closestDistance) {
+                return;
+            }
+
+            if (distance < closestDistance) {
+                closest = [];
+                closestDistance = distance;
+            }
+
+            closest.push(key);
+        });
+
+        return closest;
+    }
+
     /**
      * The ParserManager manages parsing, normalization and analysis of layer
      * names into asset specifications. The config parameter can be used to enable
-     * svg and webp parsing if the "svg-enabled" and "webp-enabled" parameters are
-     * set, resp.
+     * svg, webp and avif parsing if the "svg-enabled", "webp-enabled" and
+     * "avif-enabled" parameters are set, resp.
      * 
      * @constructor
      * @param {object} config
@@ -42,7 +128,10 @@
             "in": true,
             "cm": true,
             "px": true,
-            "mm": true
+            "mm": true,
+            "pt": true,
+            "pc": true,
+            "%doc": true
         };
 
         this._supportedExtensions = {
@@ -50,7 +139,19 @@
             "png": true,
             "gif": true,
             "svg": this._config.hasOwnProperty("svg-enabled") ? !!this._config["svg-enabled"] : true,
-            "webp": !!this._config["webp-enabled"]
+            "webp": !!this._config["webp-enabled"],
+            "avif": !!this._config["avif-enabled"],
+            "ico": true
+        };
+
+        this._supportedPlaceholders = {
+            "layer": true,
+            "doc": true,
+            "comp": true,
+            "group": true,
+            "index": true,
+            "w": true,
+            "h": true
         };
     }
 
@@ -68,6 +169,14 @@
      */
     ParserManager.prototype._supportedExtensions = null;
 
+    /**
+     * Set of supported placeholders, like {layer}, in file names, folder names
+     * and default suffixes.
+     *
+     * @type {{string: boolean}}
+     */
+    ParserManager.prototype._supportedPlaceholders = null;
+
     /**
      * Parse a layer name into a non-empty array of file specification parts.
      * If a given layer specification part can be parsed into a file specification,
@@ -102,10 +211,27 @@
 
             component.extension = extension;
 
-            if (component.hasOwnProperty("quality")) {
+            if (extension === "ico") {
+                // The quality of an ico file is its list of image sizes, e.g. ico16-32-48
+                if (component.hasOwnProperty("quality")) {
+                    component.iconSizes = String(component.quality).split("-").map(function (size) {
+                        return parseInt(size, 10);
+                    });
+                    delete component.quality;
+                } else if (!component.iconSizes) {
+                    component.iconSizes = DEFAULT_ICON_SIZES.slice();
+                }
+            }
+
+            // Lists of sizes, like 16-32-48, are only meaningful for ico files, and are otherwise left
+            // as they are to be reported as an invalid quality
+            if (component.hasOwnProperty("quality") && !/^\d+(-\d+)+$/.test(component.quality)) {
                 var quality = component.quality;
                 if (quality[quality.length - 1] === "%") {
                     quality = parseInt(quality.substring(0, quality.length - 1), 10);
+                } else if (extension === "avif") {
+                    // avif quality is given as a percentage, e.g. avif60
+                    quality = parseInt(quality, 10);
                 } else if (extension === "png" && quality[quality.length - 1] === "a") {
                     // normalize png24a -> png32
                     quality = parseInt(quality.substring(0, quality.length - 1), 10);
@@ -122,6 +248,17 @@
             }
         }
 
+        if (typeof component.matte === "string") {
+            var matte = component.matte.toLowerCase();
+
+            // Expand the short form of a color, e.g. #fa0 -> #ffaa00
+            if (/^#[0-9a-f]{3}$/.test(matte)) {
+                matte = "#" + matte[1] + matte[1] + matte[2] + matte[2] + matte[3] + matte[3];
+            }
+
+            component.matte = matte;
+        }
+
         if (component.hasOwnProperty("widthUnit")) {
             component.widthUnit = component.widthUnit.toLowerCase();
         }
@@ -153,6 +290,10 @@
             errors.push("Invalid height: 0");
         }
 
+        if (component.sizing && !(component.width && component.height)) {
+            errors.push("Fit and fill sizes require a width and a height: " + component.name);
+        }
+
         if (component.widthUnit && !this._supportedUnits[component.widthUnit]) {
             errors.push("Invalid width unit: " + component.widthUnit);
         }
@@ -165,13 +306,66 @@
             errors.push("Unsupported extension: " + component.extension);
         }
 
+        [component.file, component.suffix].concat(component.folder || []).forEach(function (part) {
+            var placeholders = (part && part.match(/\{[^}]*\}/g)) || [];
+
+            placeholders.forEach(function (placeholder) {
+                if (!this._supportedPlaceholders[placeholder.slice(1, -1)]) {
+                    errors.push("Unknown placeholder: " + placeholder);
+                }
+            }, this);
+        }, this);
+
+        if (component.preset === "xcassets" && this._config["hashed-filenames"]) {
+            errors.push("Asset catalogs can't be written with hashed filenames: " + component.name);
+        }
+
+        if (component.iconSizes) {
+            component.iconSizes.forEach(function (size) {
+                if (!(size >= 1 && size <= 256)) {
+                    errors.push("Invalid icon size: " + size);
+                }
+            });
+        }
+
+        if (component.atlas) {
+            if (!component.folder || component.folder.length === 0) {
+                errors.push("Missing atlas name: " + component.name);
+            }
+
+            if (component.extension !== "png") {
+                errors.push("Atlas frames must be PNG files: " + component.file);
+            }
+        }
+
+        if (component.hasOwnProperty("padding") && !(component.padding % 1 === 0 && component.padding > 0)) {
+            errors.push("Invalid padding: " + component.padding);
+        }
+
+        if ((component.trim || component.padding) && component.extension === "svg") {
+            errors.push("Trim and padding are not supported for SVG files: " + component.file);
+        }
+
+        if (component.hasOwnProperty("matte") && !/^#[0-9a-f]{6}$/.test(component.matte)) {
+            errors.push("Invalid matte color: " + component.matte);
+        }
+
+        if (component.ninePatch && !/\.9\.png$/i.test(component.file || "")) {
+            errors.push("Nine-patch insets require a .9.png file: " + (component.file || component.name));
+        }
+
+        if (!component.ninePatch && /\.9\.png$/i.test(component.file || "")) {
+            errors.push("Nine-patch images require stretch insets, like <16> " + component.file);
+        }
+
         if (component.hasOwnProperty("quality")) {
             var quality = component.quality,
-                invalidQuality = false;
+                invalidQuality = typeof quality !== "number";
 
             switch (component.extension) {
             case "jpg":
             case "webp":
+            case "avif":
                 if (quality < 1 || quality > 100) {
                     invalidQuality = true;
                 }
@@ -212,7 +406,7 @@
         } catch (parseError) {
             return [{
                 component: { name: layerName },
-                errors: [parseError.message]
+                errors: [this._describeParseError(layerName, parseError)]
             }];
         }
 
@@ -234,9 +428,82 @@
 
         return {
             component: component,
-            errors: this._analyzeComponent(component)
+            errors: this._analyzeComponent(component).map(function (error) {
+                return this._addSuggestions(error, component);
+            }, this)
         };
     };
 
+    /**
+     * Describe a layer name parse error, followed by an excerpt of the layer name
+     * with a caret that points at the position of the error.
+     *
+     * @private
+     * @param {string} layerName
+     * @param {Error} parseError An error thrown by the layer name parser
+     * @return {string}
+     */
+    ParserManager.prototype._describeParseError = function (layerName, parseError) {
+        var start = parseError.location && parseError.location.start;
+
+        if (!start) {
+            return parseError.message;
+        }
+
+        var line = layerName.split(/\r\n|\r|\n/)[start.line - 1].replace(/\t/g, " ");
+
+        return parseError.message + " (column " + start.column + ")\n" +
+            EXCERPT_INDENT + line + "\n" +
+            EXCERPT_INDENT + new Array(start.column).join(" ") + "^";
+    };
+
+    /**
+     * Append "did you mean" suggestions to an analysis error about an unsupported
+     * extension, an unknown unit or an invalid quality, if there are any.
+     *
+     * @private
+     * @param {string} error An error returned by _analyzeComponent
+     * @param {Component} component The analyzed component
+     * @return {string}
+     */
+    ParserManager.prototype._addSuggestions = function (error, component) {
+        var suggestions = [],
+            extension = component.extension,
+            quality = component.quality;
+
+        if (error === "Unsupported extension: " + extension) {
+            suggestions = _findClosest(extension, this._supportedExtensions).map(function (key) {
+                return "." + key;
+            });
+        } else if (error === "Invalid width unit: " + component.widthUnit) {
+            suggestions = _findClosest(component.widthUnit, this._supportedUnits);
+        } else if (error === "Invalid height unit: " + component.heightUnit) {
+            suggestions = _findClosest(component.heightUnit, this._supportedUnits);
+        } else if (error === "Invalid quality: " + quality && typeof quality === "number") {
+            if (extension === "jpg" || extension === "webp" || extension === "avif") {
+                suggestions = [extension + Math.min(Math.max(quality, 1), 100) + "%"];
+            } else if (extension === "png") {
+                var nearestDistance = Math.min.apply(null, PNG_QUALITIES.map(function (pngQuality) {
+                    return Math.abs(pngQuality - quality);
+                }));
+
+                suggestions = PNG_QUALITIES.filter(function (pngQuality) {
+                    return Math.abs(pngQuality - quality) === nearestDistance;
+                }).map(function (pngQuality) {
+                    return "png" + pngQuality;
+                });
+            } else {
+                // Other formats don't take a quality at all
+                suggestions = ["." + extension];
+            }
+        }
+
+        if (suggestions.length === 0) {
+            return error;
+        }
+
+        return error + " (did you mean " + suggestions.join(" or ") + "?)";
+    };
+
     module.exports = ParserManager;
 }());
@@ -0,0 +1,297 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    // Generator pixmaps are 8-bit ARGB, with the alpha channel first
+    var CHANNEL_COUNT = 4,
+        BITS_PER_CHANNEL = 8;
+
+    // Opaque black, the color of the nine-patch guides
+    var NINE_PATCH_GUIDE = [255, 0, 0, 0];
+
+    /**
+     * Throw unless the given pixmap has the 8-bit ARGB layout these helpers understand.
+     *
+     * @private
+     * @param {Pixmap} pixmap
+     */
+    function _assertARGB(pixmap) {
+        if (pixmap.channelCount !== CHANNEL_COUNT || pixmap.bitsPerChannel !== BITS_PER_CHANNEL) {
+            throw new Error("Unsupported pixmap format: " + pixmap.channelCount + " channels, " +
+                pixmap.bitsPerChannel + " bits per channel");
+        }
+    }
+
+    /**
+     * Number of bytes between the starts of two consecutive rows of the given pixmap.
+     *
+     * @private
+     * @param {Pixmap} pixmap
+     * @return {number}
+     */
+    function _getRowBytes(pixmap) {
+        return pixmap.rowBytes || pixmap.width * CHANNEL_COUNT;
+    }
+
+    /**
+     * Create a fully transparent pixmap of the given size. Properties such as the
+     * ICC profile are copied from the optional template pixmap.
+     *
+     * @param {number} width
+     * @param {number} height
+     * @param {Pixmap=} template
+     * @return {Pixmap}
+     */
+    function createPixmap(width, height, template) {
+        var pixmap = {},
+            property;
+
+        if (template) {
+            for (property in template) {
+                if (template.hasOwnProperty(property)) {
+                    pixmap[property] = template[property];
+                }
+            }
+        }
+
+        pixmap.width = width;
+        pixmap.height = height;
+        pixmap.channelCount = CHANNEL_COUNT;
+        pixmap.bitsPerChannel = BITS_PER_CHANNEL;
+        pixmap.rowBytes = width * CHANNEL_COUNT;
+        pixmap.pixels = Buffer.alloc(pixmap.rowBytes * height);
+
+        return pixmap;
+    }
+
+    /**
+     * Copy a rectangle of the source pixmap into the target pixmap at the given position.
+     *
+     * @param {Pixmap} source
+     * @param {{x: number, y: number, width: number, height: number}} sourceRect
+     * @param {Pixmap} target
+     * @param {number} targetX
+     * @param {number} targetY
+     */
+    function blit(source, sourceRect, target, targetX, targetY) {
+        var sourceRowBytes = _getRowBytes(source),
+            targetRowBytes = _getRowBytes(target),
+            rowLength = sourceRect.width * CHANNEL_COUNT,
+            row,
+            sourceStart;
+
+        for (row = 0; row < sourceRect.height; row++) {
+            sourceStart = (sourceRect.y + row) * sourceRowBytes + sourceRect.x * CHANNEL_COUNT;
+            source.pixels.copy(target.pixels,
+                               (targetY + row) * targetRowBytes + targetX * CHANNEL_COUNT,
+                               sourceStart,
+                               sourceStart + rowLength);
+        }
+    }
+
+    /**
+     * Set a single pixel of the given pixmap.
+     *
+     * @param {Pixmap} pixmap
+     * @param {number} x
+     * @param {number} y
+     * @param {Array.<number>} argb
+     */
+    function setPixel(pixmap, x, y, argb) {
+        var offset = y * _getRowBytes(pixmap) + x * CHANNEL_COUNT,
+            channel;
+
+        for (channel = 0; channel < CHANNEL_COUNT; channel++) {
+            pixmap.pixels[offset + channel] = argb[channel];
+        }
+    }
+
+    /**
+     * Apply the extract and padding convert settings to a pixmap, returning a new
+     * pixmap that has exactly the dimensions of the asset that would be written.
+     * Padding is fully transparent.
+     *
+     * @param {Pixmap} pixmap
+     * @param {?{x: number, y: number, width: number, height: number}} extract
+     * @param {?{top: number, right: number, bottom: number, left: number}} padding
+     * @return {Pixmap}
+     */
+    function flatten(pixmap, extract, padding) {
+        _assertARGB(pixmap);
+
+        var sourceRect = extract || { x: 0, y: 0, width: pixmap.width, height: pixmap.height },
+            margins = padding || { top: 0, right: 0, bottom: 0, left: 0 },
+            result = createPixmap(sourceRect.width + margins.left + margins.right,
+                                  sourceRect.height + margins.top + margins.bottom,
+                                  pixmap);
+
+        blit(pixmap, sourceRect, result, margins.left, margins.top);
+
+        return result;
+    }
+
+    /**
+     * Composite a pixmap over a solid color, so that every pixel of the result is opaque.
+     *
+     * @param {Pixmap} pixmap
+     * @param {Array.<number>} rgb The red, green and blue components of the matte color
+     * @return {Pixmap}
+     */
+    function applyMatte(pixmap, rgb) {
+        _assertARGB(pixmap);
+
+        var result = createPixmap(pixmap.width, pixmap.height, pixmap),
+            sourceRowBytes = _getRowBytes(pixmap),
+            targetRowBytes = _getRowBytes(result),
+            x,
+            y,
+            channel,
+            source,
+            target,
+            alpha;
+
+        for (y = 0; y < pixmap.height; y++) {
+            for (x = 0; x < pixmap.width; x++) {
+                source = y * sourceRowBytes + x * CHANNEL_COUNT;
+                target = y * targetRowBytes + x * CHANNEL_COUNT;
+                alpha = pixmap.pixels[source] / 255;
+
+                result.pixels[target] = 255;
+                for (channel = 1; channel < CHANNEL_COUNT; channel++) {
+                    result.pixels[target + channel] = Math.round(pixmap.pixels[source + channel] * alpha +
+                        rgb[channel - 1] * (1 - alpha));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the smallest rectangle within the given rectangle of a pixmap that holds
+     * all of its pixels that are not fully transparent.
+     *
+     * @param {Pixmap} pixmap
+     * @param {?{x: number, y: number, width: number, height: number}} rect The area to search;
+     *      defaults to the whole pixmap
+     * @return {?{x: number, y: number, width: number, height: number}} Null if every pixel is transparent
+     */
+    function getOpaqueBounds(pixmap, rect) {
+        _assertARGB(pixmap);
+
+        var area = rect || { x: 0, y: 0, width: pixmap.width, height: pixmap.height },
+            rowBytes = _getRowBytes(pixmap),
+            left = Infinity,
+            top = Infinity,
+            right = -1,
+            bottom = -1,
+            x,
+            y;
+
+        for (y = area.y; y < area.y + area.height; y++) {
+            for (x = area.x; x < area.x + area.width; x++) {
+                if (pixmap.pixels[y * rowBytes + x * CHANNEL_COUNT] !== 0) {
+                    left = Math.min(left, x);
+                    right = Math.max(right, x);
+                    top = Math.min(top, y);
+                    bottom = Math.max(bottom, y);
+                }
+            }
+        }
+
+        if (right < 0) {
+            return null;
+        }
+
+        return {
+            x: left,
+            y: top,
+            width: right - left + 1,
+            height: bottom - top + 1
+        };
+    }
+
+    /**
+     * Surround a pixmap with the 1px border of an Android nine-patch image. The top
+     * and left guides mark the stretchable region, which excludes the given stretch
+     * insets; the optional bottom and right guides mark the content region, which
+     * excludes the given content insets.
+     *
+     * @param {Pixmap} pixmap
+     * @param {{stretchX: number, stretchY: number, contentX: number=, contentY: number=}} insets
+     *      Insets in pixels, applied to both sides of the image
+     * @return {Pixmap}
+     */
+    function addNinePatchBorder(pixmap, insets) {
+        _assertARGB(pixmap);
+
+        var width = pixmap.width,
+            height = pixmap.height,
+            result = createPixmap(width + 2, height + 2, pixmap),
+            hasContent = insets.hasOwnProperty("contentX"),
+            x,
+            y;
+
+        if (2 * insets.stretchX >= width || 2 * insets.stretchY >= height) {
+            throw new Error("Nine-patch stretch insets leave no stretchable region in a " +
+                width + "x" + height + " image");
+        }
+
+        if (hasContent && (2 * insets.contentX >= width || 2 * insets.contentY >= height)) {
+            throw new Error("Nine-patch content insets leave no content region in a " +
+                width + "x" + height + " image");
+        }
+
+        blit(pixmap, { x: 0, y: 0, width: width, height: height }, result, 1, 1);
+
+        for (x = insets.stretchX; x < width - insets.stretchX; x++) {
+            setPixel(result, x + 1, 0, NINE_PATCH_GUIDE);
+        }
+
+        for (y = insets.stretchY; y < height - insets.stretchY; y++) {
+            setPixel(result, 0, y + 1, NINE_PATCH_GUIDE);
+        }
+
+        if (hasContent) {
+            for (x = insets.contentX; x < width - insets.contentX; x++) {
+                setPixel(result, x + 1, height + 1, NINE_PATCH_GUIDE);
+            }
+
+            for (y = insets.contentY; y < height - insets.contentY; y++) {
+                setPixel(result, width + 1, y + 1, NINE_PATCH_GUIDE);
+            }
+        }
+
+        return result;
+    }
+
+    exports.createPixmap = createPixmap;
+    exports.blit = blit;
+    exports.setPixel = setPixel;
+    exports.flatten = flatten;
+    exports.getOpaqueBounds = getOpaqueBounds;
+    exports.applyMatte = applyMatte;
+    exports.addNinePatchBorder = addNinePatchBorder;
+}());
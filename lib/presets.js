@@ -0,0 +1,217 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var path = require("path");
+
+    // Name of the asset catalog folder that contains the image sets
+    var XCASSETS_FOLDER = "Assets.xcassets";
+
+    // Name of the file that describes each folder of an asset catalog
+    var CONTENTS_FILE = "Contents.json";
+
+    // Scale factors of the renditions in an image set
+    var XCASSETS_SCALES = [1, 2, 3];
+
+    // Scale factors of the Android drawable density buckets, relative to mdpi
+    var ANDROID_DENSITIES = {
+        "mdpi": 1,
+        "hdpi": 1.5,
+        "xhdpi": 2,
+        "xxhdpi": 3,
+        "xxxhdpi": 4
+    };
+
+    /**
+     * Split a filename into its base name and its extension, including the dot.
+     *
+     * @private
+     * @param {string} file
+     * @return {{name: string, extension: string}}
+     */
+    function _splitFile(file) {
+        var index = file.lastIndexOf(".");
+
+        return {
+            name: file.substring(0, index),
+            extension: file.substring(index)
+        };
+    }
+
+    /**
+     * Compute the renditions of an iOS asset catalog image set: the basic component
+     * at 1x, 2x and 3x, all written into a single ".imageset" folder.
+     *
+     * @private
+     * @param {Component} basic
+     * @return {Array.<object>}
+     */
+    function _getXCAssetsRenditions(basic) {
+        var parts = _splitFile(basic.file),
+            folder = [XCASSETS_FOLDER].concat(basic.folder || [], [parts.name + ".imageset"]),
+            imageset = folder.join(path.sep);
+
+        return XCASSETS_SCALES.map(function (factor) {
+            var suffix = factor > 1 ? "@" + factor + "x" : "";
+
+            return {
+                key: factor + "x",
+                folder: folder,
+                file: parts.name + suffix + parts.extension,
+                factor: factor,
+                properties: {
+                    imageset: imageset,
+                    imagesetScale: factor + "x"
+                }
+            };
+        });
+    }
+
+    /**
+     * Convert a file base name into an Android resource name, which may only
+     * contain lowercase letters, digits and underscores and may not start with
+     * a digit. The ".9" marker of a nine-patch image is preserved.
+     *
+     * @private
+     * @param {string} name
+     * @return {string}
+     */
+    function _getAndroidResourceName(name) {
+        var ninePatch = /\.9$/.test(name),
+            resourceName = (ninePatch ? name.slice(0, -2) : name).toLowerCase().replace(/[^a-z0-9_]/g, "_");
+
+        if (/^[0-9]/.test(resourceName)) {
+            resourceName = "_" + resourceName;
+        }
+
+        return ninePatch ? resourceName + ".9" : resourceName;
+    }
+
+    /**
+     * Compute the renditions of an Android drawable: the basic component scaled
+     * for each density bucket and written into the corresponding "drawable-"
+     * folder with an Android-safe filename.
+     *
+     * @private
+     * @param {Component} basic
+     * @return {Array.<object>}
+     */
+    function _getAndroidRenditions(basic) {
+        var parts = _splitFile(basic.file),
+            file = _getAndroidResourceName(parts.name) + parts.extension.toLowerCase();
+
+        return Object.keys(ANDROID_DENSITIES).map(function (density) {
+            return {
+                key: density,
+                folder: (basic.folder || []).concat(["drawable-" + density]),
+                file: file,
+                factor: ANDROID_DENSITIES[density]
+            };
+        });
+    }
+
+    /**
+     * Rendition functions, keyed by preset name.
+     *
+     * @type {{string: function(Component): Array.<object>}}
+     */
+    var _renditionsForPreset = {
+        "xcassets": _getXCAssetsRenditions,
+        "android": _getAndroidRenditions
+    };
+
+    /**
+     * Determine whether the given preset name is known.
+     *
+     * @param {string} preset
+     * @return {boolean}
+     */
+    function isSupported(preset) {
+        return _renditionsForPreset.hasOwnProperty(preset);
+    }
+
+    /**
+     * Compute the renditions a preset expands into for the given basic component.
+     * Each rendition replaces the folder and file of the basic component, scales
+     * it by the given factor and copies the given extra properties onto it.
+     *
+     * @param {string} preset
+     * @param {Component} basic
+     * @return {Array.<{key: string, folder: Array.<string>, file: string, factor: number, properties: object}>}
+     */
+    function getRenditions(preset, basic) {
+        if (!isSupported(preset)) {
+            return [];
+        }
+
+        return _renditionsForPreset[preset](basic);
+    }
+
+    /**
+     * Compute the catalog description files that accompany the given derived
+     * components, e.g., the Contents.json file of every image set and of the asset
+     * catalog itself.
+     *
+     * @param {Array.<Component>} components
+     * @return {{string: string}} File contents, keyed by relative path
+     */
+    function getCatalogFiles(components) {
+        var info = { version: 1, author: "xcode" },
+            imagesForImageset = {},
+            files = {};
+
+        components.forEach(function (component) {
+            if (!component.imageset) {
+                return;
+            }
+
+            if (!imagesForImageset.hasOwnProperty(component.imageset)) {
+                imagesForImageset[component.imageset] = [];
+            }
+
+            imagesForImageset[component.imageset].push({
+                idiom: "universal",
+                filename: component.file,
+                scale: component.imagesetScale
+            });
+        });
+
+        Object.keys(imagesForImageset).forEach(function (imageset) {
+            var contents = { images: imagesForImageset[imageset], info: info };
+            files[path.join(imageset, CONTENTS_FILE)] = JSON.stringify(contents, null, 2);
+        });
+
+        if (Object.keys(imagesForImageset).length > 0) {
+            files[path.join(XCASSETS_FOLDER, CONTENTS_FILE)] = JSON.stringify({ info: info }, null, 2);
+        }
+
+        return files;
+    }
+
+    exports.CONTENTS_FILE = CONTENTS_FILE;
+    exports.isSupported = isSupported;
+    exports.getRenditions = getRenditions;
+    exports.getCatalogFiles = getCatalogFiles;
+}());
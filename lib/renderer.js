@@ -29,11 +29,19 @@
         tmp = require("tmp"),
         Q = require("q");
 
-    var Bounds = require("./dom/bounds");
+    var Bounds = require("./dom/bounds"),
+        apng = require("./encoders/apng"),
+        avif = require("./encoders/avif"),
+        gif = require("./encoders/gif"),
+        ico = require("./encoders/ico"),
+        pixmaputils = require("./pixmaputils");
     
     var MAX_STATIC_DIMENSION = 10000,
         ADDITONAL_POSSIBLE_DIMENSION = 1000;
 
+    // Largest width and height of an image in an ico file
+    var MAX_ICON_SIZE = 256;
+
 
     /**
      * Asynchronously get a unique temporary path name.
@@ -45,6 +53,50 @@
         return Q.ninvoke(tmp, "tmpName");
     }
 
+    /**
+     * Remove a temporary file, ignoring any errors.
+     *
+     * @private
+     * @param {string} path
+     * @return {Promise}
+     */
+    function _removeTempFile(path) {
+        return Q.nfcall(fs.unlink, path).fail(function () {});
+    }
+
+    /**
+     * Determine whether the given format stores no alpha channel, or only an 8-bit
+     * palette, so that transparent pixels need to be composited over a matte color.
+     *
+     * @private
+     * @param {string} format
+     * @param {number=} quality
+     * @return {boolean}
+     */
+    function _hasNoAlpha(format, quality) {
+        return format === "jpg" || (format === "png" && (quality === 8 || quality === 24));
+    }
+
+    /**
+     * Copy the contents of the file at the given path into a writeable stream,
+     * ending the stream afterwards.
+     *
+     * @private
+     * @param {string} path
+     * @param {!WriteableStream} outputStream
+     * @return {Promise} Resolves once the output stream has finished
+     */
+    function _pipeFile(path, outputStream) {
+        return Q.Promise(function (resolve, reject) {
+            var inputStream = fs.createReadStream(path);
+
+            inputStream.on("error", reject);
+            outputStream.on("error", reject);
+            outputStream.on("finish", resolve);
+            inputStream.pipe(outputStream);
+        });
+    }
+
     /**
      * Abstract renderer class for a given document. Converts components to assets on disk.
      * 
@@ -294,13 +346,15 @@
     
     /**
      * Convert a value in a given unit, at particular resolution, to a value in pixels per inch.
+     * Percentages of the document (%doc) are relative to the given length in pixels.
      *
      * @param {number} value
      * @param {string} unit
      * @param {number} ppi 
+     * @param {number=} relativeLength The document or artboard width or height, in pixels
      * @return {number}
      */
-    BaseRenderer.prototype._convertToPixels = function (value, unit, ppi) {
+    BaseRenderer.prototype._convertToPixels = function (value, unit, ppi, relativeLength) {
         if (!value || !unit || unit === "px") {
             return value;
         }
@@ -311,6 +365,12 @@
             return (value / 25.4) * ppi;
         } else if (unit === "cm") {
             return (value / 2.54) * ppi;
+        } else if (unit === "pt") {
+            return (value / 72) * ppi;
+        } else if (unit === "pc") {
+            return (value / 6) * ppi;
+        } else if (unit === "%doc") {
+            return (value / 100) * relativeLength;
         } else {
             this._logger.error("An invalid length unit was specified: " + unit);
         }
@@ -342,6 +402,24 @@
         return topLevelGroup;
     };
 
+    /**
+     * Get the bounds that sizes in %doc units are relative to: the artboard that
+     * contains the component's layer, if any, or else the document.
+     *
+     * @private
+     * @param {Component} component
+     * @return {Bounds}
+     */
+    BaseRenderer.prototype._getRelativeBounds = function (component) {
+        var topLevelGroup = this._findTopLevelGroup(component.layer);
+
+        if (topLevelGroup && topLevelGroup.artboard) {
+            return topLevelGroup.artboard;
+        }
+
+        return this._document.bounds;
+    };
+
     /**
      * Convert rect object (x, y, width, height) to a bounds object (left, right, top, bottom)
      * @param {object} rect
@@ -528,10 +606,12 @@
      */
     SVGRenderer.prototype._getData = function (component) {
         var scale = component.scale || 1,
+            ppi = this._document.resolution,
+            relativeBounds = this._getRelativeBounds(component),
             settings = {
                 scale: scale,
-                width: component.width,
-                height: component.height
+                width: this._convertToPixels(component.width, component.widthUnit, ppi, relativeBounds.width()),
+                height: this._convertToPixels(component.height, component.heightUnit, ppi, relativeBounds.height())
             },
             layer = component.layer,
             layerComp = component.comp,
@@ -654,6 +734,14 @@
         if (config.hasOwnProperty("interpolation-type")) {
             this._interpolationType = config["interpolation-type"];
         }
+
+        if (config.hasOwnProperty("avif-lossless")) {
+            this._avifLossless = !!config["avif-lossless"];
+        }
+
+        if (config.hasOwnProperty("avif-encoder-path")) {
+            this._avifEncoderPath = config["avif-encoder-path"];
+        }
     }
 
     util.inherits(PixmapRenderer, BaseRenderer);
@@ -668,6 +756,20 @@
      * @type {boolean=}
      */
     PixmapRenderer.prototype._interpolationType = undefined;
+
+    /**
+     * @type {boolean=}
+     * Indicates whether avif assets should be compressed losslessly. By default,
+     * they are not.
+     */
+    PixmapRenderer.prototype._avifLossless = undefined;
+
+    /**
+     * @type {string}
+     * Path to the avifenc executable used to encode avif assets. By default, it
+     * is looked up on the PATH.
+     */
+    PixmapRenderer.prototype._avifEncoderPath = "avifenc";
     
     /**
      * Given two bounds that may be undefined or empty, returns a union of the bounds or
@@ -836,9 +938,11 @@
                 }
             }
             
+            var relativeBounds = this._getRelativeBounds(component);
+
             scaleSettings = {
-                width:  this._convertToPixels(component.width,  component.widthUnit, ppi),
-                height: this._convertToPixels(component.height, component.heightUnit, ppi),
+                width:  this._convertToPixels(component.width,  component.widthUnit, ppi, relativeBounds.width()),
+                height: this._convertToPixels(component.height, component.heightUnit, ppi, relativeBounds.height()),
                 scaleX: component.scaleX || component.scale,
                 scaleY: component.scaleY || component.scale,
                 // Backwards compatibility
@@ -858,6 +962,16 @@
                 //area PS will return
                 paddedBounds = paddedBounds.intersect(clipToBounds.union(visibleBounds));
             }
+
+            if (component.sizing) {
+                var sizingScale = this._getSizingScale(component, paddedBounds || visibleBounds);
+
+                scaleSettings = {
+                    scaleX: sizingScale,
+                    scaleY: sizingScale,
+                    scale: sizingScale
+                };
+            }
             
             pixmapParams = this._generator.getPixmapParams(scaleSettings, staticBounds,
                     visibleBounds, paddedBounds, clipToBounds);
@@ -871,6 +985,27 @@
         return resultDeferred.promise;
     };
 
+    /**
+     * Compute the uniform scale of a component with fit or fill sizing: the largest
+     * scale at which the given bounds fit within the component's width and height,
+     * or the smallest scale at which they cover both.
+     *
+     * @private
+     * @param {Component} component
+     * @param {Bounds} bounds The bounds of the image before scaling
+     * @return {number}
+     */
+    PixmapRenderer.prototype._getSizingScale = function (component, bounds) {
+        var ppi = this._document.resolution,
+            relativeBounds = this._getRelativeBounds(component),
+            width = this._convertToPixels(component.width, component.widthUnit, ppi, relativeBounds.width()),
+            height = this._convertToPixels(component.height, component.heightUnit, ppi, relativeBounds.height()),
+            scaleX = width / bounds.width(),
+            scaleY = height / bounds.height();
+
+        return component.sizing === "fill" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    };
+
     /**
      * Synchronously get approximate bounds for the given component. These bounds
      * should only be used if pixmap is scaled by an integral multiple and if
@@ -953,6 +1088,45 @@
         return pixmapParams;
     };
 
+    /**
+     * Shrink the extract settings to the pixels of the pixmap that are not fully
+     * transparent, dropping any padding.
+     *
+     * @private
+     * @param {Pixmap} pixmap
+     * @param {{extract: object=, padding: object=}} convertSettings
+     */
+    PixmapRenderer.prototype._trimSettings = function (pixmap, convertSettings) {
+        var opaqueBounds = pixmaputils.getOpaqueBounds(pixmap, convertSettings.extract);
+
+        if (!opaqueBounds) {
+            var error = new Error("Refusing to trim a pixmap that is fully transparent.");
+            error.zeroBoundsError = true;
+            throw error;
+        }
+
+        convertSettings.extract = opaqueBounds;
+        convertSettings.padding = { top: 0, right: 0, bottom: 0, left: 0 };
+    };
+
+    /**
+     * Add the same amount of transparent padding to every side of the image.
+     *
+     * @private
+     * @param {{extract: object=, padding: object=}} convertSettings
+     * @param {number} amount Padding in pixels
+     */
+    PixmapRenderer.prototype._padSettings = function (convertSettings, amount) {
+        var padding = convertSettings.padding || { top: 0, right: 0, bottom: 0, left: 0 };
+
+        padding.top += amount;
+        padding.right += amount;
+        padding.bottom += amount;
+        padding.left += amount;
+
+        convertSettings.padding = padding;
+    };
+
     /**
      * Adjusts the extract or padding parameters to achieve the desired canvas width. Note the extract settings 
      * are exactly the image bounds we want to use from the pixmap. The pixmap may contain extra image
@@ -1271,6 +1445,14 @@
      * @return {Promise.<{pixmap: Pixmap, settings: object}>} Resolves with the pixmap data and settings.
      */
     PixmapRenderer.prototype._getData = function (component) {
+        if (component.extension === "ico") {
+            return this._getIconData(component);
+        }
+
+        if (component.animationFrames) {
+            return this._getAnimationData(component);
+        }
+
         // The exact bounds computation, which is expensive, is skipped if all of the
         // following conditions hold:
         // 1. The layerComp is either not scaled, or is only scaled by an integral
@@ -1290,7 +1472,8 @@
             layerComp = component.comp,
             hasComplexTransform = ((layer || layerComp) &&
                 ((component.hasOwnProperty("width") || component.hasOwnProperty("height")))) ||
-                (layerComp && ((component.hasOwnProperty("scale") && component.scale % 1 !== 0))),
+                (layerComp && ((component.hasOwnProperty("scale") && component.scale % 1 !== 0))) ||
+                !!component.sizing,
             canvasDimensionsScale = 1,
             settingsPromise,
             resultPromise,
@@ -1331,7 +1514,8 @@
             
             //build the getPixmap request with pixmapSettings
             
-            var hasUniformTranform = (component.hasOwnProperty("scale") && component.scale !== 1) ||
+            var hasUniformTranform = !!component.sizing ||
+                (component.hasOwnProperty("scale") && component.scale !== 1) ||
                 (component.hasOwnProperty("width") && !component.hasOwnProperty("height")) ||
                 (!component.hasOwnProperty("width") && component.hasOwnProperty("height"));
 
@@ -1401,6 +1585,8 @@
                     quality = component.quality,
                     format = component.extension,
                     ppi = this._document.resolution,
+                    canvasWidth = component.canvasWidth,
+                    canvasHeight = component.canvasHeight,
                     settings = {
                         quality: quality,
                         format: format,
@@ -1409,7 +1595,26 @@
                         extract: extract
                     };
                 
-                this._updateSettingsForCanvasSize(component.canvasWidth, component.canvasHeight,
+                // Trimming and padding apply before the canvas size, so that the canvas is centered on the result
+                if (component.trim) {
+                    this._trimSettings(pixmap, settings);
+                }
+
+                if (component.padding) {
+                    this._padSettings(settings, Math.round(component.padding));
+                }
+
+                // Filling a size crops the scaled image to that size, unless an explicit canvas is given
+                if (component.sizing === "fill" && !canvasWidth && !canvasHeight) {
+                    var relativeBounds = this._getRelativeBounds(component);
+
+                    canvasWidth = Math.round(this._convertToPixels(component.width, component.widthUnit, ppi,
+                                                                   relativeBounds.width()));
+                    canvasHeight = Math.round(this._convertToPixels(component.height, component.heightUnit, ppi,
+                                                                    relativeBounds.height()));
+                }
+
+                this._updateSettingsForCanvasSize(canvasWidth, canvasHeight,
                                                   component.canvasOffsetX, component.canvasOffsetY,
                                                   pixmap.width, pixmap.height,
                                                   settings, canvasDimensionsScale);
@@ -1428,10 +1633,22 @@
                     settings.useJPGEncoding = this._useJPGEncoding;
                 }
 
-                if (this._webpLossless !== undefined) {
+                if (format === "avif") {
+                    if (this._avifLossless !== undefined) {
+                        settings.lossless = this._avifLossless;
+                    }
+                } else if (this._webpLossless !== undefined) {
                     settings.lossless = this._webpLossless;
                 }
 
+                if (component.ninePatch) {
+                    return this._getNinePatchData(pixmap, settings, component, pixmapSettings);
+                }
+
+                if (component.matte && _hasNoAlpha(format, quality)) {
+                    return this._getMatteData(pixmap, settings, component.matte);
+                }
+
                 return {
                     pixmap: pixmap,
                     settings: settings
@@ -1451,6 +1668,193 @@
         return resultPromise;
     };
 
+    /**
+     * Render the images of an ico file: one square pixmap for each of the component's
+     * icon sizes, into which the layer is scaled to fit. The icon sizes are given
+     * at 100%, so a scaled component, e.g., one derived from "default 2x/", gets
+     * correspondingly larger images, up to the ico limit of 256 pixels. Trimming and
+     * padding apply within each image.
+     *
+     * @private
+     * @param {Component} component A component with an iconSizes property
+     * @return {Promise.<{icons: Array.<Pixmap>, settings: object}>}
+     */
+    PixmapRenderer.prototype._getIconData = function (component) {
+        var bounds = component.layer ? component.layer.bounds : this._document.bounds,
+            fitWidth = bounds.width() >= bounds.height(),
+            scale = component.scale || 1,
+            padding = Math.round(component.padding || 0),
+            icons = [];
+
+        // Render the sizes one after another to avoid flooding Photoshop with pixmap requests
+        return component.iconSizes.reduce(function (promise, iconSize) {
+            var size = Math.min(MAX_ICON_SIZE, Math.round(iconSize * scale)),
+                rendition = {
+                    layer: component.layer,
+                    comp: component.comp,
+                    document: component.document,
+                    extension: "png",
+                    quality: 32,
+                    canvasWidth: size,
+                    canvasHeight: size
+                };
+
+            rendition[fitWidth ? "width" : "height"] = Math.max(1, size - 2 * padding);
+
+            if (component.trim) {
+                rendition.trim = true;
+            }
+
+            if (padding) {
+                rendition.padding = padding;
+            }
+
+            return promise.then(function () {
+                return this.renderPixmap(rendition);
+            }.bind(this)).then(function (pixmap) {
+                icons.push(pixmap);
+            });
+        }.bind(this), Q.resolve()).then(function () {
+            return {
+                icons: icons,
+                settings: { format: "ico" }
+            };
+        });
+    };
+
+    /**
+     * Render the frames of an animation, one layer comp at a time, at the size
+     * given by the animation component. Frames that come out smaller than the
+     * largest one are padded at their right and bottom, so that all frames share
+     * the same dimensions.
+     *
+     * @private
+     * @param {Component} component A document component with an animationFrames property
+     * @return {Promise.<{frames: Array.<{pixmap: Pixmap, delay: number}>, loop: number, settings: object}>}
+     */
+    PixmapRenderer.prototype._getAnimationData = function (component) {
+        var pixmaps = [];
+
+        return component.animationFrames.reduce(function (promise, frame) {
+            var rendition = {
+                comp: frame.comp,
+                document: component.document,
+                extension: "png",
+                quality: 32
+            };
+
+            ["scale", "width", "widthUnit", "height", "heightUnit", "canvasWidth", "canvasHeight"]
+                .forEach(function (property) {
+                    if (component.hasOwnProperty(property)) {
+                        rendition[property] = component[property];
+                    }
+                });
+
+            return promise.then(function () {
+                return this.renderPixmap(rendition);
+            }.bind(this)).then(function (pixmap) {
+                pixmaps.push(pixmap);
+            });
+        }.bind(this), Q.resolve()).then(function () {
+            var width = Math.max.apply(null, pixmaps.map(function (pixmap) {
+                    return pixmap.width;
+                })),
+                height = Math.max.apply(null, pixmaps.map(function (pixmap) {
+                    return pixmap.height;
+                }));
+
+            return {
+                frames: pixmaps.map(function (pixmap, index) {
+                    var frame = pixmap;
+
+                    if (pixmap.width !== width || pixmap.height !== height) {
+                        frame = pixmaputils.createPixmap(width, height, pixmap);
+                        pixmaputils.blit(pixmap, { x: 0, y: 0, width: pixmap.width, height: pixmap.height },
+                            frame, 0, 0);
+                    }
+
+                    return {
+                        pixmap: frame,
+                        delay: component.animationFrames[index].delay
+                    };
+                }),
+                loop: component.animation.loop || 0,
+                settings: { format: component.extension }
+            };
+        });
+    };
+
+    /**
+     * Turn a rendered pixmap into an Android nine-patch image by applying its extract
+     * and padding settings and then adding the 1px guide border. The component's
+     * insets are given at 100% and are scaled by the ratio of the output to the input
+     * rectangle of the pixmap request, so that they follow absolute and fit/fill sizes
+     * as well as percentages. Nine-patch images are always written as unquantized
+     * 32-bit PNGs so that the guides remain pure black.
+     *
+     * @private
+     * @param {Pixmap} pixmap
+     * @param {object} settings The convert settings for the pixmap
+     * @param {Component} component A component with a ninePatch property
+     * @param {{inputRect: object=, outputRect: object=}} pixmapSettings The settings the pixmap was requested with
+     * @return {{pixmap: Pixmap, settings: object}}
+     */
+    PixmapRenderer.prototype._getNinePatchData = function (pixmap, settings, component, pixmapSettings) {
+        var inputRect = pixmapSettings.inputRect,
+            outputRect = pixmapSettings.outputRect,
+            scaleX = component.scale || 1,
+            scaleY = scaleX,
+            insets = component.ninePatch,
+            scaledInsets = {},
+            flattened = pixmaputils.flatten(pixmap, settings.extract, settings.padding);
+
+        if (inputRect && outputRect && inputRect.right > inputRect.left && inputRect.bottom > inputRect.top) {
+            scaleX = (outputRect.right - outputRect.left) / (inputRect.right - inputRect.left);
+            scaleY = (outputRect.bottom - outputRect.top) / (inputRect.bottom - inputRect.top);
+        }
+
+        Object.keys(insets).forEach(function (property) {
+            var scale = property === "stretchX" || property === "contentX" ? scaleX : scaleY;
+
+            scaledInsets[property] = Math.round(insets[property] * scale);
+        });
+
+        settings.extract = null;
+        settings.padding = {top: 0, left: 0, right: 0, bottom: 0};
+        settings.quality = 32;
+        settings.usePngquant = false;
+
+        return {
+            pixmap: pixmaputils.addNinePatchBorder(flattened, scaledInsets),
+            settings: settings
+        };
+    };
+
+    /**
+     * Composite a rendered pixmap over a matte color, after applying its extract and
+     * padding settings so that the padding takes on the matte color too.
+     *
+     * @private
+     * @param {Pixmap} pixmap
+     * @param {object} settings The convert settings for the pixmap
+     * @param {string} matte The matte color, like #112233
+     * @return {{pixmap: Pixmap, settings: object}}
+     */
+    PixmapRenderer.prototype._getMatteData = function (pixmap, settings, matte) {
+        var flattened = pixmaputils.flatten(pixmap, settings.extract, settings.padding),
+            rgb = [1, 3, 5].map(function (start) {
+                return parseInt(matte.substr(start, 2), 16);
+            });
+
+        settings.extract = null;
+        settings.padding = {top: 0, left: 0, right: 0, bottom: 0};
+
+        return {
+            pixmap: pixmaputils.applyMatte(flattened, rgb),
+            settings: settings
+        };
+    };
+
     /**
      * Write the render data to disk at the given path.
      * 
@@ -1475,9 +1879,179 @@
      * @return {Promise} Resolves when data has been written
      */
     PixmapRenderer.prototype._streamData = function (renderResult, outputStream) {
-        return this._generator.streamPixmap(renderResult.pixmap,
-                                            outputStream,
-                                            renderResult.settings);
+        var size = this._getOutputSize(renderResult),
+            streamPromise;
+
+        if (renderResult.settings.format === "avif") {
+            streamPromise = this._streamAVIFData(renderResult, outputStream);
+        } else if (renderResult.settings.format === "ico") {
+            streamPromise = this._streamICOData(renderResult, outputStream);
+        } else if (renderResult.frames) {
+            streamPromise = this._streamAnimationData(renderResult, outputStream);
+        } else {
+            streamPromise = this._generator.streamPixmap(renderResult.pixmap,
+                                                         outputStream,
+                                                         renderResult.settings);
+        }
+
+        return streamPromise
+            .then(function (streamResult) {
+                var result = (streamResult && typeof streamResult === "object") ? streamResult : {};
+
+                result.width = size.width;
+                result.height = size.height;
+
+                return result;
+            });
+    };
+
+    /**
+     * Write avif render data to the given stream. Photoshop can't encode avif, so
+     * the pixmap, with its extract and padding settings applied, is encoded locally
+     * with avifenc.
+     *
+     * @private
+     * @param {{pixmap: Pixmap, settings: object}} renderResult
+     * @param {!WriteableStream} outputStream stream to recieve the data
+     * @return {Promise} Resolves when data has been written
+     */
+    PixmapRenderer.prototype._streamAVIFData = function (renderResult, outputStream) {
+        var settings = renderResult.settings,
+            pixmap = pixmaputils.flatten(renderResult.pixmap, settings.extract, settings.padding);
+
+        return _getTempPath().then(function (avifPath) {
+            return avif.encode(this._avifEncoderPath, pixmap, avifPath, {
+                quality: settings.quality,
+                lossless: settings.lossless
+            })
+                .then(function () {
+                    return _pipeFile(avifPath, outputStream);
+                })
+                .finally(function () {
+                    return _removeTempFile(avifPath);
+                });
+        }.bind(this));
+    };
+
+    /**
+     * Write ico render data to the given stream. Each image is encoded as a 32-bit
+     * PNG, and the PNGs are then packed into a single ico container.
+     *
+     * @private
+     * @param {{icons: Array.<Pixmap>, settings: object}} renderResult
+     * @param {!WriteableStream} outputStream stream to recieve the data
+     * @return {Promise} Resolves when data has been written
+     */
+    PixmapRenderer.prototype._streamICOData = function (renderResult, outputStream) {
+        var images = [];
+
+        return renderResult.icons.reduce(function (promise, pixmap) {
+            return promise.then(function () {
+                return this.writePixmap(pixmap);
+            }.bind(this)).then(function (pngPath) {
+                return Q.nfcall(fs.readFile, pngPath)
+                    .then(function (data) {
+                        images.push({ width: pixmap.width, height: pixmap.height, data: data });
+                    })
+                    .finally(function () {
+                        return _removeTempFile(pngPath);
+                    });
+            });
+        }.bind(this), Q.resolve()).then(function () {
+            return Q.Promise(function (resolve, reject) {
+                outputStream.on("error", reject);
+                outputStream.end(ico.encode(images), resolve);
+            });
+        });
+    };
+
+    /**
+     * Write animation render data to the given stream, as an animated GIF or an
+     * animated PNG.
+     *
+     * @private
+     * @param {{frames: Array.<{pixmap: Pixmap, delay: number}>, loop: number, settings: object}} renderResult
+     * @param {!WriteableStream} outputStream stream to recieve the data
+     * @return {Promise} Resolves when data has been written
+     */
+    PixmapRenderer.prototype._streamAnimationData = function (renderResult, outputStream) {
+        var encoder = renderResult.settings.format === "gif" ? gif : apng;
+
+        return Q.Promise(function (resolve, reject) {
+            outputStream.on("error", reject);
+            outputStream.end(encoder.encode(renderResult.frames, renderResult.loop), resolve);
+        });
+    };
+
+    /**
+     * Render a given component to an unencoded pixmap instead of a file, e.g., so
+     * that it can be packed into a texture atlas. The extract and padding settings
+     * are applied, so the pixmap has the dimensions the asset file would have had.
+     *
+     * @param {!Component} component
+     * @return {Promise.<Pixmap>}
+     */
+    PixmapRenderer.prototype.renderPixmap = function (component) {
+        return this._getData(component).then(function (data) {
+            return pixmaputils.flatten(data.pixmap, data.settings.extract, data.settings.padding);
+        });
+    };
+
+    /**
+     * Encode a pixmap that was not rendered from a component, like a texture atlas,
+     * as a 32-bit PNG at a temporary location in the filesystem.
+     *
+     * @param {Pixmap} pixmap
+     * @return {Promise.<string>} Resolves with the temporary path of the PNG file.
+     */
+    PixmapRenderer.prototype.writePixmap = function (pixmap) {
+        var settings = {
+            format: "png",
+            quality: 32,
+            ppi: this._document.resolution,
+            usePngquant: false
+        };
+
+        return _getTempPath().then(function (path) {
+            return this._generator.savePixmap(pixmap, path, settings).thenResolve(path);
+        }.bind(this));
+    };
+
+    /**
+     * Compute the pixel dimensions of the asset that will be written for the given
+     * render data, taking the extract and padding settings into account.
+     *
+     * @private
+     * @param {{pixmap: Pixmap, settings: object}} renderResult
+     * @return {{width: number, height: number}}
+     */
+    PixmapRenderer.prototype._getOutputSize = function (renderResult) {
+        if (renderResult.icons) {
+            // The largest image of an ico file determines its size
+            return renderResult.icons.reduce(function (size, pixmap) {
+                return {
+                    width: Math.max(size.width, pixmap.width),
+                    height: Math.max(size.height, pixmap.height)
+                };
+            }, { width: 0, height: 0 });
+        }
+
+        if (renderResult.frames) {
+            return {
+                width: renderResult.frames[0].pixmap.width,
+                height: renderResult.frames[0].pixmap.height
+            };
+        }
+
+        var pixmap = renderResult.pixmap,
+            settings = renderResult.settings,
+            extract = settings.extract,
+            padding = settings.padding || {top: 0, left: 0, right: 0, bottom: 0};
+
+        return {
+            width: (extract ? extract.width : pixmap.width) + padding.left + padding.right,
+            height: (extract ? extract.height : pixmap.height) + padding.top + padding.bottom
+        };
     };
 
     /**
@@ -61,6 +61,7 @@
         this._working = {};
 
         this._renderedAssetCount = 0;
+        this._skippedWriteCount = 0;
     }
 
     util.inherits(RenderManager, events.EventEmitter);
@@ -104,6 +105,13 @@
      */
     RenderManager.prototype._renderedAssetCount = null;
 
+    /**
+     * @type {number} The total number of rendered assets that were not written
+     *      because they were identical to the existing asset on disk.
+     *      Passed along with each "render" event.
+     */
+    RenderManager.prototype._skippedWriteCount = null;
+
 
     /**
      * Return, creating if necessary, an SVG renderer for the given document.
@@ -217,12 +225,20 @@
      * @return {Promise.<string>} Resolves with the temporary path of the new asset once rendering is complete.
      */
     RenderManager.prototype._renderComponent = function (document, component) {
-        var renderer;
+        var renderer,
+            skippedWriteCount = this._skippedWriteCount;
 
         process.nextTick(function () {
-            this.emit("render", ++this._renderedAssetCount, document, component);
+            this.emit("render", ++this._renderedAssetCount, document, component, skippedWriteCount);
         }.bind(this));
 
+        // Texture atlas frames are packed by the asset manager, so they aren't encoded
+        if (component.atlas) {
+            return this._getPixmapRenderer(document).renderPixmap(component).then(function (pixmap) {
+                return { pixmap: pixmap };
+            });
+        }
+
         if (component.extension === "svg") {
             renderer = this._getSVGRenderer(document);
         } else {
@@ -276,6 +292,31 @@
         return deferred.promise;
     };
 
+    /**
+     * Encode a pixmap that was not rendered from a component, like a texture atlas,
+     * as a PNG file at a temporary location in the filesystem.
+     *
+     * @param {Document} document The document the pixmap was rendered from
+     * @param {Pixmap} pixmap
+     * @return {Promise.<string>} Resolves with the temporary path of the PNG file.
+     */
+    RenderManager.prototype.writePixmap = function (document, pixmap) {
+        return this._getPixmapRenderer(document).writePixmap(pixmap);
+    };
+
+    /**
+     * Record that a rendered asset has been moved into place, or that it was not
+     * written to disk because it was identical to the existing asset. The number
+     * of skipped writes so far is passed along with each subsequent "render" event.
+     *
+     * @param {boolean} skipped Whether the write was skipped
+     */
+    RenderManager.prototype.reportWrite = function (skipped) {
+        if (skipped) {
+            this._skippedWriteCount++;
+        }
+    };
+
     /**
      * Cancel a pending render job for the given component. If the promise
      * returned from RenderManager.render is still pending, canceling the job
@@ -30,6 +30,7 @@
         StateManager = require("./lib/statemanager"),
         RenderManager = require("./lib/rendermanager"),
         AssetManager = require("./lib/assetmanager"),
+        MetaDataMigrator = require("./lib/metadatamigrator"),
         Headlights = require("./lib/headlights");
     
     var PLUGIN_ID = require("./package.json").name;
@@ -205,6 +206,30 @@
         _startAssetGeneration(id);
     }
 
+    /**
+     * Convert the asset specifications in the layer names of the given document into
+     * the equivalent meta-data, for switching the document to the meta-data-driven mode.
+     * The document and its layers are not changed.
+     *
+     * @see MetaDataMigrator.prototype.migrate
+     * @param {!number} id The ID of the document to migrate.
+     * @return {Promise.<{document: object, layers: {number: object}, errors: Array.<object>}>}
+     *      The generator settings of the document and of its layers, and the specifications
+     *      that could not be migrated.
+     */
+    function migrateToMetaData(id) {
+        return _documentManager.getDocument(id).then(function (document) {
+            var migration = new MetaDataMigrator(_generator, _config).migrate(document);
+
+            migration.errors.forEach(function (error) {
+                _logger.warn("%s %s (%d) was not fully migrated: %s", error.comp ? "Layer comp" : "Layer",
+                    error.name, error.id, error.message);
+            });
+
+            return migration;
+        });
+    }
+
     /**
      * Get a copy of the plugin's config object. For automated testing only.
      * 
@@ -289,6 +314,7 @@
 
 
     exports.init = init;
+    exports.migrateToMetaData = migrateToMetaData;
 
     // For automated tests
     exports._getConfig = _getConfig;
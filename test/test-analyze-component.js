@@ -28,7 +28,8 @@
 
     var _parserManager = new ParserManager({
         "svg-enabled": true,
-        "webp-enabled": true
+        "webp-enabled": true,
+        "avif-enabled": true
     });
 
     exports.testNormalization = function (test) {
@@ -77,6 +78,12 @@
         _parserManager._normalizeComponent(component);
         test.equal(component.extension, "webp", "Extension normalization");
 
+        component = {
+            extension: "AVIF"
+        };
+        _parserManager._normalizeComponent(component);
+        test.equal(component.extension, "avif", "Extension normalization");
+
         // Quality normalization
         component = {
             extension: "jpg",
@@ -99,6 +106,20 @@
         _parserManager._normalizeComponent(component);
         test.equal(component.quality, 30, "Quality normalization");
 
+        component = {
+            extension: "avif",
+            quality: "60"
+        };
+        _parserManager._normalizeComponent(component);
+        test.equal(component.quality, 60, "Quality normalization");
+
+        component = {
+            extension: "avif",
+            quality: "45%"
+        };
+        _parserManager._normalizeComponent(component);
+        test.equal(component.quality, 45, "Quality normalization");
+
         component = {
             extension: "png",
             quality: "32"
@@ -113,6 +134,34 @@
         _parserManager._normalizeComponent(component);
         test.equal(component.quality, 32, "Quality normalization");
 
+        // Icon size normalization
+        component = {
+            extension: "ICO"
+        };
+        _parserManager._normalizeComponent(component);
+        test.deepEqual(component.iconSizes, [16, 32, 48], "Icon size normalization");
+
+        component = {
+            extension: "ico",
+            quality: "16-64-256"
+        };
+        _parserManager._normalizeComponent(component);
+        test.deepEqual(component.iconSizes, [16, 64, 256], "Icon size normalization");
+        test.ok(!component.hasOwnProperty("quality"), "Icon size normalization");
+
+        // Matte normalization
+        component = {
+            matte: "#FA0"
+        };
+        _parserManager._normalizeComponent(component);
+        test.equal(component.matte, "#ffaa00", "Matte normalization");
+
+        component = {
+            matte: "#11AA33"
+        };
+        _parserManager._normalizeComponent(component);
+        test.equal(component.matte, "#11aa33", "Matte normalization");
+
         // Unit normalization
         component = {
             width: 1,
@@ -170,6 +219,13 @@
         _parserManager._normalizeComponent(component);
         test.equal(component.heightUnit, "mm", "Height unit normalization");
 
+        component = {
+            width: 50,
+            widthUnit: "%DOC"
+        };
+        _parserManager._normalizeComponent(component);
+        test.equal(component.widthUnit, "%doc", "Width unit normalization");
+
         test.done();
     };
 
@@ -238,6 +294,18 @@
         errors = _parserManager._analyzeComponent(component);
         _equalSets(errors);
 
+        component = {
+            name: "12pt x 50%doc foo.png",
+            file: "foo.png",
+            extension: "png",
+            width: 12,
+            widthUnit: "pt",
+            height: 50,
+            heightUnit: "%doc"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
         component = {
             name: "0x0 foo.png",
             file: "foo.png",
@@ -408,6 +476,48 @@
         errors = _parserManager._analyzeComponent(component);
         _equalSets(errors);
 
+        component = {
+            name: "foo.avif",
+            file: "foo.avif",
+            extension: "avif"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        component = {
+            name: "foo.avif0",
+            file: "foo.avif",
+            extension: "avif",
+            quality: 0
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid quality: 0": true });
+
+        component = {
+            name: "foo.avif101",
+            file: "foo.avif",
+            extension: "avif",
+            quality: 101
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid quality: 101": true });
+
+        component = {
+            name: "foo.avif60",
+            file: "foo.avif",
+            extension: "avif",
+            quality: 60
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        errors = new ParserManager()._analyzeComponent({
+            name: "foo.avif",
+            file: "foo.avif",
+            extension: "avif"
+        });
+        _equalSets(errors, { "Unsupported extension: avif": true });
+
         component = {
             name: "foo.png0",
             file: "foo.png",
@@ -462,6 +572,227 @@
         errors = _parserManager._analyzeComponent(component);
         _equalSets(errors, { "Invalid quality: 8": true });
 
+        component = {
+            name: "{group}/{layer}-{index}.png",
+            file: "{layer}-{index}.png",
+            folder: ["{group}"],
+            extension: "png"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        component = {
+            "default": true,
+            name: "{artboard}/-{size}",
+            folder: ["{artboard}"],
+            suffix: "-{size}"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Unknown placeholder: {artboard}": true, "Unknown placeholder: {size}": true });
+
+        component = {
+            name: "fill 200x200 cover.jpg",
+            file: "cover.jpg",
+            extension: "jpg",
+            width: 200,
+            height: 200,
+            sizing: "fill"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        component = {
+            name: "fit 100x? foo.png",
+            file: "foo.png",
+            extension: "png",
+            width: 100,
+            sizing: "fit"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Fit and fill sizes require a width and a height: fit 100x? foo.png": true });
+
+        component = {
+            name: "trim pad8 icon.png",
+            file: "icon.png",
+            extension: "png",
+            trim: true,
+            padding: 8
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        component = {
+            name: "trim pad2.5 icon.svg",
+            file: "icon.svg",
+            extension: "svg",
+            trim: true,
+            padding: 2.5
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, {
+            "Invalid padding: 2.5": true,
+            "Trim and padding are not supported for SVG files: icon.svg": true
+        });
+
+        component = {
+            name: "bg#12 photo.jpg",
+            file: "photo.jpg",
+            extension: "jpg",
+            matte: "#12"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid matte color: #12": true });
+
+        component = {
+            name: "favicon.ico16-32-300",
+            file: "favicon.ico",
+            extension: "ico",
+            iconSizes: [16, 32, 300]
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid icon size: 300": true });
+
+        component = {
+            name: "icon.png8-24",
+            file: "icon.png",
+            extension: "png",
+            quality: "8-24"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid quality: 8-24": true });
+
+        // Only numeric qualities are valid, even if a string would compare as a valid number
+        component = {
+            name: "photo.jpg",
+            file: "photo.jpg",
+            extension: "jpg",
+            quality: "80"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid quality: 80": true });
+
+        component.quality = 80;
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        component = {
+            name: "icon.png",
+            file: "icon.png",
+            extension: "png",
+            quality: "32"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid quality: 32": true });
+
+        component = {
+            name: "photo.avif60-80",
+            file: "photo.avif",
+            extension: "avif",
+            quality: "60-80"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid quality: 60-80": true });
+
+        component = {
+            name: "favicon.ico",
+            file: "favicon.ico",
+            extension: "ico",
+            iconSizes: [16],
+            quality: 32
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Invalid quality: 32": true });
+
+        // Through normalization, a size list stays a string and is reported
+        var result = _parserManager.analyzeComponent({ file: "photo.jpg", extension: "jpg", quality: "60-80" });
+        _equalSets(result.errors, { "Invalid quality: 60-80": true });
+
+        component = {
+            name: "atlas:ui/play.png",
+            file: "play.png",
+            folder: ["ui"],
+            extension: "png",
+            atlas: true
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        component = {
+            name: "atlas:play.jpg",
+            file: "play.jpg",
+            extension: "jpg",
+            atlas: true
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, {
+            "Missing atlas name: atlas:play.jpg": true,
+            "Atlas frames must be PNG files: play.jpg": true
+        });
+
+        component = {
+            name: "<16x8/4> button.9.png",
+            file: "button.9.png",
+            extension: "png",
+            ninePatch: { stretchX: 16, stretchY: 8, contentX: 4, contentY: 4 }
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        component = {
+            name: "<16> button.png",
+            file: "button.png",
+            extension: "png",
+            ninePatch: { stretchX: 16, stretchY: 16 }
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Nine-patch insets require a .9.png file: button.png": true });
+
+        component = {
+            name: "button.9.png",
+            file: "button.9.png",
+            extension: "png"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors, { "Nine-patch images require stretch insets, like <16> button.9.png": true });
+
+        component = {
+            name: "xcassets",
+            "default": true,
+            preset: "xcassets"
+        };
+        errors = _parserManager._analyzeComponent(component);
+        _equalSets(errors);
+
+        errors = new ParserManager({ "hashed-filenames": true })._analyzeComponent(component);
+        _equalSets(errors, { "Asset catalogs can't be written with hashed filenames: xcassets": true });
+
+        test.done();
+    };
+
+    exports.testSuggestions = function (test) {
+        var spec = {
+            "foo.jpe": "Unsupported extension: jpe (did you mean .jpg?)",
+            "foo.pgn": "Unsupported extension: pgn (did you mean .png?)",
+            "foo.xyz": "Unsupported extension: xyz",
+            "2xm x 1in foo.png": "Invalid width unit: xm (did you mean cm or mm?)",
+            "2 x 1ni foo.png": "Invalid height unit: ni (did you mean in?)",
+            "foo.png7": "Invalid quality: 7 (did you mean png8?)",
+            "foo.png16": "Invalid quality: 16 (did you mean png8 or png24?)",
+            "foo.jpg0": "Invalid quality: 0 (did you mean jpg1%?)",
+            "foo.gif8": "Invalid quality: 80 (did you mean .gif?)",
+            "foo.png8-24": "Invalid quality: 8-24",
+            "foo.png++bar.png": "Expected end of input but \"+\" found. (column 8)\n" +
+                "    foo.png++bar.png\n" +
+                "           ^"
+        };
+
+        test.expect(Object.keys(spec).length);
+
+        Object.keys(spec).forEach(function (layerName) {
+            var errors = _parserManager.analyzeLayerName(layerName)[0].errors;
+            test.deepEqual(errors, [spec[layerName]], "Errors of " + layerName);
+        });
+
         test.done();
     };
 
@@ -0,0 +1,493 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var fs = require("fs-extra"),
+        path = require("path"),
+        tmp = require("tmp"),
+        Q = require("q");
+
+    var AssetManager = require("../lib/assetmanager"),
+        ComponentManager = require("../lib/componentmanager"),
+        Document = require("../lib/dom/document");
+
+    var _logger = {
+        debug: function () {},
+        info: function () {},
+        warn: function () {},
+        error: function () {}
+    };
+
+    /**
+     * Create an asset manager for a fake document whose files are written to
+     * the returned list instead of to disk.
+     */
+    function _createAssetManager(config) {
+        var document = { id: 1, name: "test.psd" },
+            assetManager = new AssetManager(null, config || {}, _logger, document, null),
+            writes = [];
+
+        assetManager._manifestEntries = {};
+        assetManager._fileManager = {
+            basePath: "/test-assets",
+            writeFileWithin: function (relativePath, data) {
+                writes.push({ path: relativePath, data: data });
+            }
+        };
+
+        return { assetManager: assetManager, document: document, writes: writes };
+    }
+
+    exports.testManifest = function (test) {
+        var fixture = _createAssetManager(),
+            assetManager = fixture.assetManager,
+            layer = { id: 2, name: "200% play.png, play.svg" };
+
+        assetManager._addManifestEntry({
+            assetPath: "play.png",
+            layer: layer,
+            extension: "png",
+            scale: 2
+        }, { width: 64, height: 32 }, "abc123");
+
+        assetManager._addManifestEntry({
+            assetPath: "play.svg",
+            layer: layer,
+            extension: "svg"
+        }, {}, "def456");
+
+        assetManager._addManifestEntry({
+            assetPath: "intro.gif",
+            document: fixture.document,
+            extension: "gif",
+            animationFrames: [{}, {}]
+        }, { width: 100, height: 50 }, "789abc");
+
+        assetManager._writeManifest();
+
+        test.equal(fixture.writes.length, 1, "The manifest is written once");
+        test.equal(fixture.writes[0].path, "assets.json", "Manifest path");
+        test.deepEqual(JSON.parse(fixture.writes[0].data), {
+            document: { id: 1, name: "test.psd" },
+            assets: [
+                {
+                    path: "intro.gif",
+                    source: { type: "document", id: 1, name: "test.psd" },
+                    width: 100,
+                    height: 50,
+                    format: "gif",
+                    frames: 2,
+                    hash: "789abc"
+                },
+                {
+                    path: "play.png",
+                    source: { type: "layer", id: 2, name: "200% play.png, play.svg" },
+                    width: 64,
+                    height: 32,
+                    format: "png",
+                    scale: 2,
+                    hash: "abc123"
+                },
+                {
+                    path: "play.svg",
+                    source: { type: "layer", id: 2, name: "200% play.png, play.svg" },
+                    format: "svg",
+                    hash: "def456"
+                }
+            ]
+        }, "Manifest entries, sorted by path, without dimensions for SVG assets");
+
+        test.ok(!assetManager._manifestEntries["play.svg"].hasOwnProperty("width"), "SVG entries have no width");
+
+        assetManager._writeManifest();
+        test.equal(fixture.writes.length, 1, "An unchanged manifest is not written again");
+
+        assetManager._removeManifestEntry("play.svg");
+        assetManager._writeManifest();
+        test.equal(fixture.writes.length, 2, "The manifest is written again once an entry is removed");
+        test.deepEqual(JSON.parse(fixture.writes[1].data).assets.map(function (entry) {
+            return entry.path;
+        }), ["intro.gif", "play.png"], "Removed entries");
+
+        test.done();
+    };
+
+    exports.testManifestDisabled = function (test) {
+        var fixture = _createAssetManager({ "manifest-enabled": false });
+
+        fixture.assetManager._addManifestEntry({
+            assetPath: "play.png",
+            layer: { id: 2, name: "play.png" },
+            extension: "png"
+        }, { width: 16, height: 16 }, "abc123");
+        fixture.assetManager._writeManifest();
+
+        test.equal(fixture.writes.length, 0, "No manifest is written");
+        test.done();
+    };
+
+    exports.testHashedManifest = function (test) {
+        var fixture = _createAssetManager({ "manifest-enabled": false, "hashed-filenames": true });
+
+        fixture.assetManager._addManifestEntry({
+            assetPath: "icons/play.png",
+            layer: { id: 2, name: "icons/play.png" },
+            extension: "png"
+        }, { width: 16, height: 16 }, "3fa9c1e0", "icons/play.3fa9c1.png");
+        fixture.assetManager._writeManifest();
+
+        var manifest = JSON.parse(fixture.writes[0].data);
+        test.equal(manifest.assets[0].hashedPath, "icons/play.3fa9c1.png", "Hashed path of the entry");
+        test.deepEqual(manifest.hashedPaths, { "icons/play.png": "icons/play.3fa9c1.png" }, "Hashed path map");
+        test.done();
+    };
+
+    exports.testAnimationCompsChange = function (test) {
+        var fixture = _createAssetManager(),
+            assetManager = fixture.assetManager,
+            document = fixture.document,
+            intro = { file: "intro.gif", extension: "gif", animation: { comps: ["Intro 1", "Intro 2"] } },
+            rendered = [],
+            removed = [];
+
+        document._comps = [{ id: 1, name: "Intro 1" }, { id: 2, name: "Intro 2" }, { id: 3, name: "Idle" }];
+
+        assetManager._componentManager = new ComponentManager(null, {});
+        assetManager._renderPromises = {};
+        assetManager._requestRender = function (component) {
+            rendered.push(component.file);
+        };
+        assetManager._removeComponentAsset = function (component) {
+            removed.push(component.file);
+        };
+
+        [
+            intro,
+            { file: "idle.png", extension: "png", animation: { comps: [3] } },
+            { file: "poster.png", extension: "png" }
+        ].forEach(function (settings) {
+            assetManager._addComponentForDocument(settings, document, []);
+        });
+
+        assetManager._handleAnimationCompsChange({ 2: { id: 2, type: "changed" } });
+        test.deepEqual(rendered, ["intro.gif"], "Only the animation that shows the changed comp is rendered");
+
+        rendered = [];
+        document._comps[0].name = "Intro";
+        assetManager._handleAnimationCompsChange({ 1: { id: 1, type: "changed" } });
+        test.deepEqual(rendered, [], "An animation whose comp was renamed away is not rendered");
+        test.deepEqual(removed, ["intro.gif"], "An animation without its comps loses its asset");
+        test.equal(intro.animationFrames, null, "An animation without its comps has no frames");
+
+        document._comps[0].name = "Intro 1";
+        assetManager._handleAnimationCompsChange({ 1: { id: 1, type: "changed" } });
+        test.deepEqual(rendered, ["intro.gif"], "An animation whose comps are back is rendered again");
+        test.deepEqual(intro.animationFrames.map(function (frame) {
+            return frame.comp.id;
+        }), [1, 2], "The frames of the animation are resolved again");
+
+        rendered = [];
+        removed = [];
+        assetManager._handleAnimationCompsChange({ 4: { id: 4, type: "added" } });
+        test.deepEqual(rendered.concat(removed), [], "Unrelated comps affect no animation");
+
+        test.done();
+    };
+
+    exports.testPathCollisionErrors = function (test) {
+        var fixture = _createAssetManager(),
+            assetManager = fixture.assetManager,
+            componentManager = new ComponentManager(null, {}),
+            document = new Document(null, {}, _logger, {
+                id: 1,
+                count: 1,
+                version: "1.0.0",
+                file: "/test/test.psd",
+                resolution: 72,
+                bounds: { top: 0, left: 0, bottom: 100, right: 100 },
+                layers: [
+                    { id: 2, index: 2, name: "default 100%, 200% @2x", type: "layer", visible: true },
+                    { id: 3, index: 3, name: "200% Icon@2x.png", type: "layer", visible: true },
+                    { id: 4, index: 4, name: "icon.png", type: "layer", visible: true }
+                ]
+            }),
+            addComponents = function (layerId) {
+                var layer = document.layers.findLayer(layerId).layer;
+
+                componentManager.findAllComponents(layer).forEach(function (result) {
+                    componentManager.addComponent(layer, result.component);
+                });
+            },
+            getErrors = function () {
+                return assetManager._errorManager._errors["asset-path-icon@2x.png"] || [];
+            };
+
+        [2, 3, 4].forEach(addComponents);
+        assetManager._componentManager = componentManager;
+        assetManager._pathCollisions = {};
+        assetManager._reportPathCollisions();
+
+        test.equal(getErrors().length, 1, "A path collision is reported once");
+        test.ok(getErrors()[0].indexOf("Conflicting asset paths: ") >= 0, "The error names the collision");
+        test.ok(getErrors()[0].indexOf("Icon@2x.png of layer \"200% Icon@2x.png\"") >= 0,
+            "The error names the basic component's path and layer");
+        test.ok(getErrors()[0].indexOf("icon@2x.png of layer \"icon.png\"") >= 0,
+            "The error names the derived component's path and layer");
+
+        assetManager._reportPathCollisions();
+        test.equal(getErrors().length, 1, "A collision that remains is not reported twice");
+
+        document._applyChange({
+            id: 1,
+            version: "1.0.0",
+            count: 2,
+            timeStamp: 2,
+            layers: [{ id: 4, name: "button.png" }]
+        });
+        componentManager.getBasicComponentsByLayer(4).forEach(function (basic) {
+            componentManager.removeComponent(basic.id);
+        });
+        addComponents(4);
+        assetManager._reportPathCollisions();
+
+        test.deepEqual(getErrors(), [], "The error is cleared once the collision is resolved");
+        test.deepEqual(assetManager._pathCollisions, {}, "No collisions remain");
+
+        test.done();
+    };
+
+    exports.testImagesetCollisionErrors = function (test) {
+        var fixture = _createAssetManager(),
+            assetManager = fixture.assetManager,
+            componentManager = new ComponentManager(null, {}),
+            contentsPath = path.join("Assets.xcassets", "logo.imageset", "Contents.json"),
+            document = new Document(null, {}, _logger, {
+                id: 1,
+                count: 1,
+                version: "1.0.0",
+                file: "/test/test.psd",
+                resolution: 72,
+                bounds: { top: 0, left: 0, bottom: 100, right: 100 },
+                layers: [
+                    { id: 2, index: 2, name: "default xcassets", type: "layer", visible: true },
+                    { id: 3, index: 3, name: "logo.png", type: "layer", visible: true },
+                    { id: 4, index: 4, name: "logo.jpg", type: "layer", visible: true }
+                ]
+            }),
+            getErrors = function () {
+                return assetManager._errorManager._errors["asset-path-" + contentsPath.toLowerCase()] || [];
+            };
+
+        [2, 3, 4].forEach(function (layerId) {
+            var layer = document.layers.findLayer(layerId).layer;
+
+            componentManager.findAllComponents(layer).forEach(function (result) {
+                componentManager.addComponent(layer, result.component);
+            });
+        });
+        assetManager._componentManager = componentManager;
+        assetManager._pathCollisions = {};
+        assetManager._reportPathCollisions();
+
+        test.equal(getErrors().length, 1, "An image set collision is reported once");
+        test.ok(getErrors()[0].indexOf(contentsPath + "\": Conflicting image sets: ") >= 0,
+            "The error names the image set's catalog file");
+        test.ok(getErrors()[0].indexOf(path.join("logo.imageset", "logo.png") + " of layer \"logo.png\"") >= 0,
+            "The error names the first asset and its layer");
+        test.ok(getErrors()[0].indexOf(path.join("logo.imageset", "logo.jpg") + " of layer \"logo.jpg\"") >= 0,
+            "The error names the second asset and its layer");
+
+        test.done();
+    };
+
+    exports.testEncoderNotFoundErrors = function (test) {
+        var fixture = _createAssetManager(),
+            assetManager = fixture.assetManager,
+            notFound = new Error("AVIF assets require the avifenc encoder from libavif, which was not found: avifenc"),
+            components = [
+                { id: "c1", assetPath: "logo.avif", layer: { id: 2, name: "logo.avif" } },
+                { id: "c2", assetPath: "logo.png", layer: { id: 3, name: "logo.png" } }
+            ],
+            reports = 0;
+
+        notFound.encoderNotFoundError = true;
+
+        assetManager._renderPromises = {};
+        assetManager._failedRenderPaths = {};
+        assetManager._filePromises = [];
+        assetManager._errorManager.reportErrors = function () {
+            reports++;
+        };
+        assetManager._renderManager = {
+            render: function (component) {
+                return Q.reject(component.id === "c1" ? notFound : new Error("Photoshop is busy"));
+            }
+        };
+
+        assetManager.once("idle", function () {
+            test.deepEqual(assetManager._errorManager.getErrorsForComponent(components[0]).map(function (error) {
+                return error.indexOf(notFound.message) >= 0;
+            }), [true], "A missing encoder is reported for the component");
+            test.equal(assetManager._errorManager.getErrorsForComponent(components[1]), undefined,
+                "Other render failures are only logged");
+            test.equal(reports, 1, "The errors are reported");
+            test.deepEqual(Object.keys(assetManager._failedRenderPaths).sort(), ["logo.avif", "logo.png"],
+                "Both renders failed");
+            test.done();
+        });
+
+        components.forEach(assetManager._requestRender, assetManager);
+    };
+
+    exports.testRestartPrunesOrphans = function (test) {
+        var tmpDirectory = tmp.dirSync({ unsafeCleanup: true }),
+            document = new Document(null, {}, _logger, {
+                id: 1,
+                count: 1,
+                version: "1.0.0",
+                file: "test.psd",
+                resolution: 72,
+                bounds: { top: 0, left: 0, bottom: 100, right: 100 },
+                layers: [
+                    { id: 2, index: 2, name: "play.png", type: "layer", visible: true },
+                    { id: 3, index: 3, name: "stop.png", type: "layer", visible: true }
+                ]
+            }),
+            failedPaths = {},
+            renderCount = 0,
+            renderManager = {
+                render: function (component) {
+                    if (failedPaths.hasOwnProperty(component.assetPath)) {
+                        return Q.reject(new Error("Render failed"));
+                    }
+
+                    var tmpPath = path.join(tmpDirectory.name, "render-" + renderCount++);
+                    fs.writeFileSync(tmpPath, component.assetPath);
+
+                    return Q.resolve({ path: tmpPath, errors: [] });
+                },
+                reportWrite: function () {},
+                cancel: function () {},
+                cancelAll: function () {}
+            },
+            assetManager = new AssetManager(null, {
+                "base-directory": tmpDirectory.name,
+                "manifest-enabled": false
+            }, _logger, document, renderManager),
+            fileManager = assetManager._fileManager,
+            basePath,
+            pruneFilesWithin = fileManager.pruneFilesWithin,
+            pruned;
+
+        // Resolve with the paths pruned once the initial render pass has been written
+        fileManager.pruneFilesWithin = function () {
+            var promise = pruneFilesWithin.apply(this, arguments);
+            pruned.resolve(promise);
+            return promise;
+        };
+
+        var start = function () {
+            pruned = Q.defer();
+            assetManager.start();
+            return pruned.promise;
+        };
+
+        start()
+            .then(function (prunedPaths) {
+                basePath = fileManager.basePath;
+
+                test.deepEqual(prunedPaths, [], "Nothing is pruned initially");
+                test.ok(fs.existsSync(path.join(basePath, "play.png")), "The asset of the layer is written");
+
+                assetManager.stop();
+                document._applyChange({
+                    id: 1,
+                    version: "1.0.0",
+                    count: 2,
+                    timeStamp: 2,
+                    layers: [{ id: 2, name: "pause.png" }]
+                });
+                failedPaths["stop.png"] = true;
+
+                return start();
+            })
+            .then(function (prunedPaths) {
+                test.deepEqual(prunedPaths, ["play.png"],
+                    "The asset of the layer renamed while stopped is pruned once restarted");
+                test.ok(fs.existsSync(path.join(basePath, ".trash", "play.png")), "The orphan is moved to the trash");
+                test.ok(fs.existsSync(path.join(basePath, "pause.png")), "The asset of the renamed layer is written");
+                test.ok(fs.existsSync(path.join(basePath, "stop.png")),
+                    "The asset of a layer whose render failed is kept");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                assetManager.stop();
+                tmpDirectory.removeCallback();
+                test.done();
+            })
+            .done();
+    };
+
+    exports.testMetaDataErrorsInLayerNameMode = function (test) {
+        var getDocumentErrors = function (config, json) {
+            var tmpDirectory = tmp.dirSync({ unsafeCleanup: true }),
+                document = new Document(null, {}, _logger, {
+                    id: 1,
+                    count: 1,
+                    version: "1.0.0",
+                    file: "test.psd",
+                    resolution: 72,
+                    bounds: { top: 0, left: 0, bottom: 100, right: 100 },
+                    generatorSettings: { crema: { json: json } },
+                    layers: []
+                }),
+                renderManager = {
+                    cancelAll: function () {}
+                },
+                assetManager;
+
+            config["base-directory"] = tmpDirectory.name;
+            assetManager = new AssetManager(null, config, _logger, document, renderManager);
+            assetManager._errorManager.reportErrors = function () {};
+            assetManager.start();
+            assetManager.stop();
+            tmpDirectory.removeCallback();
+
+            return assetManager._errorManager._errors["document-1"] || [];
+        };
+
+        test.equal(getDocumentErrors({}, JSON.stringify({ scalesettings: [] })).length, 0,
+            "Schema violations are not reported in layer name mode");
+        test.equal(getDocumentErrors({}, "{").length, 0, "Invalid JSON is not reported in layer name mode");
+        test.equal(getDocumentErrors({ "meta-data-driven": true }, JSON.stringify({ scalesettings: [] })).length, 1,
+            "Schema violations are reported in meta-data-driven mode");
+        test.equal(getDocumentErrors({ "meta-data-driven": true }, "{").length, 1,
+            "Invalid JSON is reported in meta-data-driven mode");
+
+        test.done();
+    };
+}());
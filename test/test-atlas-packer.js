@@ -0,0 +1,159 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var atlasPacker = require("../lib/atlaspacker"),
+        pixmaputils = require("../lib/pixmaputils");
+
+    /**
+     * Create a pixmap of the given size, filled with the given ARGB color.
+     */
+    function _createFrame(name, width, height, argb) {
+        var pixmap = pixmaputils.createPixmap(width, height),
+            x,
+            y;
+
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                pixmaputils.setPixel(pixmap, x, y, argb);
+            }
+        }
+
+        return { name: name, pixmap: pixmap };
+    }
+
+    function _getPixel(pixmap, x, y) {
+        var offset = y * pixmap.rowBytes + x * 4;
+        return Array.prototype.slice.call(pixmap.pixels, offset, offset + 4);
+    }
+
+    function _getFrames() {
+        return [
+            _createFrame("play.png", 10, 20, [255, 255, 0, 0]),
+            _createFrame("pause.png", 30, 10, [255, 0, 255, 0]),
+            _createFrame("stop.png", 10, 10, [255, 0, 0, 255]),
+            _createFrame("eject button.png", 5, 25, [128, 255, 255, 255]),
+            _createFrame("record.png", 12, 12, [255, 255, 255, 0])
+        ];
+    }
+
+    exports.testPack = function (test) {
+        var layout = atlasPacker.pack(_getFrames()),
+            frames = layout.frames;
+
+        test.equal(frames.length, 5, "Every frame is placed");
+        test.deepEqual(frames.map(function (frame) {
+            return frame.name;
+        }), ["eject button.png", "play.png", "record.png", "pause.png", "stop.png"],
+            "Frames are placed from the tallest to the shortest");
+
+        frames.forEach(function (frame) {
+            test.ok(frame.x >= 0 && frame.y >= 0 && frame.x + frame.pixmap.width <= layout.width &&
+                frame.y + frame.pixmap.height <= layout.height, "Frame is inside the atlas: " + frame.name);
+        });
+
+        frames.forEach(function (a, i) {
+            frames.slice(i + 1).forEach(function (b) {
+                var apart = a.x + a.pixmap.width + 2 <= b.x || b.x + b.pixmap.width + 2 <= a.x ||
+                    a.y + a.pixmap.height + 2 <= b.y || b.y + b.pixmap.height + 2 <= a.y;
+
+                test.ok(apart, "Frames don't overlap and are padded: " + a.name + ", " + b.name);
+            });
+        });
+
+        var pixmap = atlasPacker.createPixmap(layout);
+
+        test.equal(pixmap.width, layout.width, "Atlas width");
+        test.equal(pixmap.height, layout.height, "Atlas height");
+
+        frames.forEach(function (frame) {
+            var color = _getPixel(frame.pixmap, 0, 0);
+
+            test.deepEqual(_getPixel(pixmap, frame.x, frame.y), color, "Top left pixel: " + frame.name);
+            test.deepEqual(_getPixel(pixmap, frame.x + frame.pixmap.width - 1, frame.y + frame.pixmap.height - 1),
+                color, "Bottom right pixel: " + frame.name);
+        });
+
+        test.deepEqual(_getPixel(pixmap, layout.width - 1, layout.height - 1), [0, 0, 0, 0],
+            "Unused space is transparent");
+
+        test.done();
+    };
+
+    exports.testFrameMap = function (test) {
+        var layout = atlasPacker.pack(_getFrames()),
+            frameMap = atlasPacker.getFrameMap(layout, "ui.png"),
+            play = layout.frames[1];
+
+        test.deepEqual(Object.keys(frameMap.frames).sort(),
+            ["eject button.png", "pause.png", "play.png", "record.png", "stop.png"], "A frame for each name");
+
+        test.deepEqual(frameMap.frames["play.png"], {
+            frame: { x: play.x, y: play.y, w: 10, h: 20 },
+            rotated: false,
+            trimmed: false,
+            spriteSourceSize: { x: 0, y: 0, w: 10, h: 20 },
+            sourceSize: { w: 10, h: 20 }
+        }, "TexturePacker frame");
+
+        test.deepEqual(frameMap.meta, {
+            app: "generator-assets",
+            version: "1.0",
+            image: "ui.png",
+            format: "RGBA8888",
+            size: { w: layout.width, h: layout.height },
+            scale: "1"
+        }, "TexturePacker meta-data");
+
+        test.done();
+    };
+
+    exports.testStylesheet = function (test) {
+        var layout = {
+                width: 44,
+                height: 20,
+                frames: [
+                    { name: "play.png", pixmap: { width: 10, height: 20 }, x: 0, y: 0 },
+                    { name: "eject button.9.png", pixmap: { width: 30, height: 10 }, x: 12, y: 4 }
+                ]
+            },
+            css = atlasPacker.getStylesheet(layout, "ui/toolbar", "toolbar.3fa9c1.png");
+
+        test.equal(css,
+            ".ui-toolbar-play {\n" +
+            "    background: url(\"toolbar.3fa9c1.png\") 0px 0px no-repeat;\n" +
+            "    width: 10px;\n" +
+            "    height: 20px;\n" +
+            "}\n" +
+            "\n" +
+            ".ui-toolbar-eject-button-9 {\n" +
+            "    background: url(\"toolbar.3fa9c1.png\") -12px -4px no-repeat;\n" +
+            "    width: 30px;\n" +
+            "    height: 10px;\n" +
+            "}\n", "A class for each frame, named after the atlas and the frame");
+
+        test.done();
+    };
+}());
@@ -0,0 +1,675 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var path = require("path");
+
+    var Document = require("../lib/dom/document"),
+        ComponentManager = require("../lib/componentmanager");
+
+    var _logger = {
+        debug: function () {},
+        info: function () {},
+        warn: function () {},
+        error: function () {}
+    };
+
+    function _rawLayer(id, name, layers) {
+        var layer = {
+            id: id,
+            index: id,
+            name: name,
+            type: layers ? "layerSection" : "layer",
+            visible: true,
+            bounds: { top: 0, left: 0, bottom: 10, right: 20 }
+        };
+
+        if (layers) {
+            layer.layers = layers;
+        }
+
+        return layer;
+    }
+
+    function _metaLayer(id, name, meta, layers) {
+        var layer = _rawLayer(id, name, layers);
+
+        layer.generatorSettings = {
+            crema: { json: JSON.stringify(meta) }
+        };
+
+        return layer;
+    }
+
+    function _createDocument(layers) {
+        return new Document(null, {}, _logger, {
+            id: 1,
+            count: 1,
+            version: "1.0.0",
+            file: "/test/test.psd",
+            resolution: 72,
+            bounds: { top: 0, left: 0, bottom: 100, right: 100 },
+            layers: layers
+        });
+    }
+
+    /**
+     * Add the components of every layer of the given document, like the asset
+     * manager does, and return the errors, keyed by layer ID.
+     */
+    function _addComponents(componentManager, document) {
+        var errors = {};
+
+        document.layers.visit(function (layer) {
+            if (!layer.group) {
+                return;
+            }
+
+            componentManager.findAllComponents(layer).forEach(function (result) {
+                var layerErrors = result.errors || [];
+
+                if (result.component) {
+                    try {
+                        componentManager.addComponent(layer, result.component);
+                    } catch (ex) {
+                        layerErrors = [ex.message];
+                    }
+                }
+
+                if (layerErrors.length > 0) {
+                    errors[layer.id] = (errors[layer.id] || []).concat(layerErrors);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Apply a change to the layers of the given document, like Photoshop sends it.
+     */
+    function _changeLayers(document, rawLayers) {
+        document._applyChange({
+            id: document.id,
+            version: document.version,
+            count: document.count + 1,
+            timeStamp: document.count + 1,
+            layers: rawLayers
+        });
+    }
+
+    /**
+     * Remove the basic components of the given layer and add them again, like the
+     * asset manager does for a changed layer.
+     */
+    function _readdComponents(componentManager, document, layerId) {
+        var layer = document.layers.findLayer(layerId).layer;
+
+        componentManager.getBasicComponentsByLayer(layerId).forEach(function (basic) {
+            componentManager.removeComponent(basic.id);
+        });
+
+        componentManager.findAllComponents(layer).forEach(function (result) {
+            componentManager.addComponent(layer, result.component);
+        });
+    }
+
+    function _getAssetPaths(componentManager, layerId) {
+        return componentManager.getBasicComponentsByLayer(layerId).map(function (basic) {
+            return basic.assetPath;
+        });
+    }
+
+    function _getDerivedPaths(componentManager, layerId) {
+        return componentManager.getBasicComponentsByLayer(layerId).reduce(function (paths, basic) {
+            return paths.concat(componentManager.getDerivedComponents(basic.id).map(function (derived) {
+                return derived.assetPath;
+            }));
+        }, []);
+    }
+
+    exports.testAndroidPreset = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default android"),
+                _rawLayer(3, "48x32 Play Button.png"),
+                _rawLayer(4, "150% Pause.png")
+            ]),
+            componentManager = new ComponentManager(null, {});
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+
+        var sizes = function (layerId) {
+            var basic = componentManager.getBasicComponentsByLayer(layerId)[0];
+
+            return componentManager.getDerivedComponents(basic.id).map(function (derived) {
+                return [derived.folder.join("/"), derived.file, derived.width, derived.height, derived.scale];
+            });
+        };
+
+        test.deepEqual(sizes(3), [
+            ["drawable-mdpi", "play_button.png", 48, 32, undefined],
+            ["drawable-hdpi", "play_button.png", 72, 48, undefined],
+            ["drawable-xhdpi", "play_button.png", 96, 64, undefined],
+            ["drawable-xxhdpi", "play_button.png", 144, 96, undefined],
+            ["drawable-xxxhdpi", "play_button.png", 192, 128, undefined]
+        ], "Absolute sizes are scaled for each density bucket");
+
+        test.deepEqual(sizes(4), [
+            ["drawable-mdpi", "pause.png", undefined, undefined, 1.5],
+            ["drawable-hdpi", "pause.png", undefined, undefined, 2.25],
+            ["drawable-xhdpi", "pause.png", undefined, undefined, 3],
+            ["drawable-xxhdpi", "pause.png", undefined, undefined, 4.5],
+            ["drawable-xxxhdpi", "pause.png", undefined, undefined, 6]
+        ], "Scales are multiplied for each density bucket");
+
+        test.done();
+    };
+
+    exports.testLayerPlaceholder = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default {layer}/"),
+                _rawLayer(3, "icon.png"),
+                _rawLayer(4, "Play Button, {layer}.png"),
+                _rawLayer(5, "button.png, 200% {layer}@2x.png"),
+                _rawLayer(6, "{layer}.png")
+            ]),
+            componentManager = new ComponentManager(null, {});
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+
+        test.deepEqual(_getAssetPaths(componentManager, 4), ["Play Button.png"],
+            "The parts of the name that are not specifications are the layer title");
+        test.deepEqual(_getAssetPaths(componentManager, 5), ["button.png", "button@2x.png"],
+            "Without a title, the basename of the first file is the layer title");
+        test.deepEqual(_getAssetPaths(componentManager, 6), ["layer-6.png"],
+            "Without a title or another file, the layer ID is the layer title");
+        test.deepEqual(_getDerivedPaths(componentManager, 3), ["icon/icon.png"],
+            "Defaults resolve the layer title of the basic component");
+
+        test.done();
+    };
+
+    exports.testStalePlaceholders = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "a-{index}.png"),
+                _rawLayer(3, "b.png"),
+                _rawLayer(4, "c.png"),
+                _rawLayer(10, "Icons", [
+                    _rawLayer(11, "{group}/d.png"),
+                    _rawLayer(12, "e.png")
+                ])
+            ]),
+            componentManager = new ComponentManager(null, {});
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(_getAssetPaths(componentManager, 2), ["a-4.png"], "The index counts from the top");
+        test.deepEqual(_getAssetPaths(componentManager, 11), ["Icons/d.png"], "The group is the parent group name");
+        test.deepEqual(componentManager.getLayersWithStalePlaceholders(), {}, "Nothing is stale initially");
+
+        // Move c.png to the bottom, which moves a-{index}.png up
+        _changeLayers(document, [{ id: 4, index: 0 }]);
+
+        test.deepEqual(Object.keys(componentManager.getLayersWithStalePlaceholders()), ["2"],
+            "A sibling reorder makes the index stale");
+
+        _readdComponents(componentManager, document, 2);
+
+        test.deepEqual(_getAssetPaths(componentManager, 2), ["a-3.png"], "The index is updated when re-added");
+        test.deepEqual(componentManager.getLayersWithStalePlaceholders(), {}, "Nothing is stale once re-added");
+
+        _changeLayers(document, [{ id: 10, name: "Buttons" }]);
+
+        test.deepEqual(Object.keys(componentManager.getLayersWithStalePlaceholders()), ["11"],
+            "A group rename makes the group stale");
+
+        test.done();
+    };
+
+    exports.testDerivedPadding = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default 200% @2x, pad3 padded/"),
+                _rawLayer(3, "pad4 play.png"),
+                _rawLayer(4, "50% pad4 pause.png"),
+                _rawLayer(5, "stop.png")
+            ]),
+            componentManager = new ComponentManager(null, {});
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+
+        var paddings = function (layerId) {
+            var basic = componentManager.getBasicComponentsByLayer(layerId)[0];
+
+            return componentManager.getDerivedComponents(basic.id).map(function (derived) {
+                return [derived.assetPath, derived.scale || 1, derived.padding || 0];
+            });
+        };
+
+        test.deepEqual(paddings(3), [["play@2x.png", 2, 8], ["padded/play.png", 1, 4]],
+            "The padding of the basic component scales with the default scale");
+        test.deepEqual(paddings(4), [["pause@2x.png", 0.5, 4], ["padded/pause.png", 0.5, 4]],
+            "The padding of a basic component with its own scale is unchanged");
+        test.deepEqual(paddings(5), [["stop@2x.png", 2, 0], ["padded/stop.png", 1, 3]],
+            "The padding of a default is used as it is");
+
+        document = _createDocument([
+            _rawLayer(2, "default android"),
+            _rawLayer(3, "pad4 play.png")
+        ]);
+        componentManager = new ComponentManager(null, {});
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(paddings(3).map(function (rendition) {
+            return [rendition[1], rendition[2]];
+        }), [[1, 4], [1.5, 6], [2, 8], [3, 12], [4, 16]], "Presets scale the padding alike");
+
+        test.done();
+    };
+
+    exports.testQuotedFilenames = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default @2x, 50% small/"),
+                _rawLayer(3, "\"Summer, 2026 + Promo\".png"),
+                _rawLayer(4, "promo/\"Sale, 50% + more\".jpg8, icon.png"),
+                _rawLayer(5, "\"a/b:c?\".png")
+            ]),
+            componentManager = new ComponentManager(null, {});
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+
+        test.deepEqual(_getAssetPaths(componentManager, 3), ["Summer, 2026 + Promo.png"],
+            "Commas and plus signs are part of the asset path");
+        test.deepEqual(_getAssetPaths(componentManager, 4), [path.join("promo", "Sale, 50% + more.jpg"), "icon.png"],
+            "Quoted filenames combine with folders and other specifications");
+        test.deepEqual(_getAssetPaths(componentManager, 5), ["a_b_c_.png"],
+            "Illegal characters in quotes are still replaced");
+
+        test.deepEqual(_getDerivedPaths(componentManager, 3), ["Summer, 2026 + Promo@2x.png",
+            path.join("small", "Summer, 2026 + Promo.png")], "Defaults apply to quoted filenames");
+        test.deepEqual(_getDerivedPaths(componentManager, 4), [
+            path.join("promo", "Sale, 50% + more@2x.jpg"),
+            path.join("small", "promo", "Sale, 50% + more.jpg"),
+            "icon@2x.png",
+            path.join("small", "icon.png")
+        ], "Defaults apply to quoted filenames in folders");
+
+        test.done();
+    };
+
+    exports.testEachComponents = function (test) {
+        var document = _createDocument([
+                _rawLayer(10, "each @2x icons/*.png", [
+                    _rawLayer(11, "Play"),
+                    _rawLayer(12, "pause.png"),
+                    _rawLayer(13, "200% stop.png, {layer}-large.png"),
+                    _rawLayer(14, "")
+                ])
+            ]),
+            componentManager = new ComponentManager(null, {}),
+            analyzeLayerName = componentManager._parserManager.analyzeLayerName,
+            groupNameCount = 0;
+
+        componentManager._parserManager.analyzeLayerName = function (layerName) {
+            if (layerName === "each @2x icons/*.png") {
+                groupNameCount++;
+            }
+            return analyzeLayerName.apply(this, arguments);
+        };
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.equal(groupNameCount, 2, "The group name is analyzed for the group itself and once for its children");
+
+        test.deepEqual(_getAssetPaths(componentManager, 11), [path.join("icons", "Play@2x.png")],
+            "Children are named after their layer");
+        test.deepEqual(_getAssetPaths(componentManager, 12), ["pause.png", path.join("icons", "pause@2x.png")],
+            "Children whose name is a specification are named after its file");
+        test.deepEqual(_getAssetPaths(componentManager, 13),
+            ["stop.png", "stop-large.png", path.join("icons", "stop@2x.png")],
+            "Children are named after their first file without placeholders");
+        test.deepEqual(_getAssetPaths(componentManager, 14), [path.join("icons", "layer-14@2x.png")],
+            "Children without a name are named after their ID");
+
+        _changeLayers(document, [{ id: 10, name: "each icons/*.jpg" }]);
+
+        test.deepEqual(Object.keys(componentManager.getLayersWithStaleEachDirectives(
+            document.layers.findLayer(10).layer)).sort(), ["11", "12", "13", "14"],
+            "Renaming the group makes every child stale");
+
+        test.done();
+    };
+
+    exports.testStaleGroupSettings = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default all/"),
+                _rawLayer(3, "default@mobile mobile/"),
+                _rawLayer(4, "c.png"),
+                _rawLayer(10, "@mobile", [
+                    _rawLayer(11, "icon.png")
+                ])
+            ]),
+            componentManager = new ComponentManager(null, {}),
+            getLayer = function (layerId) {
+                return document.layers.findLayer(layerId).layer;
+            },
+            getStaleLayerIds = function (changedLayerIds) {
+                return Object.keys(componentManager.getLayersWithStaleGroupSettings(changedLayerIds.map(getLayer)));
+            };
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(_getDerivedPaths(componentManager, 11), [path.join("mobile", "icon.png")],
+            "The group opts its layers into the profile");
+        test.deepEqual(getStaleLayerIds([4, 10]), [], "Nothing is stale initially");
+
+        _changeLayers(document, [{ id: 10, name: "Icons" }]);
+
+        test.deepEqual(getStaleLayerIds([10]), ["11"], "Renaming the group makes its layers stale");
+        test.deepEqual(getStaleLayerIds([4]), [], "Only the changed layers and their descendants are checked");
+
+        _readdComponents(componentManager, document, 11);
+
+        test.deepEqual(_getDerivedPaths(componentManager, 11), [path.join("all", "icon.png")],
+            "Outside of the profile, the unnamed defaults apply");
+
+        _changeLayers(document, [{ id: 10, name: "@mobile" }]);
+        _readdComponents(componentManager, document, 11);
+        _changeLayers(document, [{ id: 10, index: 5, layers: [{ id: 4, index: 3 }] }]);
+
+        test.equal(getLayer(4).group.id, 10, "The layer has moved into the group");
+        test.deepEqual(getStaleLayerIds([4]), ["4"], "Moving a layer into the group makes it stale");
+
+        test.done();
+    };
+
+    exports.testMetaDataProfiles = function (test) {
+        var document = _createDocument([
+                _metaLayer(2, "logo", { assetSettings: [{ file: "logo.png", extension: "png" }] }),
+                _metaLayer(3, "banner", {
+                    profile: "mobile",
+                    assetSettings: [{ file: "banner.png", extension: "png" }]
+                }),
+                _metaLayer(10, "Icons", { profile: "mobile" }, [
+                    _metaLayer(11, "icon", { assetSettings: [{ file: "icon.png", extension: "png" }] }),
+                    _metaLayer(12, "hero", { assetSettings: [{ file: "hero.png", extension: "png", profile: "web" }] })
+                ])
+            ]),
+            componentManager = new ComponentManager(null, { "meta-data-driven": true });
+
+        componentManager.addDefaultMetaComponent({ folder: ["all"], file: "" });
+        componentManager.addDefaultMetaComponent({ folder: ["mobile"], file: "", profile: "mobile" });
+        componentManager.addDefaultMetaComponent({ folder: ["web"], file: "", profile: "web" });
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(_getDerivedPaths(componentManager, 2), [path.join("all", "logo.png")],
+            "Layers without a profile use the unnamed defaults");
+        test.deepEqual(_getDerivedPaths(componentManager, 3), [path.join("mobile", "banner.png")],
+            "The layer settings opt the assets of the layer into a profile");
+        test.deepEqual(_getDerivedPaths(componentManager, 11), [path.join("mobile", "icon.png")],
+            "The group settings opt the assets of the layers inside it into a profile");
+        test.deepEqual(_getDerivedPaths(componentManager, 12), [path.join("web", "hero.png")],
+            "The profile of an asset takes precedence");
+
+        var changedLayers = [10, 11].map(function (layerId) {
+            return document.layers.findLayer(layerId).layer;
+        });
+
+        test.deepEqual(componentManager.getLayersWithStaleGroupSettings(changedLayers), {},
+            "Nothing is stale initially");
+
+        test.done();
+    };
+
+    exports.testPathCollisions = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default 100%, 200% @2x"),
+                _rawLayer(3, "200% Icon@2x.png"),
+                _rawLayer(4, "icon.png")
+            ]),
+            componentManager = new ComponentManager(null, {}),
+            getCollidingPaths = function () {
+                return componentManager.findPathCollisions().map(function (components) {
+                    return components.map(function (component) {
+                        return component.layer.id + ":" + component.assetPath;
+                    }).sort();
+                });
+            };
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(getCollidingPaths(), [["3:Icon@2x.png", "4:icon@2x.png"]],
+            "A basic path collides with a derived path that only differs in case");
+
+        _changeLayers(document, [{ id: 4, name: "button.png" }]);
+        _readdComponents(componentManager, document, 4);
+
+        test.deepEqual(getCollidingPaths(), [], "Renaming the layer resolves the collision");
+
+        test.done();
+    };
+
+    exports.testImagesetCollisions = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default xcassets"),
+                _rawLayer(3, "logo.png"),
+                _rawLayer(4, "Logo.jpg"),
+                _rawLayer(5, "icon.png")
+            ]),
+            componentManager = new ComponentManager(null, {}),
+            getCollidingPaths = function () {
+                return componentManager.findImagesetCollisions().map(function (components) {
+                    return components.map(function (component) {
+                        return component.layer.id + ":" + component.assetPath;
+                    }).sort();
+                });
+            };
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(componentManager.findPathCollisions(), [], "The asset paths differ");
+        test.deepEqual(getCollidingPaths(), [[
+            "3:" + path.join("Assets.xcassets", "logo.imageset", "logo.png"),
+            "4:" + path.join("Assets.xcassets", "Logo.imageset", "Logo.jpg")
+        ]], "Assets with the same base name collide in one image set, once");
+
+        _changeLayers(document, [{ id: 4, name: "brand.jpg" }]);
+        _readdComponents(componentManager, document, 4);
+
+        test.deepEqual(getCollidingPaths(), [], "Renaming the layer resolves the collision");
+
+        test.done();
+    };
+
+    exports.testGroupDefaults = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default @2x"),
+                _rawLayer(10, "Icons", [
+                    _rawLayer(11, "default 50% small/"),
+                    _rawLayer(12, "icon.png"),
+                    _rawLayer(20, "Inner", [
+                        _rawLayer(21, "default 50% tiny/"),
+                        _rawLayer(22, "dot.png")
+                    ])
+                ]),
+                _rawLayer(30, "Other", [
+                    _rawLayer(31, "logo.png")
+                ])
+            ]),
+            componentManager = new ComponentManager(null, {}),
+            getDefaultId = function (layerId) {
+                return Object.keys(componentManager._componentsForLayer[layerId])[0];
+            };
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(_getDerivedPaths(componentManager, 31), ["logo@2x.png"],
+            "The defaults of a group don't apply outside of it");
+        test.deepEqual(_getDerivedPaths(componentManager, 12), [path.join("small", "icon@2x.png")],
+            "The defaults of the group apply before the document-wide defaults");
+        test.deepEqual(_getDerivedPaths(componentManager, 22), [path.join("small", "tiny", "dot@2x.png")],
+            "The defaults of nested groups apply from the innermost to the outermost");
+        test.deepEqual(componentManager.getAllDerivedComponents().filter(function (derived) {
+            return derived.layer.id === 22;
+        }).map(function (derived) {
+            return derived.scale;
+        }), [0.5], "The sizes of the innermost defaults take precedence");
+
+        var basic = componentManager.getBasicComponentsByLayer(22)[0];
+        test.deepEqual(componentManager.getDerivedComponents(basic.id).map(function (derived) {
+            return derived.id;
+        }), [[getDefaultId(2), getDefaultId(11), getDefaultId(21), basic.id].join(":")],
+            "The IDs of derived components chain the IDs of the defaults they are derived from");
+
+        // Renaming the default layer of the group removes its defaults
+        _changeLayers(document, [{ id: 11, name: "note.png" }]);
+        Object.keys(componentManager._componentsForLayer[11]).forEach(function (componentId) {
+            componentManager.removeComponent(componentId);
+        });
+
+        test.deepEqual(_getDerivedPaths(componentManager, 12), ["icon@2x.png"],
+            "Without the defaults of the group, only the document-wide defaults apply");
+        test.deepEqual(_getDerivedPaths(componentManager, 22), [path.join("tiny", "dot@2x.png")],
+            "The defaults of the nested group still apply");
+
+        componentManager.findAllComponents(document.layers.findLayer(11).layer).forEach(function (result) {
+            componentManager.addComponent(document.layers.findLayer(11).layer, result.component);
+        });
+
+        test.deepEqual(_getDerivedPaths(componentManager, 11), ["note@2x.png"],
+            "The renamed layer is a basic layer of the group");
+
+        test.done();
+    };
+
+    exports.testArtboardDefaults = function (test) {
+        var artboard = function (id, name, layers) {
+                var layer = _rawLayer(id, name, layers);
+
+                layer.type = "artboardSection";
+                layer.artboard = { artboardRect: { top: 0, left: 0, bottom: 50, right: 50 } };
+
+                return layer;
+            },
+            document = _createDocument([
+                artboard(10, "Phone", [
+                    _rawLayer(11, "default @2x"),
+                    _rawLayer(12, "a.png"),
+                    _rawLayer(20, "Icons", [
+                        _rawLayer(21, "default small/"),
+                        _rawLayer(22, "b.png")
+                    ])
+                ]),
+                artboard(30, "Tablet", [
+                    _rawLayer(31, "c.png")
+                ])
+            ]),
+            componentManager = new ComponentManager(null, {});
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(_getDerivedPaths(componentManager, 12), ["a@2x.png"],
+            "The defaults at the top level of an artboard apply to its layers");
+        test.deepEqual(_getDerivedPaths(componentManager, 31), ["c@2x.png"],
+            "The defaults at the top level of an artboard apply to the whole document");
+        test.deepEqual(_getDerivedPaths(componentManager, 22), [path.join("small", "b@2x.png")],
+            "The defaults of groups inside an artboard apply to the layers of the group");
+
+        test.done();
+    };
+
+    exports.testGroupFolders = function (test) {
+        var document = _createDocument([
+                _rawLayer(10, "icons/", [
+                    _rawLayer(20, "buttons/", [
+                        _rawLayer(21, "play.png"),
+                        _rawLayer(22, "small/pause.png")
+                    ]),
+                    _rawLayer(11, "x.png")
+                ]),
+                _rawLayer(30, "Plain", [
+                    _rawLayer(31, "stop.png")
+                ])
+            ]),
+            componentManager = new ComponentManager(null, {}),
+            getStaleLayerIds = function (changedLayerId) {
+                var changedLayer = document.layers.findLayer(changedLayerId).layer;
+
+                return Object.keys(componentManager.getLayersWithStaleGroupSettings([changedLayer])).sort();
+            };
+
+        test.deepEqual(_addComponents(componentManager, document), {}, "No errors");
+        test.deepEqual(_getAssetPaths(componentManager, 11), [path.join("icons", "x.png")],
+            "The folder of the group is the folder of its layers");
+        test.deepEqual(_getAssetPaths(componentManager, 21), [path.join("icons", "buttons", "play.png")],
+            "The folders of nested groups compose from the outermost to the innermost");
+        test.deepEqual(_getAssetPaths(componentManager, 22), [path.join("icons", "buttons", "small", "pause.png")],
+            "The folders of the groups come before the folder of the layer");
+        test.deepEqual(_getAssetPaths(componentManager, 31), ["stop.png"],
+            "Groups without a folder don't change the folder of their layers");
+
+        _changeLayers(document, [{ id: 20, name: "controls/" }]);
+
+        test.deepEqual(getStaleLayerIds(20), ["21", "22"], "Renaming a group makes its descendants stale");
+        test.deepEqual(getStaleLayerIds(10), ["21", "22"], "Only the descendants whose folder changed are stale");
+
+        _readdComponents(componentManager, document, 21);
+        _readdComponents(componentManager, document, 22);
+
+        test.deepEqual(_getAssetPaths(componentManager, 21), [path.join("icons", "controls", "play.png")],
+            "The folder of the renamed group is used once re-added");
+        test.deepEqual(getStaleLayerIds(10), [], "Nothing is stale once re-added");
+
+        // Move the Plain group to the top of the icons/ group
+        _changeLayers(document, [{ id: 10, index: 9, layers: [{ id: 30, index: 8 }] }]);
+
+        test.deepEqual(getStaleLayerIds(30), ["31"], "Moving a group into another makes its descendants stale");
+
+        _readdComponents(componentManager, document, 31);
+
+        test.deepEqual(_getAssetPaths(componentManager, 31), [path.join("icons", "stop.png")],
+            "The folder of the new parent group is used once re-added");
+
+        test.done();
+    };
+
+    exports.testMetaDataUnknownSettings = function (test) {
+        var document = _createDocument([
+                _metaLayer(2, "logo", {
+                    assetsettings: [],
+                    assetSettings: [
+                        { file: "logo.png", extension: "png", scael: 2 },
+                        { file: "logo.jpg", quality: "80%" },
+                        { file: "logo.svg", extension: "svg", scale: "2" }
+                    ]
+                })
+            ]),
+            componentManager = new ComponentManager(null, { "meta-data-driven": true }),
+            errors = _addComponents(componentManager, document);
+
+        test.deepEqual(errors[2], [
+            "assetsettings is not a known setting",
+            "assetSettings[0].scael is not a known setting",
+            "assetSettings[1] is missing the setting: extension",
+            "assetSettings[2].scale must be a number"
+        ], "Unknown settings are reported along with the other violations");
+        test.deepEqual(_getAssetPaths(componentManager, 2), ["logo.png"],
+            "Settings with unknown settings are analyzed, but not settings of the wrong type or without an extension");
+
+        test.done();
+    };
+}());
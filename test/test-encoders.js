@@ -0,0 +1,480 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    /*jshint bitwise: false*/
+
+    var childProcess = require("child_process"),
+        EventEmitter = require("events").EventEmitter,
+        zlib = require("zlib");
+
+    var apng = require("../lib/encoders/apng"),
+        avif = require("../lib/encoders/avif"),
+        gif = require("../lib/encoders/gif"),
+        ico = require("../lib/encoders/ico"),
+        pixmaputils = require("../lib/pixmaputils");
+
+    /**
+     * Create a pixmap from a list of ARGB colors, in row-major order.
+     */
+    function _createPixmap(width, height, colors) {
+        var pixmap = pixmaputils.createPixmap(width, height);
+
+        colors.forEach(function (argb, index) {
+            pixmaputils.setPixel(pixmap, index % width, Math.floor(index / width), argb);
+        });
+
+        return pixmap;
+    }
+
+    /**
+     * Replace child_process.spawn with a fake encoder process, which calls respond
+     * with the process once its input has been written. Returns the recorded calls.
+     */
+    function _stubSpawn(respond) {
+        var calls = [];
+
+        childProcess.spawn = function (command, args) {
+            var encoder = new EventEmitter(),
+                call = { command: command, args: args, input: null };
+
+            encoder.stderr = new EventEmitter();
+            encoder.stdin = new EventEmitter();
+            encoder.stdin.end = function (data) {
+                call.input = data;
+                setImmediate(respond, encoder);
+            };
+
+            calls.push(call);
+            return encoder;
+        };
+
+        return calls;
+    }
+
+    /**
+     * Read the data sub-blocks that start at the given position of a GIF file.
+     */
+    function _readSubBlocks(data, position) {
+        var blocks = [];
+
+        while (data[position] > 0) {
+            blocks.push(data.slice(position + 1, position + 1 + data[position]));
+            position += data[position] + 1;
+        }
+
+        return { data: Buffer.concat(blocks), position: position + 1 };
+    }
+
+    /**
+     * Decompress the variable-length LZW data of a GIF image, counting the clear
+     * codes that reset the code table after the initial one.
+     */
+    function _decodeLZW(minCodeSize, data) {
+        var clearCode = 1 << minCodeSize,
+            endCode = clearCode + 1,
+            bitPosition = 0,
+            indices = [],
+            resets = -1,
+            table,
+            codeSize,
+            previous,
+            code,
+            entry,
+            i;
+
+        var readCode = function () {
+            var result = 0;
+
+            for (i = 0; i < codeSize; i++, bitPosition++) {
+                if (data[bitPosition >> 3] & (1 << (bitPosition & 7))) {
+                    result |= 1 << i;
+                }
+            }
+
+            return result;
+        };
+
+        codeSize = minCodeSize + 1;
+
+        while ((code = readCode()) !== endCode) {
+            if (code === clearCode) {
+                table = [];
+                for (i = 0; i < clearCode + 2; i++) {
+                    table.push([i]);
+                }
+                codeSize = minCodeSize + 1;
+                previous = null;
+                resets++;
+                continue;
+            }
+
+            if (previous === null) {
+                entry = table[code];
+            } else {
+                entry = code < table.length ? table[code] : table[previous].concat(table[previous][0]);
+
+                if (table.length < 4096) {
+                    table.push(table[previous].concat(entry[0]));
+                }
+            }
+
+            Array.prototype.push.apply(indices, entry);
+            previous = code;
+
+            if (table.length === (1 << codeSize) && codeSize < 12) {
+                codeSize++;
+            }
+        }
+
+        return { indices: indices, resets: resets };
+    }
+
+    /**
+     * Parse a GIF file into its global palette, graphic control extensions and
+     * decoded images.
+     */
+    function _parseGIF(data) {
+        var packed = data[10],
+            tableSize = 2 << (packed & 7),
+            position = 13 + 3 * tableSize,
+            result = {
+                signature: data.toString("ascii", 0, 6),
+                width: data.readUInt16LE(6),
+                height: data.readUInt16LE(8),
+                globalTable: !!(packed & 0x80),
+                palette: [],
+                controls: [],
+                images: []
+            },
+            blocks,
+            i;
+
+        for (i = 0; i < tableSize; i++) {
+            result.palette.push([data[13 + 3 * i], data[14 + 3 * i], data[15 + 3 * i]]);
+        }
+
+        while (data[position] !== 0x3b) {
+            if (data[position] === 0x21) {
+                blocks = _readSubBlocks(data, position + 2);
+
+                if (data[position + 1] === 0xff) {
+                    result.repetitions = blocks.data.readUInt16LE(12);
+                } else if (data[position + 1] === 0xf9) {
+                    result.controls.push({
+                        transparent: !!(blocks.data[0] & 1),
+                        delay: blocks.data.readUInt16LE(1),
+                        transparentIndex: blocks.data[3]
+                    });
+                }
+            } else if (data[position] === 0x2c) {
+                blocks = _readSubBlocks(data, position + 11);
+                result.images.push(_decodeLZW(data[position + 10], blocks.data));
+            } else {
+                throw new Error("Unexpected GIF block: " + data[position]);
+            }
+
+            position = blocks.position;
+        }
+
+        return result;
+    }
+
+    /**
+     * Compute a CRC-32 checksum bit by bit, independently of the encoder's table.
+     */
+    function _crc32(data) {
+        var crc = 0xffffffff,
+            i,
+            j;
+
+        for (i = 0; i < data.length; i++) {
+            crc ^= data[i];
+            for (j = 0; j < 8; j++) {
+                crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+            }
+        }
+
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Split a PNG file into its chunks.
+     */
+    function _parsePNG(data) {
+        var position = 8,
+            chunks = [],
+            length;
+
+        while (position < data.length) {
+            length = data.readUInt32BE(position);
+            chunks.push({
+                type: data.toString("ascii", position + 4, position + 8),
+                data: data.slice(position + 8, position + 8 + length),
+                crc: data.readUInt32BE(position + 8 + length),
+                expectedCRC: _crc32(data.slice(position + 4, position + 8 + length))
+            });
+            position += length + 12;
+        }
+
+        return chunks;
+    }
+
+    exports.testIco = function (test) {
+        var small = { width: 16, height: 16, data: Buffer.from("small png") },
+            large = { width: 256, height: 256, data: Buffer.from("large png data") },
+            data = ico.encode([small, large]),
+            headerSize = 6 + 2 * 16;
+
+        // ICONDIR
+        test.equal(data.readUInt16LE(0), 0, "Reserved");
+        test.equal(data.readUInt16LE(2), 1, "Image type is icon");
+        test.equal(data.readUInt16LE(4), 2, "Number of images");
+
+        // ICONDIRENTRY of the 16x16 image
+        test.equal(data.readUInt8(6), 16, "Width");
+        test.equal(data.readUInt8(7), 16, "Height");
+        test.equal(data.readUInt8(8), 0, "No palette");
+        test.equal(data.readUInt16LE(10), 1, "Color planes");
+        test.equal(data.readUInt16LE(12), 32, "Bits per pixel");
+        test.equal(data.readUInt32LE(14), small.data.length, "Size of the image data");
+        test.equal(data.readUInt32LE(18), headerSize, "The first image follows the directory");
+
+        // ICONDIRENTRY of the 256x256 image
+        test.equal(data.readUInt8(22), 0, "A width of 256 is stored as 0");
+        test.equal(data.readUInt8(23), 0, "A height of 256 is stored as 0");
+        test.equal(data.readUInt32LE(30), large.data.length, "Size of the image data");
+        test.equal(data.readUInt32LE(34), headerSize + small.data.length, "The images are consecutive");
+
+        test.equal(data.length, headerSize + small.data.length + large.data.length, "Total size");
+        test.equal(data.toString("utf8", headerSize, headerSize + small.data.length), "small png", "First image");
+        test.equal(data.toString("utf8", headerSize + small.data.length), "large png data", "Second image");
+
+        test.done();
+    };
+
+    exports.testGIF = function (test) {
+        var red = [255, 255, 0, 0],
+            green = [255, 0, 255, 0],
+            blue = [255, 0, 0, 255],
+            clear = [0, 0, 0, 0],
+            frames = [
+                { pixmap: _createPixmap(2, 2, [red, green, blue, clear]), delay: 100 },
+                { pixmap: _createPixmap(2, 2, [blue, blue, red, green]), delay: 250 }
+            ],
+            result = _parseGIF(gif.encode(frames, 3)),
+            colors = result.images.map(function (image) {
+                return image.indices.map(function (index) {
+                    return index === result.controls[0].transparentIndex ? "clear" : result.palette[index].join();
+                });
+            });
+
+        test.equal(result.signature, "GIF89a", "Header");
+        test.equal(result.width, 2, "Logical screen width");
+        test.equal(result.height, 2, "Logical screen height");
+        test.ok(result.globalTable, "A global palette is shared by the frames");
+        test.equal(result.palette.length, 4, "Three colors and a transparent entry fit in a 2-bit palette");
+        test.deepEqual(result.controls.map(function (control) {
+            return [control.transparent, control.transparentIndex, control.delay];
+        }), [[true, 0, 10], [true, 0, 25]], "The first entry is transparent; delays are in hundredths");
+        test.deepEqual(colors, [
+            ["255,0,0", "0,255,0", "0,0,255", "clear"],
+            ["0,0,255", "0,0,255", "255,0,0", "0,255,0"]
+        ], "Decoded frames");
+
+        result = _parseGIF(gif.encode([{ pixmap: _createPixmap(1, 1, [red]), delay: 0 }], 0));
+
+        test.equal(result.palette.length, 2, "The smallest palette has two entries");
+        test.equal(result.controls[0].transparent, false, "Opaque frames have no transparent entry");
+
+        test.done();
+    };
+
+    exports.testGIFCompression = function (test) {
+        var size = 128,
+            colors = [],
+            expected = [],
+            seed = 1,
+            level,
+            i;
+
+        // Pseudo-random pixels of 16 colors, whose channels are exact in the 5-bit histogram
+        for (i = 0; i < size * size; i++) {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            level = Math.round(((seed >> 16) % 16) * 2 * 255 / 31);
+            colors.push([255, level, 255 - level, level]);
+            expected.push([level, 255 - level, level].join());
+        }
+
+        var result = _parseGIF(gif.encode([{ pixmap: _createPixmap(size, size, colors), delay: 0 }], 0)),
+            image = result.images[0];
+
+        test.equal(result.palette.length, 16, "A 4-bit palette");
+        test.ok(image.resets > 0, "The code table is reset once it holds 4096 codes");
+        test.equal(image.indices.length, size * size, "Every pixel is decoded");
+        test.deepEqual(image.indices.map(function (index) {
+            return result.palette[index].join();
+        }), expected, "Decoded pixels across code size increases and table resets");
+
+        test.done();
+    };
+
+    exports.testAPNG = function (test) {
+        var frames = [
+                { pixmap: _createPixmap(2, 1, [[255, 10, 20, 30], [128, 40, 50, 60]]), delay: 100 },
+                { pixmap: _createPixmap(2, 1, [[0, 0, 0, 0], [255, 1, 2, 3]]), delay: 200 },
+                { pixmap: _createPixmap(2, 1, [[255, 4, 5, 6], [255, 7, 8, 9]]), delay: 300 }
+            ],
+            data = apng.encode(frames, 2),
+            chunks = _parsePNG(data);
+
+        test.deepEqual(Array.prototype.slice.call(data, 0, 8), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+            "PNG signature");
+        test.deepEqual(chunks.map(function (chunk) {
+            return chunk.type;
+        }), ["IHDR", "acTL", "fcTL", "IDAT", "fcTL", "fdAT", "fcTL", "fdAT", "IEND"], "Chunk order");
+
+        chunks.forEach(function (chunk) {
+            test.equal(chunk.crc, chunk.expectedCRC, "CRC of the " + chunk.type + " chunk");
+        });
+
+        test.equal(chunks[1].data.readUInt32BE(0), 3, "Number of frames");
+        test.equal(chunks[1].data.readUInt32BE(4), 2, "Number of plays");
+
+        var sequence = chunks.filter(function (chunk) {
+            return chunk.type === "fcTL" || chunk.type === "fdAT";
+        }).map(function (chunk) {
+            return chunk.data.readUInt32BE(0);
+        });
+
+        test.deepEqual(sequence, [0, 1, 2, 3, 4], "fcTL and fdAT chunks share one sequence");
+        test.deepEqual([2, 4, 6].map(function (index) {
+            return chunks[index].data.readUInt16BE(20) / chunks[index].data.readUInt16BE(22);
+        }), [0.1, 0.2, 0.3], "Delays in seconds");
+
+        test.deepEqual(Array.prototype.slice.call(zlib.inflateSync(chunks[3].data)),
+            [0, 10, 20, 30, 255, 40, 50, 60, 128], "The first frame is the default image, as RGBA");
+        test.deepEqual(Array.prototype.slice.call(zlib.inflateSync(chunks[5].data.slice(4))),
+            [0, 0, 0, 0, 0, 1, 2, 3, 255], "Later frames are frame data, after their sequence number");
+
+        test.done();
+    };
+
+    exports.testAnimationLoop = function (test) {
+        var frames = [
+                { pixmap: _createPixmap(1, 1, [[255, 255, 0, 0]]), delay: 100 },
+                { pixmap: _createPixmap(1, 1, [[255, 0, 0, 255]]), delay: 100 }
+            ],
+            loops = [0, 1, 3];
+
+        test.deepEqual(loops.map(function (loop) {
+            var repetitions = _parseGIF(gif.encode(frames, loop)).repetitions;
+
+            return repetitions === undefined ? null : repetitions;
+        }), [0, null, 2], "GIF repeats the first play, and plays once without a Netscape extension");
+        test.deepEqual(loops.map(function (loop) {
+            return _parsePNG(apng.encode(frames, loop))[1].data.readUInt32BE(4);
+        }), [0, 1, 3], "APNG stores the number of plays");
+
+        test.done();
+    };
+
+    exports.testAVIF = function (test) {
+        var spawn = childProcess.spawn,
+            pixmap = _createPixmap(2, 1, [[255, 255, 0, 0], [0, 0, 255, 0]]),
+            header = "YUV4MPEG2 W2 H1 F25:1 Ip A1:1 C444alpha XCOLORRANGE=FULL\nFRAME\n",
+            calls = _stubSpawn(function (encoder) {
+                encoder.emit("close", 0);
+            });
+
+        var planes = function (call) {
+            test.equal(call.input.slice(0, header.length).toString(), header, "A y4m frame with an alpha plane");
+
+            return Array.prototype.slice.call(call.input, header.length);
+        };
+
+        avif.encode("/opt/bin/avifenc", pixmap, "/tmp/logo.avif", { quality: 60 })
+            .then(function () {
+                test.equal(calls[0].command, "/opt/bin/avifenc", "The configured encoder is run");
+                test.deepEqual(calls[0].args, ["--stdin", "-q", "60", "/tmp/logo.avif"], "Lossy arguments");
+                test.deepEqual(planes(calls[0]), [76, 150, 85, 44, 255, 21, 255, 0],
+                    "Full-range BT.601 Y, U and V planes, then the alpha plane");
+
+                return avif.encode("avifenc", pixmap, "/tmp/logo.avif", { quality: 60, lossless: true });
+            })
+            .then(function () {
+                test.deepEqual(calls[1].args, ["--stdin", "--lossless", "--cicp", "1/13/0", "/tmp/logo.avif"],
+                    "Lossless arguments ignore the quality");
+                test.deepEqual(planes(calls[1]), [0, 255, 0, 0, 255, 0, 255, 0],
+                    "Identity matrix: green, blue and red planes, then the alpha plane");
+
+                _stubSpawn(function (encoder) {
+                    encoder.stderr.emit("data", "Invalid quality");
+                    encoder.emit("close", 1);
+                });
+
+                return avif.encode("avifenc", pixmap, "/tmp/logo.avif", {});
+            })
+            .then(function () {
+                test.ok(false, "A failing encoder rejects");
+            }, function (err) {
+                test.equal(err.message, "AVIF encoder exited with code 1: Invalid quality", "The encoder's error");
+                test.ok(!err.encoderNotFoundError, "The encoder was found");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                childProcess.spawn = spawn;
+                test.done();
+            })
+            .done();
+    };
+
+    exports.testAVIFEncoderNotFound = function (test) {
+        var spawn = childProcess.spawn;
+
+        _stubSpawn(function (encoder) {
+            var err = new Error("spawn /opt/bin/avifenc ENOENT");
+
+            err.code = "ENOENT";
+            encoder.emit("error", err);
+        });
+
+        avif.encode("/opt/bin/avifenc", _createPixmap(1, 1, [[255, 0, 0, 0]]), "/tmp/logo.avif", {})
+            .then(function () {
+                test.ok(false, "A missing encoder rejects");
+            }, function (err) {
+                test.ok(err.encoderNotFoundError, "The error identifies the missing encoder");
+                test.equal(err.message, "AVIF assets require the avifenc encoder from libavif, " +
+                    "which was not found: /opt/bin/avifenc", "The error names the configured path");
+            })
+            .finally(function () {
+                childProcess.spawn = spawn;
+                test.done();
+            })
+            .done();
+    };
+}());
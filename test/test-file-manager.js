@@ -0,0 +1,301 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var fs = require("fs-extra"),
+        path = require("path"),
+        tmp = require("tmp");
+
+    var FileManager = require("../lib/filemanager");
+
+    var _logger = {
+        debug: function () {},
+        info: function () {},
+        warn: function () {},
+        error: function () {}
+    };
+
+    /**
+     * Create a file manager whose base directory is inside a new temporary directory.
+     */
+    function _createFileManager() {
+        var tmpDirectory = tmp.dirSync({ unsafeCleanup: true }),
+            fileManager = new FileManager(null, { "base-directory": tmpDirectory.name }, _logger);
+
+        fileManager.updateBasePath({ name: "test.psd", extension: ".psd", file: "test.psd", saved: false });
+
+        return {
+            fileManager: fileManager,
+            basePath: fileManager.basePath,
+            tmpPath: tmpDirectory.name,
+            cleanup: tmpDirectory.removeCallback
+        };
+    }
+
+    /**
+     * Write a file with the given contents, creating its folder if necessary.
+     */
+    function _writeFile(fullPath, data) {
+        fs.mkdirsSync(path.dirname(fullPath));
+        fs.writeFileSync(fullPath, data);
+        return fullPath;
+    }
+
+    function _exists(fullPath) {
+        return fs.existsSync(fullPath);
+    }
+
+    exports.testMoveFileInto = function (test) {
+        var fixture = _createFileManager(),
+            fileManager = fixture.fileManager,
+            basePath = fixture.basePath,
+            targetPath = path.join(basePath, "icons", "play.png"),
+            sourcePath,
+            mtime;
+
+        sourcePath = _writeFile(path.join(fixture.tmpPath, "render-1"), "play");
+        fileManager.moveFileInto(sourcePath, path.join("icons", "play.png"))
+            .then(function (moveResult) {
+                test.equal(moveResult.path, targetPath, "Full target path");
+                test.equal(moveResult.skipped, false, "A new file is written");
+                test.equal(moveResult.hash.length, 40, "Hex digest of the contents");
+                test.equal(fs.readFileSync(targetPath, "utf8"), "play", "Contents of the new file");
+                test.ok(!_exists(sourcePath), "The source file is moved");
+
+                // Make a rewrite detectable through the modification time
+                mtime = new Date(2000, 0, 1);
+                fs.utimesSync(targetPath, mtime, mtime);
+
+                sourcePath = _writeFile(path.join(fixture.tmpPath, "render-2"), "play");
+                return fileManager.moveFileInto(sourcePath, path.join("icons", "play.png"));
+            })
+            .then(function (moveResult) {
+                test.equal(moveResult.skipped, true, "An identical file is not written");
+                test.equal(fs.statSync(targetPath).mtime.getTime(), mtime.getTime(), "The file is untouched");
+                test.ok(!_exists(sourcePath), "The source file is removed");
+
+                sourcePath = _writeFile(path.join(fixture.tmpPath, "render-3"), "pause");
+                return fileManager.moveFileInto(sourcePath, path.join("icons", "play.png"));
+            })
+            .then(function (moveResult) {
+                test.equal(moveResult.skipped, false, "A changed file is written");
+                test.equal(fs.readFileSync(targetPath, "utf8"), "pause", "Contents of the changed file");
+                test.notEqual(fs.statSync(targetPath).mtime.getTime(), mtime.getTime(), "The file is rewritten");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                fixture.cleanup();
+                test.done();
+            })
+            .done();
+    };
+
+    exports.testHashedFilenames = function (test) {
+        var fixture = _createFileManager(),
+            fileManager = fixture.fileManager,
+            basePath = fixture.basePath,
+            playPath = path.join("icons", "play.png"),
+            firstPath,
+            secondPath;
+
+        // A file that looks like a hashed variant, and a hashed variant of a previous session
+        _writeFile(path.join(basePath, "icons", "play.beaded.png"), "not a variant");
+        _writeFile(path.join(basePath, "icons", "play.abcdef.png"), "old play");
+
+        fileManager.moveFileInto(_writeFile(path.join(fixture.tmpPath, "render-1"), "play"), playPath, true)
+            .then(function (moveResult) {
+                firstPath = moveResult.relativePath;
+
+                test.equal(firstPath, path.join("icons", "play." + moveResult.hash.substring(0, 6) + ".png"),
+                    "The hash precedes the extension");
+                test.equal(moveResult.path, path.join(basePath, firstPath), "Full hashed path");
+                test.ok(_exists(path.join(basePath, firstPath)), "The hashed file is written");
+                test.ok(!_exists(path.join(basePath, playPath)), "The unhashed file is not written");
+                test.ok(_exists(path.join(basePath, "icons", "play.beaded.png")), "Look-alikes are kept");
+
+                return fileManager.moveFileInto(_writeFile(path.join(fixture.tmpPath, "render-2"), "pause"),
+                    playPath, true);
+            })
+            .then(function (moveResult) {
+                secondPath = moveResult.relativePath;
+
+                test.notEqual(secondPath, firstPath, "Changed contents change the hash");
+                test.ok(_exists(path.join(basePath, secondPath)), "The new variant is written");
+                test.ok(!_exists(path.join(basePath, firstPath)), "The previous variant is removed");
+                test.ok(_exists(path.join(basePath, "icons", "play.beaded.png")), "Look-alikes are still kept");
+
+                return fileManager.moveFileInto(_writeFile(path.join(fixture.tmpPath, "render-3"), "pause"),
+                    playPath, true);
+            })
+            .then(function (moveResult) {
+                test.equal(moveResult.relativePath, secondPath, "Identical contents keep the hash");
+                test.equal(moveResult.skipped, true, "An identical variant is not written");
+                test.ok(_exists(path.join(basePath, secondPath)), "The identical variant is kept");
+
+                return fileManager.pruneFilesWithin(false);
+            })
+            .then(function (prunedPaths) {
+                test.deepEqual(prunedPaths.sort(), [path.join("icons", "play.abcdef.png"),
+                    path.join("icons", "play.beaded.png")], "Files that were not written are pruned");
+
+                return fileManager.removeHashedFileWithin(playPath);
+            })
+            .then(function () {
+                test.ok(!_exists(path.join(basePath, "icons")), "The latest variant and its folder are removed");
+
+                return fileManager.removeHashedFileWithin(playPath);
+            })
+            .then(function () {
+                test.ok(true, "Removing a path without a variant is harmless");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                fixture.cleanup();
+                test.done();
+            })
+            .done();
+    };
+
+    exports.testPruneFilesWithin = function (test) {
+        var fixture = _createFileManager(),
+            fileManager = fixture.fileManager,
+            basePath = fixture.basePath;
+
+        // Files of a previous session
+        _writeFile(path.join(basePath, "play.png"), "old play");
+        _writeFile(path.join(basePath, "renamed.png"), "renamed");
+        _writeFile(path.join(basePath, "icons", "deleted.png"), "deleted");
+        _writeFile(path.join(basePath, ".DS_Store"), "ignored");
+
+        fileManager.moveFileInto(_writeFile(path.join(fixture.tmpPath, "render-1"), "new play"), "play.png")
+            .then(function () {
+                return fileManager.writeFileWithin(path.join("ui", "atlas.json"), "{}");
+            })
+            .then(function () {
+                return fileManager.writeFileWithin("errors.txt", "Invalid layer name");
+            })
+            .then(function () {
+                return fileManager.removeFileWithin("errors.txt");
+            })
+            .then(function () {
+                return fileManager.pruneFilesWithin(true);
+            })
+            .then(function (prunedPaths) {
+                test.deepEqual(prunedPaths.sort(), [path.join("icons", "deleted.png"), "renamed.png"],
+                    "Files that were not written are pruned");
+
+                test.equal(fs.readFileSync(path.join(basePath, "play.png"), "utf8"), "new play", "Written asset");
+                test.ok(_exists(path.join(basePath, "ui", "atlas.json")), "Written file");
+                test.ok(_exists(path.join(basePath, ".DS_Store")), "Ignored files are kept");
+                test.ok(!_exists(path.join(basePath, "renamed.png")), "Orphan is pruned");
+                test.ok(!_exists(path.join(basePath, "icons")), "Folders left empty are removed");
+                test.equal(fs.readFileSync(path.join(basePath, ".trash", "renamed.png"), "utf8"), "renamed",
+                    "Orphan is moved to the trash");
+                test.ok(_exists(path.join(basePath, ".trash", "icons", "deleted.png")),
+                    "Orphans keep their folders in the trash");
+
+                _writeFile(path.join(basePath, "stray.png"), "stray");
+
+                return fileManager.pruneFilesWithin(false);
+            })
+            .then(function (prunedPaths) {
+                test.deepEqual(prunedPaths, ["stray.png"], "The trash folder is not pruned");
+                test.ok(!_exists(path.join(basePath, "stray.png")), "Orphan is removed");
+                test.ok(!_exists(path.join(basePath, ".trash", "stray.png")), "Orphan is not moved to the trash");
+                test.ok(_exists(path.join(basePath, "play.png")), "Written asset is still kept");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                fixture.cleanup();
+                test.done();
+            })
+            .done();
+    };
+
+    exports.testPruneRemovedFile = function (test) {
+        var fixture = _createFileManager(),
+            fileManager = fixture.fileManager,
+            basePath = fixture.basePath;
+
+        fileManager.writeFileWithin("play.png", "play")
+            .then(function () {
+                return fileManager.removeFileWithin("play.png");
+            })
+            .then(function () {
+                // The same path written again by another tool is not the file manager's
+                _writeFile(path.join(basePath, "play.png"), "other");
+
+                return fileManager.pruneFilesWithin(false);
+            })
+            .then(function (prunedPaths) {
+                test.deepEqual(prunedPaths, ["play.png"], "Removed files are forgotten");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                fixture.cleanup();
+                test.done();
+            })
+            .done();
+    };
+
+    exports.testPruneKeptFiles = function (test) {
+        var fixture = _createFileManager(),
+            fileManager = fixture.fileManager,
+            basePath = fixture.basePath;
+
+        _writeFile(path.join(basePath, "failed.png"), "failed");
+        _writeFile(path.join(basePath, "icons", "failed.3fa9c1.png"), "failed");
+        _writeFile(path.join(basePath, "icons", "failed.backup.png"), "other");
+
+        fileManager.writeFileWithin("play.png", "play")
+            .then(function () {
+                fileManager.forgetWrittenFiles();
+
+                return fileManager.pruneFilesWithin(false, ["failed.png", path.join("icons", "failed.png")]);
+            })
+            .then(function (prunedPaths) {
+                test.deepEqual(prunedPaths.sort(), [path.join("icons", "failed.backup.png"), "play.png"],
+                    "Forgotten files are pruned, but not the kept files and their hashed variants");
+                test.ok(_exists(path.join(basePath, "failed.png")), "Kept file");
+                test.ok(_exists(path.join(basePath, "icons", "failed.3fa9c1.png")), "Hashed variant of a kept file");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                fixture.cleanup();
+                test.done();
+            })
+            .done();
+    };
+}());
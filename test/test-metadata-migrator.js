@@ -0,0 +1,232 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var path = require("path");
+
+    var Document = require("../lib/dom/document"),
+        MetaDataMigrator = require("../lib/metadatamigrator"),
+        ComponentManager = require("../lib/componentmanager");
+
+    var logger = {
+        warn: function () {},
+        debug: function () {}
+    };
+
+    function _rawLayer(id, name, layers) {
+        var layer = {
+            id: id,
+            index: id,
+            name: name,
+            type: layers ? "layerSection" : "layer",
+            visible: true,
+            bounds: { top: 0, left: 0, bottom: 10, right: 10 }
+        };
+
+        if (layers) {
+            layer.layers = layers;
+        }
+
+        return layer;
+    }
+
+    function _createDocument(layers, comps) {
+        var raw = {
+            id: 1,
+            count: 1,
+            version: "1.0.0",
+            file: "test.psd",
+            resolution: 72,
+            bounds: { top: 0, left: 0, bottom: 100, right: 100 },
+            layers: layers
+        };
+
+        if (comps) {
+            raw.comps = comps;
+        }
+
+        return new Document(null, {}, logger, raw);
+    }
+
+    function _getMetaData(generatorSettings) {
+        return JSON.parse(generatorSettings.crema.json);
+    }
+
+    exports.testMigrate = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default 2x/ + 50% -lo/"),
+                _rawLayer(3, "default@mobile 300% mobile/"),
+                _rawLayer(4, "icons/ + each @2x *.png", [
+                    _rawLayer(5, "home"),
+                    _rawLayer(6, "photo.jpg80%, favicon.ico"),
+                    _rawLayer(7, "default lo/")
+                ]),
+                _rawLayer(8, "logo.svg + @mobile"),
+                _rawLayer(9, "bad.foo"),
+                _rawLayer(10, "Background")
+            ]),
+            migration = new MetaDataMigrator(null, {}).migrate(document),
+            eachSetting = function (layerTitle) {
+                return { name: "each @2x *.png", file: layerTitle + "@2x.png", extension: "png", scale: 2,
+                    folder: ["icons"] };
+            };
+
+        test.deepEqual(_getMetaData(migration.document), {
+            metaEnabled: true,
+            scaleSettings: [
+                { name: "2x/", folder: ["2x"] },
+                { name: "50% -lo/", folder: ["-lo"], scale: 0.5 },
+                { name: "300% mobile/", folder: ["mobile"], scale: 3, profile: "mobile" }
+            ]
+        }, "Top-level default layers become scale settings");
+
+        test.deepEqual(Object.keys(migration.layers), ["5", "6", "7", "8"], "Layers with assets");
+
+        test.deepEqual(_getMetaData(migration.layers[5]), {
+            assetSettings: [eachSetting("home")]
+        }, "Each directives and group folders apply to the child layers");
+
+        test.deepEqual(_getMetaData(migration.layers[6]), {
+            assetSettings: [
+                { name: "photo.jpg80%", file: "photo.jpg", extension: "jpg", quality: "80%", folder: ["icons"] },
+                { name: "favicon.ico", file: "favicon.ico", extension: "ico", folder: ["icons"],
+                    quality: "16-32-48" },
+                eachSetting("photo")
+            ]
+        }, "Qualities are written like they are in layer names");
+
+        test.deepEqual(_getMetaData(migration.layers[8]), {
+            assetSettings: [
+                { name: "logo.svg", file: "logo.svg", extension: "svg", profile: "mobile" }
+            ]
+        }, "Profiles are kept");
+
+        test.deepEqual(migration.errors, [
+            { id: 7, name: "default lo/", message: "Group default layers can't be migrated to meta-data: lo/" },
+            { id: 9, name: "bad.foo", message: "Unsupported extension: foo (did you mean .ico?)" }
+        ], "Errors");
+
+        test.done();
+    };
+
+    exports.testMigrateLayerComps = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "logo.png")
+            ], [
+                { id: 1, name: "intro.png, intro.jpg" },
+                { id: 2, name: "Idle" }
+            ]),
+            migration = new MetaDataMigrator(null, {}).migrate(document);
+
+        test.deepEqual(Object.keys(migration.layers), ["2"], "Layer comps don't become layer settings");
+        test.deepEqual(migration.errors, [
+            { id: 1, name: "intro.png, intro.jpg", comp: true,
+                message: "Layer comp assets can't be migrated to meta-data: intro.png" },
+            { id: 1, name: "intro.png, intro.jpg", comp: true,
+                message: "Layer comp assets can't be migrated to meta-data: intro.jpg" }
+        ], "Each asset of a layer comp is reported");
+
+        test.done();
+    };
+
+    exports.testMigratedSettingsRoundTrip = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "photo.jpg80%, image.webp50%, icon.png24a, favicon.ico16-32")
+            ]),
+            migration = new MetaDataMigrator(null, { "webp-enabled": true }).migrate(document),
+            componentManager = new ComponentManager(null, { "webp-enabled": true, "meta-data-driven": true });
+
+        document.layers.layers[0]._generatorSettings = migration.layers[2];
+
+        var qualities = componentManager.findAllComponents(document.layers.layers[0]).map(function (result) {
+            return result.component.quality || result.component.iconSizes;
+        });
+
+        test.deepEqual(qualities, [80, 50, 32, [16, 32]], "Qualities in meta-data mode");
+        test.done();
+    };
+
+    exports.testMigratedAssetPaths = function (test) {
+        var document = _createDocument([
+                _rawLayer(2, "default @2x, 50% lo/"),
+                _rawLayer(3, "Play Button, {layer}.png"),
+                _rawLayer(4, "{doc}-{index}.png"),
+                _rawLayer(10, "Toolbar", [
+                    _rawLayer(11, "{group}/{layer}.svg, home.png"),
+                    _rawLayer(12, "{w}x{h}.png")
+                ]),
+                _rawLayer(20, "icons/ + each *.png", [
+                    _rawLayer(21, "Home")
+                ])
+            ]),
+            migration = new MetaDataMigrator(null, {}).migrate(document),
+            getAssetPaths = function (config, addDefaults) {
+                var componentManager = new ComponentManager(null, config),
+                    assetPaths = {};
+
+                addDefaults(componentManager);
+
+                document.layers.visit(function (layer) {
+                    if (!layer.group) {
+                        return;
+                    }
+
+                    componentManager.findAllComponents(layer).forEach(function (result) {
+                        componentManager.addComponent(layer, result.component);
+                    });
+                });
+
+                componentManager.getAllDerivedComponents().forEach(function (component) {
+                    var layerId = component.layer.id;
+
+                    assetPaths[layerId] = (assetPaths[layerId] || []).concat([component.assetPath]).sort();
+                });
+
+                return assetPaths;
+            };
+
+        test.deepEqual(migration.errors, [], "No errors");
+
+        var layerNameAssetPaths = getAssetPaths({}, function () {});
+
+        test.deepEqual(layerNameAssetPaths[3], ["Play Button@2x.png", path.join("lo", "Play Button.png")],
+            "The layer title stands for {layer} in layer name mode");
+
+        Object.keys(migration.layers).forEach(function (layerId) {
+            document.layers.findLayer(Number(layerId)).layer._generatorSettings = migration.layers[layerId];
+        });
+
+        var metaDataAssetPaths = getAssetPaths({ "meta-data-driven": true }, function (componentManager) {
+            _getMetaData(migration.document).scaleSettings.forEach(function (spec) {
+                spec.file = spec.file || "";
+                componentManager.addDefaultMetaComponent(spec);
+            });
+        });
+
+        test.deepEqual(metaDataAssetPaths, layerNameAssetPaths, "The migrated settings write the same assets");
+
+        test.done();
+    };
+}());
@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var metadataValidator = require("../lib/metadatavalidator");
+
+    exports.testValidSettings = function (test) {
+        test.deepEqual(metadataValidator.validate({
+            assetSettings: [
+                { file: "icon.png", extension: "png", folder: ["icons"], scale: 2, trim: true },
+                { file: "photo.jpg", extension: "jpg", quality: "80%", width: 2, widthUnit: "in", sizing: "fit" }
+            ]
+        }, "layerSettings"), [], "Layer settings");
+
+        test.deepEqual(metadataValidator.validate({
+            metaEnabled: true,
+            matte: "#fff",
+            assetSettings: [
+                { file: "intro.gif", extension: "gif", animation: { comps: ["Frame 1", 2], delay: 100, loop: 0 } }
+            ],
+            scaleSettings: [
+                { scale: 2, suffix: "@2x", folder: "hi-res" },
+                { preset: "xcassets", profile: "mobile" }
+            ]
+        }, "documentSettings"), [], "Document settings");
+
+        test.done();
+    };
+
+    exports.testInvalidSettings = function (test) {
+        test.deepEqual(metadataValidator.validate([], "layerSettings"), [
+            "The settings must be an object"
+        ]);
+
+        test.deepEqual(metadataValidator.validate({ assetSettings: {} }, "layerSettings"), [
+            "assetSettings must be an array"
+        ]);
+
+        test.deepEqual(metadataValidator.validate({
+            assetSettings: [
+                { file: "icon.png", extention: "png" },
+                { file: "", extension: "png", scale: "200%", folder: ["icons", 2] },
+                { file: "button.9.png", extension: "png", sizing: "cover", ninePatch: { stretchX: 4 } }
+            ]
+        }, "layerSettings"), [
+            "assetSettings[0] is missing the setting: extension",
+            "assetSettings[0].extention is not a known setting",
+            "assetSettings[1].file must not be empty",
+            "assetSettings[1].scale must be a number",
+            "assetSettings[1].folder[1] must be a string",
+            "assetSettings[2].sizing must be one of: fit, fill",
+            "assetSettings[2].ninePatch is missing the setting: stretchY"
+        ]);
+
+        test.deepEqual(metadataValidator.validate({
+            matte: 0xffffff,
+            assetSettings: [
+                { file: "intro.gif", extension: "gif", animation: { comps: [], delays: [-10], loop: 1.5 } }
+            ],
+            scaleSettings: [
+                { scale: 2, sufix: "@2x" }
+            ]
+        }, "documentSettings"), [
+            "matte must be a string",
+            "assetSettings[0].animation.comps must not be empty",
+            "assetSettings[0].animation.delays[0] must be at least 0",
+            "assetSettings[0].animation.loop must be an integer",
+            "scaleSettings[0].sufix is not a known setting"
+        ]);
+
+        test.deepEqual(metadataValidator.validate({
+            assetsettings: [],
+            profile: "mobile"
+        }, "layerSettings"), [
+            "assetsettings is not a known setting"
+        ], "Unknown top-level layer settings");
+
+        test.deepEqual(metadataValidator.validate({
+            metaEnabled: true,
+            scalesettings: []
+        }, "documentSettings"), [
+            "scalesettings is not a known setting"
+        ], "Unknown top-level document settings");
+
+        test.done();
+    };
+
+    exports.testCanAnalyze = function (test) {
+        test.ok(metadataValidator.canAnalyze({ file: "icon.png", extension: "png" }, "assetSetting"),
+            "Valid settings can be analyzed");
+        test.ok(metadataValidator.canAnalyze({ file: "icon.png", extension: "png", scael: 2 }, "assetSetting"),
+            "Settings with unknown settings can be analyzed");
+        test.ok(metadataValidator.canAnalyze({ sufix: "@2x", scale: 2 }, "defaultSetting"),
+            "Defaults with unknown settings can be analyzed");
+        test.ok(!metadataValidator.canAnalyze({ file: "icon.png", scale: 2 }, "assetSetting"),
+            "Settings without an extension can't be analyzed");
+        test.ok(!metadataValidator.canAnalyze({ extension: "png" }, "assetSetting"),
+            "Settings without a file can't be analyzed");
+        test.ok(!metadataValidator.canAnalyze({ file: "icon.png", extension: "png", scale: "2" }, "assetSetting"),
+            "Settings of the wrong type can't be analyzed");
+        test.ok(!metadataValidator.canAnalyze("icon.png", "assetSetting"),
+            "Settings that aren't objects can't be analyzed");
+
+        test.done();
+    };
+}());
@@ -134,6 +134,20 @@
         test.done();
     };
 
+    exports.testAVIFQuality = function (test) {
+        var spec = {
+            "hero.avif":           [{ name: "hero.avif",     file: "hero.avif",  extension: "avif" }],
+            "hero.avif60":         [{ name: "hero.avif60",   file: "hero.avif",  extension: "avif", quality: "60" }],
+            "hero.avif-100":       [{ name: "hero.avif-100", file: "hero.avif",  extension: "avif", quality: "100" }],
+            "hero.avif42%":        [{ name: "hero.avif42%",  file: "hero.avif",  extension: "avif", quality: "42%" }],
+            "hero.avif-33.3":      [{ name: "hero.avif-33.3" }]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
     exports.testRelativeScaling = function (test) {
         var spec = {
             // Good examples for a scale factor
@@ -188,6 +202,17 @@
             "5.0cm x .3mm foo.png":
                 [{ name: "5.0cm x .3mm foo.png", file: "foo.png", extension: "png",
                 width: 5, widthUnit: "cm", height: 0.3, heightUnit: "mm"}],
+            // points and picas
+            "72pt x 6pc foo.png":
+                [{ name: "72pt x 6pc foo.png", file: "foo.png", extension: "png",
+                width: 72, widthUnit: "pt", height: 6, heightUnit: "pc"}],
+            // percentages of the document or artboard size
+            "50%docx? banner.png":
+                [{ name: "50%docx? banner.png", file: "banner.png", extension: "png",
+                width: 50, widthUnit: "%doc"}],
+            "100%DOC x 25%doc header.png":
+                [{ name: "100%DOC x 25%doc header.png", file: "header.png", extension: "png",
+                width: 100, widthUnit: "%doc", height: 25, heightUnit: "%doc"}],
             // fractional pixels are (currently) okay, too - the other units require rounding support anyway
             "5.5 x 6.3px foo.png":
                 [{ name: "5.5 x 6.3px foo.png", file: "foo.png", extension: "png",
@@ -231,6 +256,29 @@
         _callsMatchSpecification(test, _parseTest, spec);
         test.done();
     };
+
+    exports.testFitAndFill = function (test) {
+        var spec = {
+            "fit 512x512 thumb.png":
+                [{ name: "fit 512x512 thumb.png", file: "thumb.png", extension: "png",
+                width: 512, height: 512, sizing: "fit" }],
+            "FILL 2in x 1in cover.jpg":
+                [{ name: "FILL 2in x 1in cover.jpg", file: "cover.jpg", extension: "jpg",
+                width: 2, widthUnit: "in", height: 1, heightUnit: "in", sizing: "fill" }],
+            // wild cards parse, but analysis rejects them
+            "fit 100x? foo.png":
+                [{ name: "fit 100x? foo.png", file: "foo.png", extension: "png", width: 100, sizing: "fit" }],
+            // the keywords are only recognized before an absolute size
+            "fill 50% foo.png":
+                [{ name: "fill 50% foo.png", file: "fill 50% foo.png", extension: "png" }],
+            "fitness.png":
+                [{ name: "fitness.png", file: "fitness.png", extension: "png" }]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
     
     exports.testCanvasSize = function (test) {
         var spec = {
@@ -266,6 +314,114 @@
     };
 
 
+    exports.testTrimAndPadding = function (test) {
+        var spec = {
+            "trim icon.png":
+                [{ name: "trim icon.png", file: "icon.png", extension: "png", trim: true }],
+            "200% [64] TRIM pad8 icons/play.png":
+                [{ name: "200% [64] TRIM pad8 icons/play.png", file: "play.png", extension: "png",
+                folder: ["icons"], trim: true, padding: 8, scale: 2, canvasWidth: 64, canvasHeight: 64 }],
+            "pad4 photo.jpg80":
+                [{ name: "pad4 photo.jpg80", file: "photo.jpg", extension: "jpg", quality: "80", padding: 4 }],
+            // modifiers need to be followed by whitespace
+            "trim.png":
+                [{ name: "trim.png", file: "trim.png", extension: "png" }],
+            "pad4.png":
+                [{ name: "pad4.png", file: "pad4.png", extension: "png" }]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
+    exports.testMatte = function (test) {
+        var spec = {
+            "bg#fff photo.jpg":
+                [{ name: "bg#fff photo.jpg", file: "photo.jpg", extension: "jpg", matte: "#fff" }],
+            "MATTE=#112233 trim photos/photo.png8":
+                [{ name: "MATTE=#112233 trim photos/photo.png8", file: "photo.png", extension: "png",
+                folder: ["photos"], quality: "8", matte: "#112233", trim: true }],
+            "bg#fff.png":
+                [{ name: "bg#fff.png", file: "bg#fff.png", extension: "png" }]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
+    exports.testNinePatch = function (test) {
+        var spec = {
+            "<16> button.9.png":
+                [{ name: "<16> button.9.png", file: "button.9.png", extension: "png",
+                ninePatch: { stretchX: 16, stretchY: 16 } }],
+            "<16x8> button.9.png":
+                [{ name: "<16x8> button.9.png", file: "button.9.png", extension: "png",
+                ninePatch: { stretchX: 16, stretchY: 8 } }],
+            "200% [64] <16x8/4x2> drawable/button.9.png":
+                [{ name: "200% [64] <16x8/4x2> drawable/button.9.png", file: "button.9.png", extension: "png",
+                folder: ["drawable"], ninePatch: { stretchX: 16, stretchY: 8, contentX: 4, contentY: 2 },
+                scale: 2, canvasWidth: 64, canvasHeight: 64 }],
+            "<12/6> button.9.png":
+                [{ name: "<12/6> button.9.png", file: "button.9.png", extension: "png",
+                ninePatch: { stretchX: 12, stretchY: 12, contentX: 6, contentY: 6 } }]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
+    exports.testPlaceholders = function (test) {
+        var spec = {
+            "{layer}.png":
+                [{ name: "{layer}.png", file: "{layer}.png", extension: "png" }],
+            "200% {doc}/{group}/{layer}-{index}@{w}x{h}.png":
+                [{ name: "200% {doc}/{group}/{layer}-{index}@{w}x{h}.png", file: "{layer}-{index}@{w}x{h}.png",
+                extension: "png", folder: ["{doc}", "{group}"], scale: 2 }],
+            "default {doc}/{comp}/ + 200% {doc}/{comp}/-{w}x{h}": [
+                { "default": true, name: "{doc}/{comp}/", folder: ["{doc}", "{comp}"] },
+                { "default": true, name: "200% {doc}/{comp}/-{w}x{h}", folder: ["{doc}", "{comp}"],
+                suffix: "-{w}x{h}", scale: 2 }
+            ]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
+    exports.testAtlas = function (test) {
+        var spec = {
+            "atlas:ui/play.png":
+                [{ name: "atlas:ui/play.png", file: "play.png", extension: "png", folder: ["ui"], atlas: true }],
+            "200% ATLAS:sprites/ui/play.png, stop.png":
+                [{ name: "200% ATLAS:sprites/ui/play.png", file: "play.png", extension: "png",
+                folder: ["sprites", "ui"], atlas: true, scale: 2 },
+                { name: "stop.png", file: "stop.png", extension: "png" }]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
+    exports.testIcon = function (test) {
+        var spec = {
+            "favicon.ico":
+                [{ name: "favicon.ico", file: "favicon.ico", extension: "ico" }],
+            "favicon.ico16-32-48":
+                [{ name: "favicon.ico16-32-48", file: "favicon.ico", extension: "ico", quality: "16-32-48" }],
+            "icons/app.ICO256":
+                [{ name: "icons/app.ICO256", file: "app.ICO", extension: "ico", folder: ["icons"], quality: "256" }]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
     exports.testLayerGroups = function (test) {
         var layer1PNG = { name: "Layer 1.png", file: "Layer 1.png", extension: "png" };
         var layer2JPG = { name: "Layer 2.jpg", file: "Layer 2.jpg", extension: "jpg" };
@@ -441,6 +597,97 @@
         test.done();
     };
 
+    exports.testQuotedFilenames = function (test) {
+        var spec = {
+            // commas and plus signs in quotes are part of the filename
+            "\"Summer, 2026 + Promo\".png": [
+                { name: "\"Summer, 2026 + Promo\".png", file: "Summer, 2026 + Promo.png", extension: "png" }
+            ],
+            "200% promo/\"Sale, 50% + more\".jpg8, icon.png": [
+                { name: "200% promo/\"Sale, 50% + more\".jpg8", file: "Sale, 50% + more.jpg", extension: "jpg",
+                folder: ["promo"], quality: "8", scale: 2 },
+                { name: "icon.png", file: "icon.png", extension: "png" }
+            ],
+            // escaped quotes and backslashes, as well as slashes, are still converted to _
+            "\"say \\\"hi\\\"\".png": [
+                { name: "\"say \\\"hi\\\"\".png", file: "say _hi_.png", extension: "png" }
+            ],
+            "\"a/b\\\\c\".png": [
+                { name: "\"a/b\\\\c\".png", file: "a_b_c.png", extension: "png" }
+            ],
+            // unterminated quotes are not special
+            "\"foo.png": [
+                { name: "\"foo.png", file: "_foo.png", extension: "png" }
+            ]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
+    exports.testEach = function (test) {
+        var spec = {
+            // the wildcard is replaced by the name of each child layer
+            "each icons/*.png": [
+                { name: "each icons/*.png", file: "{layer}.png", extension: "png", folder: ["icons"], each: true }
+            ],
+            // a density scales each asset and is added to its name
+            "Each @2x icons/*.png, preview.jpg": [
+                { name: "Each @2x icons/*.png", file: "{layer}@2x.png", extension: "png", folder: ["icons"],
+                each: true, scale: 2 },
+                { name: "preview.jpg", file: "preview.jpg", extension: "jpg" }
+            ],
+            "each @3x pad2 *.png": [
+                { name: "each @3x pad2 *.png", file: "{layer}@3x.png", extension: "png", each: true, padding: 2,
+                scale: 3 }
+            ],
+            "each 50% trim btn-*.jpg80": [
+                { name: "each 50% trim btn-*.jpg80", file: "btn-{layer}.jpg", extension: "jpg", quality: "80",
+                each: true, trim: true, scale: 0.5 }
+            ],
+            // without a wildcard, each is just part of the file name
+            "each day.png": [
+                { name: "each day.png", file: "each day.png", extension: "png" }
+            ],
+            "eachicon/*.png": [
+                { name: "eachicon/*.png", file: "_.png", extension: "png", folder: ["eachicon"] }
+            ]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
+    exports.testGroupFolders = function (test) {
+        var spec = {
+            // groups give the assets of their layers a folder
+            "icons/": [
+                { name: "icons/", folder: ["icons"] }
+            ],
+            "Toolbar, icons/toolbar/ + @web": [
+                { name: "Toolbar" },
+                { name: "icons/toolbar/", folder: ["icons", "toolbar"] },
+                { name: "@web", profile: "web" }
+            ],
+            // a folder must end the layer name part
+            "icons/ etc": [
+                { name: "icons/ etc" }
+            ],
+            "and/or": [
+                { name: "and/or" }
+            ],
+            ".hidden/": [
+                { name: ".hidden/" }
+            ]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
     exports.testSubfolders = function (test) {
         var spec = {
             "folder/file.png": [
@@ -533,6 +780,34 @@
         test.done();
     };
 
+    exports.testProfiles = function (test) {
+        var spec = {
+            // layers opt into a default profile by name
+            "hero.png, @web": [
+                { name: "hero.png", file: "hero.png", extension: "png" },
+                { name: "@web", profile: "web" }
+            ],
+            "Phone screens + @Mobile-2": [
+                { name: "Phone screens" },
+                { name: "@Mobile-2", profile: "mobile-2" }
+            ],
+            // a profile reference must be a layer name part of its own
+            "@web hero.png": [
+                { name: "@web hero.png", file: "@web hero.png", extension: "png" }
+            ],
+            "@web screens": [
+                { name: "@web screens" }
+            ],
+            "@2x": [
+                { name: "@2x" }
+            ]
+        };
+
+        test.expect(Object.keys(spec).length);
+        _callsMatchSpecification(test, _parseTest, spec);
+        test.done();
+    };
+
     exports.testDefault = function (test) {
         var spec = {
             "default 50% lo-res/ + 100% hi-res/@2x": [
@@ -560,6 +835,34 @@
                 { "default": true, name: "1000x1000cm mongo/", folder: ["mongo"], width: 1000, height: 1000,
                 heightUnit: "cm" }
             ],
+            "default xcassets": [
+                { "default": true, name: "xcassets", preset: "xcassets" }
+            ],
+            "default XCAssets + 50% lo-res/": [
+                { "default": true, name: "XCAssets", preset: "xcassets" },
+                { "default": true, name: "50% lo-res/", folder: ["lo-res"], scale: 0.5 }
+            ],
+            "default android, xcassets": [
+                { "default": true, name: "android", preset: "android" },
+                { "default": true, name: "xcassets", preset: "xcassets" }
+            ],
+            "default bg#ffffff, 200% trim pad4 @2x": [
+                { "default": true, name: "bg#ffffff", matte: "#ffffff" },
+                { "default": true, name: "200% trim pad4 @2x", suffix: "@2x", trim: true, padding: 4, scale: 2 }
+            ],
+            // a suffix that merely starts with a preset name is not a preset
+            "default xcassets-old": [
+                { "default": true, name: "xcassets-old", suffix: "xcassets-old" }
+            ],
+            // named profiles
+            "default@Mobile 200% mobile/, android": [
+                { "default": true, name: "200% mobile/", folder: ["mobile"], scale: 2, profile: "mobile" },
+                { "default": true, name: "android", preset: "android", profile: "mobile" }
+            ],
+            // a profile name must start with a letter
+            "default@2x 50%": [
+                { name: "default@2x 50%" }
+            ],
             // at least one default spec is require
             "default": [
                 { name: "default" }
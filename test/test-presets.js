@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var path = require("path");
+
+    var presets = require("../lib/presets");
+
+    /**
+     * Derive components from a basic component like the component manager does,
+     * by applying the folder, file and properties of each rendition.
+     */
+    function _getRenditionComponents(preset, basic) {
+        return presets.getRenditions(preset, basic).map(function (rendition) {
+            var component = {
+                folder: rendition.folder,
+                file: rendition.file,
+                scale: rendition.factor
+            };
+
+            Object.keys(rendition.properties || {}).forEach(function (property) {
+                component[property] = rendition.properties[property];
+            });
+
+            return component;
+        });
+    }
+
+    exports.testSupported = function (test) {
+        test.ok(presets.isSupported("xcassets"), "xcassets");
+        test.ok(!presets.isSupported("ios"), "Unknown preset");
+        test.deepEqual(presets.getRenditions("ios", { file: "play.png" }), [], "No renditions of unknown presets");
+        test.done();
+    };
+
+    exports.testXCAssetsRenditions = function (test) {
+        var imageset = path.join("Assets.xcassets", "icons", "play.imageset");
+
+        test.deepEqual(presets.getRenditions("xcassets", { file: "play.png", folder: ["icons"] }), [
+            {
+                key: "1x",
+                folder: ["Assets.xcassets", "icons", "play.imageset"],
+                file: "play.png",
+                factor: 1,
+                properties: { imageset: imageset, imagesetScale: "1x" }
+            },
+            {
+                key: "2x",
+                folder: ["Assets.xcassets", "icons", "play.imageset"],
+                file: "play@2x.png",
+                factor: 2,
+                properties: { imageset: imageset, imagesetScale: "2x" }
+            },
+            {
+                key: "3x",
+                folder: ["Assets.xcassets", "icons", "play.imageset"],
+                file: "play@3x.png",
+                factor: 3,
+                properties: { imageset: imageset, imagesetScale: "3x" }
+            }
+        ], "An image set with 1x, 2x and 3x renditions");
+
+        test.done();
+    };
+
+    exports.testCatalogFiles = function (test) {
+        var components = _getRenditionComponents("xcassets", { file: "play.png" })
+                .concat(_getRenditionComponents("xcassets", { file: "pause.jpg" }))
+                .concat([{ file: "other.png", scale: 2 }]),
+            files = presets.getCatalogFiles(components),
+            info = { version: 1, author: "xcode" };
+
+        test.deepEqual(Object.keys(files).sort(), [
+            path.join("Assets.xcassets", "Contents.json"),
+            path.join("Assets.xcassets", "pause.imageset", "Contents.json"),
+            path.join("Assets.xcassets", "play.imageset", "Contents.json")
+        ], "A Contents.json file for the catalog and for each image set");
+
+        test.deepEqual(JSON.parse(files[path.join("Assets.xcassets", "Contents.json")]), { info: info },
+            "Catalog Contents.json");
+
+        test.deepEqual(JSON.parse(files[path.join("Assets.xcassets", "play.imageset", "Contents.json")]), {
+            images: [
+                { idiom: "universal", filename: "play.png", scale: "1x" },
+                { idiom: "universal", filename: "play@2x.png", scale: "2x" },
+                { idiom: "universal", filename: "play@3x.png", scale: "3x" }
+            ],
+            info: info
+        }, "Image set Contents.json");
+
+        test.deepEqual(presets.getCatalogFiles([{ file: "other.png" }]), {},
+            "No catalog files without image sets");
+
+        test.done();
+    };
+
+    exports.testAndroidRenditions = function (test) {
+        var renditions = presets.getRenditions("android", { file: "Play Button-2.PNG", folder: ["res"] });
+
+        test.deepEqual(renditions.map(function (rendition) {
+            return [rendition.folder.join("/"), rendition.file, rendition.factor];
+        }), [
+            ["res/drawable-mdpi", "play_button_2.png", 1],
+            ["res/drawable-hdpi", "play_button_2.png", 1.5],
+            ["res/drawable-xhdpi", "play_button_2.png", 2],
+            ["res/drawable-xxhdpi", "play_button_2.png", 3],
+            ["res/drawable-xxxhdpi", "play_button_2.png", 4]
+        ], "A rendition for each density bucket");
+
+        var getFile = function (file) {
+            return presets.getRenditions("android", { file: file })[0].file;
+        };
+
+        test.equal(getFile("Ünïcode Naïve.png"), "_n_code_na_ve.png", "Other characters become underscores");
+        test.equal(getFile("2x-icon.png"), "_2x_icon.png", "Resource names don't start with a digit");
+        test.equal(getFile("Button.9.png"), "button.9.png", "The nine-patch marker is kept");
+        test.equal(getFile("My.Button.9.PNG"), "my_button.9.png", "Other dots become underscores");
+        test.equal(getFile("icon_1.webp"), "icon_1.webp", "Safe names are kept");
+
+        test.done();
+    };
+}());
@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var Q = require("q");
+
+    var RenderManager = require("../lib/rendermanager");
+
+    var _logger = {
+        debug: function () {},
+        info: function () {},
+        warn: function () {},
+        error: function () {}
+    };
+
+    exports.testSkippedWriteCount = function (test) {
+        var renderManager = new RenderManager(null, {}, _logger),
+            document = { id: 1 },
+            events = [];
+
+        renderManager._getPixmapRenderer = function () {
+            return {
+                renderPixmap: function () {
+                    return Q.resolve({});
+                }
+            };
+        };
+
+        renderManager.on("render", function (renderedAssetCount, document, component, skippedWriteCount) {
+            events.push([renderedAssetCount, component.assetPath, skippedWriteCount]);
+        });
+
+        var render = function (assetPath, skipped) {
+            return renderManager._renderComponent(document, { atlas: true, assetPath: assetPath })
+                .then(function () {
+                    renderManager.reportWrite(skipped);
+                });
+        };
+
+        render("play.png", false)
+            .then(function () {
+                return render("play.png", true);
+            })
+            .then(function () {
+                return render("pause.png", true);
+            })
+            .then(function () {
+                return render("pause.png", false);
+            })
+            // The last render event is emitted on the next tick
+            .delay(0)
+            .then(function () {
+                test.deepEqual(events, [
+                    [1, "play.png", 0],
+                    [2, "play.png", 0],
+                    [3, "pause.png", 1],
+                    [4, "pause.png", 2]
+                ], "Each render event counts the writes skipped before it");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                test.done();
+            })
+            .done();
+    };
+}());
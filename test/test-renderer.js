@@ -0,0 +1,206 @@
+/*
+ * Copyright (c) 2026 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+(function () {
+    "use strict";
+
+    var childProcess = require("child_process"),
+        EventEmitter = require("events").EventEmitter,
+        fs = require("fs"),
+        stream = require("stream");
+
+    var Q = require("q");
+
+    var Bounds = require("../lib/dom/bounds"),
+        renderer = require("../lib/renderer"),
+        pixmaputils = require("../lib/pixmaputils");
+
+    var _logger = {
+        debug: function () {},
+        info: function () {},
+        warn: function () {},
+        error: function () {}
+    };
+
+    function _getAlpha(pixmap, x, y) {
+        return pixmap.pixels[y * pixmap.rowBytes + x * 4];
+    }
+
+    /**
+     * Get the extent of the guide along the top or the left edge of a nine-patch image.
+     */
+    function _getGuide(pixmap, vertical) {
+        var length = vertical ? pixmap.height : pixmap.width,
+            guide = [],
+            i;
+
+        for (i = 1; i < length - 1; i++) {
+            if (_getAlpha(pixmap, vertical ? 0 : i, vertical ? i : 0) === 255) {
+                guide.push(i - 1);
+            }
+        }
+
+        return guide.length ? [guide[0], guide[guide.length - 1]] : null;
+    }
+
+    exports.testNinePatchScale = function (test) {
+        var pixmapRenderer = renderer.createPixmapRenderer(null, {}, _logger, null),
+            component = { ninePatch: { stretchX: 4, stretchY: 2, contentX: 2, contentY: 1 } },
+            pixmapSettings = {
+                inputRect: { top: 0, left: 0, bottom: 10, right: 20 },
+                outputRect: { top: 0, left: 0, bottom: 30, right: 40 }
+            },
+            data = pixmapRenderer._getNinePatchData(pixmaputils.createPixmap(40, 30), {}, component, pixmapSettings);
+
+        test.equal(data.pixmap.width, 42, "The guide border widens the image");
+        test.equal(data.pixmap.height, 32, "The guide border heightens the image");
+        test.deepEqual(_getGuide(data.pixmap, false), [8, 31], "Horizontal insets follow the horizontal scale");
+        test.deepEqual(_getGuide(data.pixmap, true), [6, 23], "Vertical insets follow the vertical scale");
+        test.equal(_getAlpha(data.pixmap, 4 + 1, 31), 255, "Content insets are scaled too");
+        test.equal(_getAlpha(data.pixmap, 3 + 1, 31), 0, "Content insets are scaled too");
+        test.equal(data.settings.quality, 32, "Nine-patch images are unquantized");
+
+        component = { scale: 2, ninePatch: { stretchX: 4, stretchY: 2 } };
+        data = pixmapRenderer._getNinePatchData(pixmaputils.createPixmap(40, 20), {}, component, {});
+
+        test.deepEqual(_getGuide(data.pixmap, false), [8, 31], "Without rectangles, insets follow the scale");
+        test.deepEqual(_getGuide(data.pixmap, true), [4, 15], "Without rectangles, insets follow the scale");
+
+        test.done();
+    };
+
+    exports.testIconData = function (test) {
+        var pixmapRenderer = renderer.createPixmapRenderer(null, {}, _logger, null),
+            layer = { id: 2, bounds: new Bounds({ top: 0, left: 0, bottom: 10, right: 20 }) },
+            renditions = [];
+
+        pixmapRenderer.renderPixmap = function (rendition) {
+            renditions.push(rendition);
+            return Q.resolve(pixmaputils.createPixmap(rendition.canvasWidth, rendition.canvasHeight));
+        };
+
+        var sizes = function (component) {
+            renditions = [];
+
+            return pixmapRenderer._getIconData(component).then(function (data) {
+                test.equal(data.icons.length, component.iconSizes.length, "An image for each icon size");
+
+                return renditions.map(function (rendition) {
+                    return [rendition.canvasWidth, rendition.width, rendition.padding, rendition.trim];
+                });
+            });
+        };
+
+        sizes({ layer: layer, iconSizes: [16, 32] })
+            .then(function (result) {
+                test.deepEqual(result, [[16, 16, undefined, undefined], [32, 32, undefined, undefined]],
+                    "The layer is fit to each size");
+
+                return sizes({ layer: layer, iconSizes: [16, 32, 200], scale: 2 });
+            })
+            .then(function (result) {
+                test.deepEqual(result, [[32, 32, undefined, undefined], [64, 64, undefined, undefined],
+                    [256, 256, undefined, undefined]], "Scaled sizes, up to the largest ico size");
+
+                return sizes({ layer: layer, iconSizes: [16], padding: 2, trim: true });
+            })
+            .then(function (result) {
+                test.deepEqual(result, [[16, 12, 2, true]], "The padding is inside each image");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                test.done();
+            })
+            .done();
+    };
+
+    exports.testAVIFData = function (test) {
+        var spawn = childProcess.spawn,
+            pixmapRenderer = renderer.createPixmapRenderer(null, { "avif-encoder-path": "/opt/bin/avifenc" },
+                _logger, null),
+            pixmap = pixmaputils.createPixmap(2, 1),
+            settings = { format: "avif", quality: 60, padding: { top: 1, right: 0, bottom: 0, left: 0 } },
+            calls = [],
+            found = true;
+
+        childProcess.spawn = function (command, args) {
+            var encoder = new EventEmitter();
+
+            encoder.stderr = new EventEmitter();
+            encoder.stdin = new EventEmitter();
+            encoder.stdin.end = function (data) {
+                calls.push({ command: command, args: args, input: data.toString("ascii", 0, 60) });
+
+                if (found) {
+                    fs.writeFileSync(args[args.length - 1], "avif data");
+                    setImmediate(encoder.emit.bind(encoder, "close", 0));
+                } else {
+                    var err = new Error("spawn ENOENT");
+
+                    err.code = "ENOENT";
+                    setImmediate(encoder.emit.bind(encoder, "error", err));
+                }
+            };
+
+            return encoder;
+        };
+
+        var chunks = [],
+            outputStream = new stream.Writable({
+                write: function (chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                }
+            });
+
+        pixmapRenderer._streamAVIFData({ pixmap: pixmap, settings: settings }, outputStream)
+            .then(function () {
+                var outputPath = calls[0].args[calls[0].args.length - 1];
+
+                test.equal(calls[0].command, "/opt/bin/avifenc", "The configured encoder is run");
+                test.deepEqual(calls[0].args, ["--stdin", "-q", "60", outputPath], "The pixmap is piped to avifenc");
+                test.ok(calls[0].input.indexOf("YUV4MPEG2 W2 H2 ") === 0, "The padding is applied to the pixmap");
+                test.equal(Buffer.concat(chunks).toString(), "avif data", "The encoded file is streamed");
+                test.ok(!fs.existsSync(outputPath), "The encoded file is removed");
+
+                found = false;
+
+                return pixmapRenderer._streamAVIFData({ pixmap: pixmap, settings: settings }, outputStream);
+            })
+            .then(function () {
+                test.ok(false, "A missing encoder fails the render");
+            }, function (err) {
+                test.ok(err.encoderNotFoundError, "A missing encoder fails the render");
+            })
+            .fail(function (err) {
+                test.ok(false, err.stack);
+            })
+            .finally(function () {
+                childProcess.spawn = spawn;
+                test.done();
+            })
+            .done();
+    };
+}());